@@ -2,6 +2,7 @@ const express = require('express');
 const cors = require('cors');
 const { sequelize } = require('./config/database');
 const syncJob = require('./jobs/syncJob');
+const syncRunService = require('./services/syncRunService');
 const logger = require('./utils/logger');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const iflowRoutes = require('./routes/iflowRoutes');
@@ -9,6 +10,8 @@ const packageRoutes = require('./routes/packageRoutes');
 const syncRoutes = require('./routes/syncRoutes');
 const chatRoutes = require('./routes/chatRoutes');
 const nlpRoutes = require('./routes/nlpRoutes');
+const tenantRoutes = require('./routes/tenantRoutes');
+const analysisRoutes = require('./routes/analysisRoutes');
 
 require('dotenv').config();
 
@@ -34,6 +37,8 @@ app.use('/api/packages', packageRoutes);
 app.use('/api/sync', syncRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/nlp', nlpRoutes);
+app.use('/api/tenants', tenantRoutes);
+app.use('/api/analysis', analysisRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -60,17 +65,23 @@ const startServer = async () => {
       logger.info('Database models synchronized');
     }
     
+    // Runs still marked as running were cut off by a previous shutdown
+    await syncRunService.markInterruptedRuns();
+    
     // Start the server
     app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
       
-      // Initialize scheduled sync job
-      syncJob.initSyncJob();
+      // Initialize scheduled sync jobs for all tenants
+      syncJob.initSyncJob()
+        .catch(error => {
+          logger.error('Failed to initialize data sync jobs', { error: error.message });
+        });
       
       // Run initial data sync if specified
       if (process.env.RUN_INITIAL_SYNC === 'true') {
         logger.info('Running initial data synchronization');
-        syncJob.runImmediateSync()
+        syncJob.runImmediateSync('Initial')
           .then(() => {
             logger.info('Initial data synchronization completed');
           })
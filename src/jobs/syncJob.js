@@ -1,50 +1,123 @@
 const cron = require('node-cron');
 const dataSyncService = require('../services/dataSyncService');
+const syncRunService = require('../services/syncRunService');
+const syncLockService = require('../services/syncLockService');
+const tenantService = require('../services/tenantService');
 const logger = require('../utils/logger');
 require('dotenv').config();
 
+const DEFAULT_CRON_SCHEDULE = process.env.CRON_SCHEDULE || '*/30 * * * *'; // Default: every 30 minutes
+
+// Scheduled sync tasks by tenant ID
+const scheduledTasks = new Map();
+
 /**
- * Initialize the scheduled data synchronization job
+ * Schedule the periodic synchronization of a tenant, replacing an existing schedule
+ * @param {Object} tenant - Tenant record
+ * @returns {boolean} Whether the tenant was scheduled
  */
-const initSyncJob = () => {
-  const cronSchedule = process.env.CRON_SCHEDULE || '*/30 * * * *'; // Default: every 30 minutes
+const scheduleTenantSync = (tenant) => {
+  // Offline tenants only hold imported archives
+  if (tenant.is_offline) {
+    logger.info(`Tenant ${tenant.tenant_name} is offline, no data sync scheduled`);
+    return false;
+  }
   
-  logger.info(`Initializing data sync job with schedule: ${cronSchedule}`);
+  const cronSchedule = tenant.sync_schedule || DEFAULT_CRON_SCHEDULE;
   
-  // Validate cron schedule
+  // An invalid schedule of one tenant must not keep the others from syncing
   if (!cron.validate(cronSchedule)) {
-    logger.error(`Invalid cron schedule: ${cronSchedule}`);
-    throw new Error(`Invalid cron schedule: ${cronSchedule}`);
+    logger.error(`Invalid cron schedule for tenant ${tenant.tenant_name}: ${cronSchedule}`);
+    return false;
   }
   
-  // Schedule the job
-  cron.schedule(cronSchedule, async () => {
-    logger.info('Starting scheduled data synchronization');
+  unscheduleTenantSync(tenant.tenant_id);
+  
+  const task = cron.schedule(cronSchedule, async () => {
+    logger.info('Starting scheduled data synchronization', { tenant: tenant.tenant_name });
     
     try {
-      await dataSyncService.syncAllData();
-      logger.info('Scheduled data synchronization completed successfully');
+      // Scheduled runs are incremental unless a full refresh is forced by configuration
+      await dataSyncService.syncAllData({
+        trigger: 'Cron',
+        fullRefresh: process.env.SYNC_FULL_REFRESH === 'true',
+        tenantId: tenant.tenant_id
+      });
+      logger.info('Scheduled data synchronization completed successfully', { tenant: tenant.tenant_name });
     } catch (error) {
+      // A manual run or another server instance is already syncing this tenant
+      if (error instanceof syncLockService.SyncInProgressError) {
+        logger.info('Skipping scheduled data synchronization, a sync run is already in progress', {
+          tenant: tenant.tenant_name,
+          activeRunId: error.runId
+        });
+        return;
+      }
+      
       logger.error('Error during scheduled data synchronization', { 
+        tenant: tenant.tenant_name,
         error: error.message,
         stack: error.stack
       });
     }
   });
   
-  logger.info('Data sync job initialized successfully');
+  scheduledTasks.set(tenant.tenant_id, task);
+  logger.info(`Scheduled data sync for tenant ${tenant.tenant_name} with schedule: ${cronSchedule}`);
+  return true;
 };
 
 /**
- * Run an immediate data synchronization
+ * Stop the periodic synchronization of a tenant
+ * @param {string} tenantId - Tenant ID
+ */
+const unscheduleTenantSync = (tenantId) => {
+  const task = scheduledTasks.get(tenantId);
+  if (task) {
+    task.stop();
+    scheduledTasks.delete(tenantId);
+  }
+};
+
+/**
+ * Initialize the scheduled data synchronization jobs, one per tenant
  * @returns {Promise<void>}
  */
-const runImmediateSync = async () => {
-  logger.info('Starting immediate data synchronization');
+const initSyncJob = async () => {
+  logger.info(`Initializing data sync jobs with default schedule: ${DEFAULT_CRON_SCHEDULE}`);
+  
+  // Validate cron schedule
+  if (!cron.validate(DEFAULT_CRON_SCHEDULE)) {
+    logger.error(`Invalid cron schedule: ${DEFAULT_CRON_SCHEDULE}`);
+    throw new Error(`Invalid cron schedule: ${DEFAULT_CRON_SCHEDULE}`);
+  }
+  
+  // Make sure the tenant configured through environment variables is registered
+  if (process.env.SAP_API_BASE_URL) {
+    await tenantService.getDefaultTenant();
+  }
+  
+  const tenants = await tenantService.listTenants();
+  tenants.forEach(tenant => scheduleTenantSync(tenant));
+  
+  logger.info(`Data sync jobs initialized successfully for ${scheduledTasks.size} tenant(s)`);
+};
+
+/**
+ * Run an immediate data synchronization
+ * @param {string} trigger - What started the sync (API, Initial)
+ * @param {Object} options - Sync options
+ * @param {boolean} options.fullRefresh - Re-download artifacts even if unchanged
+ * @param {string} options.tenantId - Tenant to sync (optional, defaults to the environment tenant)
+ * @returns {Promise<Object>} Run context of the finished sync
+ */
+const runImmediateSync = async (trigger = 'API', { fullRefresh = false, tenantId = null } = {}) => {
+  logger.info('Starting immediate data synchronization', { trigger, fullRefresh, tenantId });
   
   try {
-    await dataSyncService.syncAllData();
-    logger.info('Immediate data synchronization completed successfully');
+    const run = await dataSyncService.syncAllData({ trigger, fullRefresh, tenantId });
+    logger.info('Immediate data synchronization completed successfully', { runId: run.runId });
+    return run;
   } catch (error) {
     logger.error('Error during immediate data synchronization', { 
       error: error.message,
@@ -54,7 +127,100 @@ const runImmediateSync = async () => {
   }
 };
 
+/**
+ * Run a sync function in the background, logging its outcome
+ * @param {Object} runContext - Run context of the started sync
+ * @param {Function} syncFn - Function that performs the sync for the run context
+ */
+const runInBackground = (runContext, syncFn) => {
+  syncFn(runContext)
+    .then(() => {
+      logger.info('Background data synchronization completed', { runId: runContext.runId });
+    })
+    .catch(error => {
+      logger.error('Background data synchronization failed', { 
+        runId: runContext.runId,
+        error: error.message
+      });
+    })
+    // finishSyncRun releases the lock; this covers syncs that failed before their run was finished
+    .finally(() => syncLockService.releaseSyncLock(runContext.lock));
+};
+
+/**
+ * Start a full data synchronization in the background
+ * The sync run is recorded before returning so callers get a run handle
+ * @param {string} trigger - What started the sync (API, Initial)
+ * @param {Object} options - Sync options
+ * @param {boolean} options.fullRefresh - Re-download artifacts even if unchanged
+ * @param {string} options.tenantId - Tenant to sync (optional, defaults to the environment tenant)
+ * @returns {Promise<Object>} Run context of the started sync
+ */
+const startBackgroundSync = async (trigger = 'API', { fullRefresh = false, tenantId = null } = {}) => {
+  // Resolve the tenant first so an unknown tenant fails the request instead of the background run
+  const tenant = await tenantService.resolveSyncTenant(tenantId);
+  const runContext = await syncRunService.startSyncRun({ trigger, syncType: 'Full', fullRefresh, tenantId: tenant.tenant_id });
+  
+  runInBackground(runContext, run => dataSyncService.syncAllData({ trigger, runContext: run }));
+  
+  return runContext;
+};
+
+/**
+ * Start a synchronization of a single package in the background
+ * @param {string} packageId - Package ID in SAP
+ * @param {string} trigger - What started the sync
+ * @param {Object} options - Sync options
+ * @param {boolean} options.fullRefresh - Re-download artifacts even if unchanged
+ * @param {string} options.tenantId - Tenant of the package (optional, defaults to the environment tenant)
+ * @returns {Promise<Object>} Run context of the started sync
+ */
+const startPackageSync = async (packageId, trigger = 'API', { fullRefresh = false, tenantId = null } = {}) => {
+  const tenant = await tenantService.resolveSyncTenant(tenantId);
+  const runContext = await syncRunService.startSyncRun({
+    trigger,
+    syncType: 'Package',
+    scope: { packageId },
+    fullRefresh,
+    tenantId: tenant.tenant_id
+  });
+  
+  runInBackground(runContext, run => dataSyncService.syncSpecificPackage(packageId, { trigger, runContext: run }));
+  
+  return runContext;
+};
+
+/**
+ * Start a synchronization of a single iFlow in the background
+ * @param {string} iflowId - iFlow ID in SAP
+ * @param {Object} options - iFlow options
+ * @param {string} options.packageId - Package ID in SAP (optional, resolved from the flow if missing)
+ * @param {string} options.version - Flow version (optional, defaults to the active version)
+ * @param {string} options.tenantId - Tenant of the iFlow (optional, defaults to the environment tenant)
+ * @param {string} trigger - What started the sync
+ * @returns {Promise<Object>} Run context of the started sync
+ */
+const startIflowSync = async (iflowId, { packageId = null, version = 'active', tenantId = null } = {}, trigger = 'API') => {
+  const tenant = await tenantService.resolveSyncTenant(tenantId);
+  const runContext = await syncRunService.startSyncRun({
+    trigger,
+    syncType: 'Iflow',
+    scope: { packageId, iflowId, version },
+    fullRefresh: true,
+    tenantId: tenant.tenant_id
+  });
+  
+  runInBackground(runContext, run => dataSyncService.syncSpecificIflow(packageId, iflowId, version, { trigger, runContext: run }));
+  
+  return runContext;
+};
+
 module.exports = {
   initSyncJob,
-  runImmediateSync
-};
\ No newline at end of file
+  scheduleTenantSync,
+  unscheduleTenantSync,
+  runImmediateSync,
+  startBackgroundSync,
+  startPackageSync,
+  startIflowSync
+};
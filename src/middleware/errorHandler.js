@@ -1,4 +1,5 @@
 const logger = require('../utils/logger');
+const { redactSecrets } = require('../utils/redact');
 
 // Track recent requests to detect loops
 const requestTracker = new Map();
@@ -75,8 +76,8 @@ const errorHandler = (err, req, res, next) => {
     stack: err.stack,
     path: req.path,
     method: req.method,
-    query: req.query,
-    body: req.body,
+    query: redactSecrets(req.query),
+    body: redactSecrets(req.body),
     ip: req.ip,
     userAgent: req.get('User-Agent'),
     timestamp: new Date().toISOString()
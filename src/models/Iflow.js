@@ -4,7 +4,7 @@ const { sequelize } = require('../config/database');
 const Iflow = sequelize.define('iflow', {
   iflow_id: {
     type: DataTypes.STRING(255),
-    
+    defaultValue: DataTypes.UUIDV4,
     primaryKey: true
   },
   package_id: {
@@ -15,6 +15,19 @@ const Iflow = sequelize.define('iflow', {
       key: 'package_id'
     }
   },
+  tenant_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'tenant',
+      key: 'tenant_id'
+    }
+  },
+  // iFlow ID in SAP; the same iFlow can exist in several tenants (DEV, QA, PROD)
+  artifact_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
   iflow_name: {
     type: DataTypes.STRING(255),
     allowNull: false
@@ -92,6 +105,35 @@ const Iflow = sequelize.define('iflow', {
     type: DataTypes.JSONB,
     allowNull: true
   },
+  // Number of steps by step type (Content Modifier, Router, Mapping, ...)
+  step_counts: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  step_count: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Sum of the step counts weighted by the effort of each step type
+  complexity_score: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  complexity_level: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    validate: {
+      isIn: [['Low', 'Medium', 'High']]
+    }
+  },
+  sync_signature: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  last_synced_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   created_at: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -101,22 +143,35 @@ const Iflow = sequelize.define('iflow', {
     type: DataTypes.DATE,
     allowNull: false,
     defaultValue: DataTypes.NOW
+  },
+  deleted_at: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'iflow',
   timestamps: true,
   createdAt: 'created_at',
   updatedAt: 'updated_at',
+  // Deleted iFlows keep their rows; queries skip them unless paranoid: false is passed
+  paranoid: true,
+  deletedAt: 'deleted_at',
   indexes: [
     {
       name: 'idx_iflow_package',
       fields: ['package_id']
     },
     {
-      name: 'idx_iflow_package_name',
-      fields: ['package_id', 'iflow_name'],
+      name: 'idx_iflow_tenant_artifact',
+      fields: ['tenant_id', 'artifact_id'],
       unique: true
     },
+    {
+      name: 'idx_iflow_tenant_package_name',
+      fields: ['tenant_id', 'package_id', 'iflow_name'],
+      unique: true,
+      where: { deleted_at: null }
+    },
     {
       name: 'idx_iflow_deployment_model',
       fields: ['deployment_model']
@@ -128,8 +183,22 @@ const Iflow = sequelize.define('iflow', {
     {
       name: 'idx_iflow_type',
       fields: ['iflow_type']
+    },
+    {
+      name: 'idx_iflow_complexity_score',
+      fields: ['complexity_score']
     }
-  ]
+  ],
+  // Scope conditions are ANDed with the where clause of the query
+  whereMergeStrategy: 'and',
+  scopes: {
+    // iFlows of a single tenant
+    tenant(tenantId) {
+      return {
+        where: { tenant_id: tenantId }
+      };
+    }
+  }
 });
 
 module.exports = Iflow;
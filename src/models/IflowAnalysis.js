@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const IflowAnalysis = sequelize.define('iflow_analysis', {
+  analysis_id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  iflow_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    references: {
+      model: 'iflow',
+      key: 'iflow_id'
+    }
+  },
+  // Name of the registered analyzer that produced the result
+  analyzer: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  result: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'iflow_analysis',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      name: 'idx_iflow_analysis_iflow_analyzer',
+      unique: true,
+      fields: ['iflow_id', 'analyzer']
+    },
+    {
+      name: 'idx_iflow_analysis_analyzer',
+      fields: ['analyzer']
+    }
+  ]
+});
+
+module.exports = IflowAnalysis;
@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const IflowEdge = sequelize.define('iflow_edge', {
+  edge_id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  iflow_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    references: {
+      model: 'iflow',
+      key: 'iflow_id'
+    }
+  },
+  // ID of the BPMN element in the iFlow (sequence or message flow)
+  element_id: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  edge_type: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: {
+      isIn: [['sequence', 'message', 'process-call']]
+    }
+  },
+  // Element IDs of the connected nodes
+  source_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  target_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Routing condition of a gateway route
+  condition: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Position of the element in the iFlow XML
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'iflow_edge',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      name: 'idx_iflow_edge_iflow',
+      fields: ['iflow_id']
+    }
+  ]
+});
+
+module.exports = IflowEdge;
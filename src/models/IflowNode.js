@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const IflowNode = sequelize.define('iflow_node', {
+  node_id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  iflow_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    references: {
+      model: 'iflow',
+      key: 'iflow_id'
+    }
+  },
+  // ID of the BPMN element in the iFlow
+  element_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  // BPMN element (participant, process, callActivity, serviceTask, exclusiveGateway, ...)
+  element_type: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  activity_type: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  // Element ID of the process or sub-process the step belongs to
+  parent_id: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  properties: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  // Position of the element in the iFlow XML
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'iflow_node',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      name: 'idx_iflow_node_iflow_element',
+      unique: true,
+      fields: ['iflow_id', 'element_id']
+    },
+    {
+      name: 'idx_iflow_node_element_type',
+      fields: ['element_type']
+    }
+  ]
+});
+
+module.exports = IflowNode;
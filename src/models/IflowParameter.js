@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const IflowParameter = sequelize.define('iflow_parameter', {
+  parameter_id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  iflow_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    references: {
+      model: 'iflow',
+      key: 'iflow_id'
+    }
+  },
+  parameter_name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  parameter_type: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  // Value from parameters.prop of the design-time archive
+  default_value: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  is_required: {
+    type: DataTypes.BOOLEAN,
+    allowNull: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Integration flow, adapters and steps whose properties reference the parameter
+  usages: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'iflow_parameter',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      name: 'idx_iflow_parameter_iflow_name',
+      unique: true,
+      fields: ['iflow_id', 'parameter_name']
+    },
+    {
+      name: 'idx_iflow_parameter_name',
+      fields: ['parameter_name']
+    }
+  ]
+});
+
+module.exports = IflowParameter;
@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const IflowScript = sequelize.define('iflow_script', {
+  script_id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  iflow_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    references: {
+      model: 'iflow',
+      key: 'iflow_id'
+    }
+  },
+  script_name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  language: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: {
+      isIn: [['groovy', 'javascript']]
+    }
+  },
+  size_bytes: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  line_count: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  content_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  // Steps of the iFlow that call the script (step ID, step name, function)
+  steps: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'iflow_script',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      name: 'idx_iflow_script_iflow',
+      fields: ['iflow_id']
+    }
+  ]
+});
+
+module.exports = IflowScript;
@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const IflowVersion = sequelize.define('iflow_version', {
+  version_id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  iflow_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    references: {
+      model: 'iflow',
+      key: 'iflow_id'
+    }
+  },
+  // Version of the design-time artifact, e.g. 1.0.3
+  version: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  // SHA-256 of the files in the ZIP; the same content is archived once per iFlow
+  content_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  zip_size: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  zip_content: {
+    type: DataTypes.BLOB,
+    allowNull: false
+  },
+  source: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'sync',
+    validate: {
+      isIn: [['sync', 'upload']]
+    }
+  },
+  // Last time a sync or upload delivered this content; the newest one is what the iFlow currently holds
+  last_seen_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'iflow_version',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      name: 'idx_iflow_version_iflow_hash',
+      unique: true,
+      fields: ['iflow_id', 'content_hash']
+    },
+    {
+      name: 'idx_iflow_version_iflow_version',
+      fields: ['iflow_id', 'version']
+    }
+  ]
+});
+
+module.exports = IflowVersion;
@@ -4,7 +4,7 @@ const { sequelize } = require('../config/database');
 const Package = sequelize.define('package', {
   package_id: {
     type: DataTypes.STRING(255),
-    
+    defaultValue: DataTypes.UUIDV4,
     primaryKey: true
   },
   tenant_id: {
@@ -15,6 +15,11 @@ const Package = sequelize.define('package', {
       key: 'tenant_id'
     }
   },
+  // Package ID in SAP; the same package can exist in several tenants (DEV, QA, PROD)
+  artifact_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
   package_name: {
     type: DataTypes.STRING(255),
     allowNull: false
@@ -32,23 +37,44 @@ const Package = sequelize.define('package', {
     type: DataTypes.DATE,
     allowNull: false,
     defaultValue: DataTypes.NOW
+  },
+  deleted_at: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'package',
   timestamps: true,
   createdAt: 'created_at',
   updatedAt: 'updated_at',
+  // Packages removed from the tenant are soft-deleted (see syncIntegrationPackages)
+  paranoid: true,
+  deletedAt: 'deleted_at',
   indexes: [
     {
       name: 'idx_package_tenant',
       fields: ['tenant_id']
     },
+    {
+      name: 'idx_package_tenant_artifact',
+      fields: ['tenant_id', 'artifact_id'],
+      unique: true
+    },
     {
       name: 'idx_package_tenant_name',
       fields: ['tenant_id', 'package_name'],
-      unique: true
+      unique: true,
+      where: { deleted_at: null }
+    }
+  ],
+  scopes: {
+    // Packages of a single tenant
+    tenant(tenantId) {
+      return {
+        where: { tenant_id: tenantId }
+      };
     }
-  ]
+  }
 });
 
 module.exports = Package;
@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ScriptCollection = sequelize.define('script_collection', {
+  script_collection_id: {
+    type: DataTypes.STRING(255),
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  package_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    references: {
+      model: 'package',
+      key: 'package_id'
+    }
+  },
+  // Script collection ID in SAP
+  artifact_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  script_collection_name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  script_collection_description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  version: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  modified_by: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  modified_on: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_synced_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  deleted_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'script_collection',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  // Script collections removed from the tenant keep their row with deleted_at set
+  paranoid: true,
+  deletedAt: 'deleted_at',
+  indexes: [
+    {
+      name: 'idx_script_collection_package',
+      fields: ['package_id']
+    },
+    {
+      name: 'idx_script_collection_package_artifact',
+      fields: ['package_id', 'artifact_id'],
+      unique: true
+    }
+  ]
+});
+
+module.exports = ScriptCollection;
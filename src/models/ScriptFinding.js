@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ScriptFinding = sequelize.define('script_finding', {
+  finding_id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  iflow_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    references: {
+      model: 'iflow',
+      key: 'iflow_id'
+    }
+  },
+  script_name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  rule: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    validate: {
+      isIn: [['payload-logging', 'hardcoded-url', 'hardcoded-credential', 'deprecated-api', 'script-size', 'unused-script', 'missing-script']]
+    }
+  },
+  severity: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: {
+      isIn: [['high', 'medium', 'low']]
+    }
+  },
+  line_number: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'script_finding',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      name: 'idx_script_finding_iflow',
+      fields: ['iflow_id']
+    },
+    {
+      name: 'idx_script_finding_rule',
+      fields: ['rule']
+    },
+    {
+      name: 'idx_script_finding_severity',
+      fields: ['severity']
+    }
+  ]
+});
+
+module.exports = ScriptFinding;
@@ -0,0 +1,149 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const SyncRun = sequelize.define('sync_run', {
+  sync_run_id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tenant_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'tenant',
+      key: 'tenant_id'
+    }
+  },
+  trigger: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    validate: {
+      isIn: [['Cron', 'API', 'Initial', 'Import', 'Reprocess', 'Upload']]
+    }
+  },
+  sync_type: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'Full',
+    validate: {
+      isIn: [['Full', 'Package', 'Iflow']]
+    }
+  },
+  scope: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  full_refresh: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  status: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'Running',
+    validate: {
+      isIn: [['Running', 'Completed', 'Partial', 'Failed', 'Cancelled']]
+    }
+  },
+  cancel_requested: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  finished_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  packages_synced: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  iflows_synced: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  iflows_skipped: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  adapters_synced: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  security_synced: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  artifacts_synced: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  versions_archived: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  packages_deleted: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  iflows_deleted: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  error_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  error_message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'sync_run',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      name: 'idx_sync_run_status',
+      fields: ['status']
+    },
+    {
+      name: 'idx_sync_run_started_at',
+      fields: ['started_at']
+    },
+    {
+      name: 'idx_sync_run_tenant',
+      fields: ['tenant_id']
+    }
+  ]
+});
+
+module.exports = SyncRun;
@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const SyncRunError = sequelize.define('sync_run_error', {
+  sync_run_error_id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  sync_run_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'sync_run',
+      key: 'sync_run_id'
+    }
+  },
+  phase: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    validate: {
+      isIn: [['packages', 'iflows', 'artifacts', 'adapters', 'security', 'errorHandling', 'persistence', 'deployment', 'runtime', 'archive', 'analysis']]
+    }
+  },
+  package_id: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  iflow_id: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  error_message: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  error_details: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'sync_run_error',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      name: 'idx_sync_run_error_run',
+      fields: ['sync_run_id']
+    },
+    {
+      name: 'idx_sync_run_error_phase',
+      fields: ['phase']
+    }
+  ]
+});
+
+module.exports = SyncRunError;
@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ValueMapping = sequelize.define('value_mapping', {
+  value_mapping_id: {
+    type: DataTypes.STRING(255),
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  package_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    references: {
+      model: 'package',
+      key: 'package_id'
+    }
+  },
+  // Value mapping ID in SAP
+  artifact_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  value_mapping_name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  value_mapping_description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  version: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  modified_by: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  modified_on: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_synced_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  deleted_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'value_mapping',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  // Value mappings removed from their package are soft-deleted like iFlows
+  paranoid: true,
+  deletedAt: 'deleted_at',
+  indexes: [
+    {
+      name: 'idx_value_mapping_package',
+      fields: ['package_id']
+    },
+    {
+      name: 'idx_value_mapping_package_artifact',
+      fields: ['package_id', 'artifact_id'],
+      unique: true
+    }
+  ]
+});
+
+module.exports = ValueMapping;
@@ -2,25 +2,49 @@ const { sequelize } = require('../config/database');
 const Tenant = require('./Tenant');
 const Package = require('./Package');
 const Iflow = require('./Iflow');
+const ValueMapping = require('./ValueMapping');
+const MessageMapping = require('./MessageMapping');
+const ScriptCollection = require('./ScriptCollection');
 const Adapter = require('./Adapter');
 const IflowAdapter = require('./IflowAdapter');
 const SecurityMechanism = require('./SecurityMechanism');
 const IflowSecurity = require('./IflowSecurity');
 const ErrorHandling = require('./ErrorHandling');
 const Persistence = require('./Persistence');
+const IflowScript = require('./IflowScript');
+const ScriptFinding = require('./ScriptFinding');
+const IflowParameter = require('./IflowParameter');
+const IflowNode = require('./IflowNode');
+const IflowEdge = require('./IflowEdge');
+const IflowVersion = require('./IflowVersion');
+const IflowAnalysis = require('./IflowAnalysis');
 const DeploymentInfo = require('./DeploymentInfo');
 const RuntimeInfo = require('./RuntimeInfo');
 const IflowHistory = require('./IflowHistory');
 const DeploymentInfoHistory = require('./DeploymentInfoHistory');
 const RuntimeInfoHistory = require('./RuntimeInfoHistory');
+const SyncRun = require('./SyncRun');
+const SyncRunError = require('./SyncRunError');
 
 // Define associations
 Tenant.hasMany(Package, { foreignKey: 'tenant_id' });
 Package.belongsTo(Tenant, { foreignKey: 'tenant_id' });
 
+Tenant.hasMany(Iflow, { foreignKey: 'tenant_id' });
+Iflow.belongsTo(Tenant, { foreignKey: 'tenant_id' });
+
 Package.hasMany(Iflow, { foreignKey: 'package_id' });
 Iflow.belongsTo(Package, { foreignKey: 'package_id' });
 
+Package.hasMany(ValueMapping, { foreignKey: 'package_id' });
+ValueMapping.belongsTo(Package, { foreignKey: 'package_id' });
+
+Package.hasMany(MessageMapping, { foreignKey: 'package_id' });
+MessageMapping.belongsTo(Package, { foreignKey: 'package_id' });
+
+Package.hasMany(ScriptCollection, { foreignKey: 'package_id' });
+ScriptCollection.belongsTo(Package, { foreignKey: 'package_id' });
+
 Iflow.hasMany(DeploymentInfo, { foreignKey: 'iflow_id' });
 DeploymentInfo.belongsTo(Iflow, { foreignKey: 'iflow_id' });
 
@@ -45,6 +69,27 @@ ErrorHandling.belongsTo(Iflow, { foreignKey: 'iflow_id' });
 Iflow.hasOne(Persistence, { foreignKey: 'iflow_id' });
 Persistence.belongsTo(Iflow, { foreignKey: 'iflow_id' });
 
+Iflow.hasMany(IflowScript, { foreignKey: 'iflow_id' });
+IflowScript.belongsTo(Iflow, { foreignKey: 'iflow_id' });
+
+Iflow.hasMany(ScriptFinding, { foreignKey: 'iflow_id' });
+ScriptFinding.belongsTo(Iflow, { foreignKey: 'iflow_id' });
+
+Iflow.hasMany(IflowParameter, { foreignKey: 'iflow_id' });
+IflowParameter.belongsTo(Iflow, { foreignKey: 'iflow_id' });
+
+Iflow.hasMany(IflowNode, { foreignKey: 'iflow_id' });
+IflowNode.belongsTo(Iflow, { foreignKey: 'iflow_id' });
+
+Iflow.hasMany(IflowEdge, { foreignKey: 'iflow_id' });
+IflowEdge.belongsTo(Iflow, { foreignKey: 'iflow_id' });
+
+Iflow.hasMany(IflowVersion, { foreignKey: 'iflow_id' });
+IflowVersion.belongsTo(Iflow, { foreignKey: 'iflow_id' });
+
+Iflow.hasMany(IflowAnalysis, { foreignKey: 'iflow_id' });
+IflowAnalysis.belongsTo(Iflow, { foreignKey: 'iflow_id' });
+
 Iflow.hasMany(IflowHistory, { foreignKey: 'iflow_id' });
 IflowHistory.belongsTo(Iflow, { foreignKey: 'iflow_id' });
 
@@ -54,20 +99,38 @@ DeploymentInfoHistory.belongsTo(DeploymentInfo, { foreignKey: 'deployment_id' })
 RuntimeInfo.hasMany(RuntimeInfoHistory, { foreignKey: 'runtime_id' });
 RuntimeInfoHistory.belongsTo(RuntimeInfo, { foreignKey: 'runtime_id' });
 
+Tenant.hasMany(SyncRun, { foreignKey: 'tenant_id' });
+SyncRun.belongsTo(Tenant, { foreignKey: 'tenant_id' });
+
+SyncRun.hasMany(SyncRunError, { foreignKey: 'sync_run_id' });
+SyncRunError.belongsTo(SyncRun, { foreignKey: 'sync_run_id' });
+
 module.exports = {
   sequelize,
   Tenant,
   Package,
   Iflow,
+  ValueMapping,
+  MessageMapping,
+  ScriptCollection,
   Adapter,
   IflowAdapter,
   SecurityMechanism,
   IflowSecurity,
   ErrorHandling,
   Persistence,
+  IflowScript,
+  ScriptFinding,
+  IflowParameter,
+  IflowNode,
+  IflowEdge,
+  IflowVersion,
+  IflowAnalysis,
   DeploymentInfo,
   RuntimeInfo,
   IflowHistory,
   DeploymentInfoHistory,
-  RuntimeInfoHistory
+  RuntimeInfoHistory,
+  SyncRun,
+  SyncRunError
 };
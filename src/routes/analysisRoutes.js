@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+const artifactAnalysisService = require('../services/artifactAnalysisService');
+const analyzerRegistry = require('../services/analyzerRegistry');
+const tenantService = require('../services/tenantService');
+const syncLockService = require('../services/syncLockService');
+const logger = require('../utils/logger');
+
+// Largest accepted upload
+const MAX_UPLOAD_SIZE_MB = parseInt(process.env.ANALYSIS_MAX_UPLOAD_MB, 10) || 50;
+
+const readZipBody = express.raw({
+  type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
+  limit: `${MAX_UPLOAD_SIZE_MB}mb`
+});
+
+/**
+ * POST /api/analysis
+ * Analyse an uploaded iFlow ZIP or exported package ZIP (sent as the raw request body)
+ * Nothing is stored unless ?packageId= names a synced package; ?tenantId= selects its tenant (404 if unknown).
+ * Storing is recorded as a sync run of the tenant and refused with 409 while the tenant is syncing
+ */
+router.post('/', readZipBody, async (req, res) => {
+  try {
+    const { packageId, tenantId, fileName } = req.query;
+
+    const archive = artifactAnalysisService.readArtifactArchive(req.body, fileName);
+    if (!archive) {
+      return res.status(400).json({ error: 'Request body must be a ZIP file (Content-Type: application/zip)' });
+    }
+
+    if (archive.flows.length === 0) {
+      return res.status(400).json({ error: 'No iFlow found in the uploaded ZIP', skipped: archive.skipped });
+    }
+
+    // A tenant ID is checked even when nothing is stored, so an unknown one is never ignored
+    let tenant = null;
+    let packageRecord = null;
+    if (packageId || tenantId) {
+      try {
+        tenant = await tenantService.resolveTenant(tenantId || null);
+      } catch (error) {
+        return res.status(error.statusCode || 400).json({ error: error.message });
+      }
+    }
+
+    if (packageId) {
+      packageRecord = await artifactAnalysisService.findTargetPackage(tenant, packageId);
+      if (!packageRecord) {
+        return res.status(404).json({ error: `Package ${packageId} not found for tenant ${tenant.tenant_name}` });
+      }
+    }
+
+    logger.info('Artifact analysis requested', {
+      fileName,
+      type: archive.type,
+      flowCount: archive.flows.length,
+      packageId: packageId || null,
+      tenantId: tenant ? tenant.tenant_id : null
+    });
+
+    const result = await artifactAnalysisService.analyzeArtifactArchive(archive, { tenant, packageRecord });
+
+    res.json({
+      ...result,
+      tenantId: tenant ? tenant.tenant_id : null
+    });
+  } catch (error) {
+    if (error instanceof syncLockService.SyncInProgressError) {
+      return res.status(409).json({
+        error: 'A synchronization of this tenant is already running',
+        status: 'running',
+        runId: error.runId,
+        tenantId: error.tenantId
+      });
+    }
+    logger.error('Error analysing uploaded artifact', { error: error.message });
+    res.status(500).json({ error: 'Failed to analyse uploaded artifact' });
+  }
+});
+
+/**
+ * GET /api/analysis/analyzers
+ * List the registered analyzers in the order they run, with what they read, produce and where they store it
+ */
+router.get('/analyzers', (req, res) => {
+  try {
+    res.json(analyzerRegistry.getAnalyzers());
+  } catch (error) {
+    logger.error('Error listing analyzers', { error: error.message });
+    res.status(500).json({ error: 'Failed to list analyzers' });
+  }
+});
+
+module.exports = router;
@@ -4,13 +4,32 @@ const { Op, Sequelize } = require('sequelize');
 const models = require('../models');
 const logger = require('../utils/logger');
 
+/**
+ * Get the iFlow model, restricted to a tenant if one is given
+ * @param {string|null} tenantId - Tenant ID (optional)
+ * @returns {Object} iFlow model or scoped model
+ */
+const getIflowModel = (tenantId) => {
+  return tenantId ? models.Iflow.scope({ method: ['tenant', tenantId] }) : models.Iflow;
+};
+
+/**
+ * Build the include that restricts rows linked to an iFlow to the iFlows of a tenant
+ * The join also leaves out rows of deleted iFlows
+ * @param {string|null} tenantId - Tenant ID (optional)
+ * @returns {Array} Include options
+ */
+const getTenantIflowInclude = (tenantId) => {
+  return [{ model: getIflowModel(tenantId), attributes: [], required: true }];
+};
+
 /**
  * POST /api/chat/query
  * Process a natural language query about integration flows
  */
 router.post('/query', async (req, res) => {
   try {
-    const { query } = req.body;
+    const { query, tenantId } = req.body;
     
     if (!query) {
       return res.status(400).json({ error: 'Query is required' });
@@ -27,7 +46,7 @@ router.post('/query', async (req, res) => {
     // Check for specific query types
     if (queryLower.includes('failed') || queryLower.includes('error')) {
       // Query for failed iFlows
-      const failedIflows = await getFailedIflows();
+      const failedIflows = await getFailedIflows(tenantId);
       response = {
         type: 'failed_iflows',
         message: 'Here are the integration flows with failures:',
@@ -35,7 +54,7 @@ router.post('/query', async (req, res) => {
       };
     } else if (queryLower.includes('security') || queryLower.includes('authentication')) {
       // Query for security mechanisms
-      const securityInfo = await getSecurityInfo();
+      const securityInfo = await getSecurityInfo(tenantId);
       response = {
         type: 'security_info',
         message: 'Here is the security information for integration flows:',
@@ -43,7 +62,7 @@ router.post('/query', async (req, res) => {
       };
     } else if (queryLower.includes('adapter') || queryLower.includes('connection')) {
       // Query for adapter usage
-      const adapterInfo = await getAdapterInfo();
+      const adapterInfo = await getAdapterInfo(tenantId);
       response = {
         type: 'adapter_info',
         message: 'Here is the adapter usage information:',
@@ -51,7 +70,7 @@ router.post('/query', async (req, res) => {
       };
     } else if (queryLower.includes('performance') || queryLower.includes('processing time')) {
       // Query for performance metrics
-      const performanceInfo = await getPerformanceInfo();
+      const performanceInfo = await getPerformanceInfo(tenantId);
       response = {
         type: 'performance_info',
         message: 'Here are the performance metrics for integration flows:',
@@ -59,7 +78,7 @@ router.post('/query', async (req, res) => {
       };
     } else if (queryLower.includes('deployment') || queryLower.includes('deployed')) {
       // Query for deployment status
-      const deploymentInfo = await getDeploymentInfo();
+      const deploymentInfo = await getDeploymentInfo(tenantId);
       response = {
         type: 'deployment_info',
         message: 'Here is the deployment information:',
@@ -71,7 +90,7 @@ router.post('/query', async (req, res) => {
       
       if (iflowNameMatch && iflowNameMatch[1]) {
         const iflowName = iflowNameMatch[1].trim();
-        const iflowInfo = await getIflowByName(iflowName);
+        const iflowInfo = await getIflowByName(iflowName, tenantId);
         
         if (iflowInfo) {
           response = {
@@ -88,7 +107,7 @@ router.post('/query', async (req, res) => {
         }
       } else {
         // Show all iFlows
-        const allIflows = await getAllIflows();
+        const allIflows = await getAllIflows(tenantId);
         response = {
           type: 'all_iflows',
           message: 'Here are all the integration flows:',
@@ -97,7 +116,7 @@ router.post('/query', async (req, res) => {
       }
     } else {
       // Generic search based on query terms
-      const searchResults = await searchIflows(queryLower);
+      const searchResults = await searchIflows(queryLower, tenantId);
       
       if (searchResults.length > 0) {
         response = {
@@ -123,10 +142,11 @@ router.post('/query', async (req, res) => {
 
 /**
  * Get all failed iFlows
+ * @param {string|null} tenantId - Restrict to the iFlows of a tenant (optional)
  * @returns {Promise<Array>} Array of failed iFlows
  */
-const getFailedIflows = async () => {
-  const failedIflows = await models.Iflow.findAll({
+const getFailedIflows = async (tenantId = null) => {
+  const failedIflows = await getIflowModel(tenantId).findAll({
     include: [
       {
         model: models.DeploymentInfo,
@@ -154,9 +174,10 @@ const getFailedIflows = async () => {
 
 /**
  * Get security information for iFlows
+ * @param {string|null} tenantId - Restrict to the iFlows of a tenant (optional)
  * @returns {Promise<Object>} Security information
  */
-const getSecurityInfo = async () => {
+const getSecurityInfo = async (tenantId = null) => {
   // Count iFlows by security mechanism
   const securityCounts = await models.SecurityMechanism.findAll({
     attributes: [
@@ -166,14 +187,15 @@ const getSecurityInfo = async () => {
     include: [
       {
         model: models.IflowSecurity,
-        attributes: []
+        attributes: [],
+        include: getTenantIflowInclude(tenantId)
       }
     ],
     group: ['mechanism_type']
   });
   
   // Get iFlows with security mechanisms
-  const iflowsWithSecurity = await models.Iflow.findAll({
+  const iflowsWithSecurity = await getIflowModel(tenantId).findAll({
     attributes: ['iflow_id', 'iflow_name'],
     include: [
       {
@@ -210,9 +232,10 @@ const getSecurityInfo = async () => {
 
 /**
  * Get adapter usage information
+ * @param {string|null} tenantId - Restrict to the iFlows of a tenant (optional)
  * @returns {Promise<Object>} Adapter information
  */
-const getAdapterInfo = async () => {
+const getAdapterInfo = async (tenantId = null) => {
   // Count iFlows by adapter type
   const adapterCounts = await models.Adapter.findAll({
     attributes: [
@@ -222,14 +245,15 @@ const getAdapterInfo = async () => {
     include: [
       {
         model: models.IflowAdapter,
-        attributes: []
+        attributes: [],
+        include: getTenantIflowInclude(tenantId)
       }
     ],
     group: ['adapter_type']
   });
   
   // Get iFlows with adapters
-  const iflowsWithAdapters = await models.Iflow.findAll({
+  const iflowsWithAdapters = await getIflowModel(tenantId).findAll({
     attributes: ['iflow_id', 'iflow_name'],
     include: [
       {
@@ -266,10 +290,11 @@ const getAdapterInfo = async () => {
 
 /**
  * Get performance information for iFlows
+ * @param {string|null} tenantId - Restrict to the iFlows of a tenant (optional)
  * @returns {Promise<Array>} Performance information
  */
-const getPerformanceInfo = async () => {
-  const performanceInfo = await models.Iflow.findAll({
+const getPerformanceInfo = async (tenantId = null) => {
+  const performanceInfo = await getIflowModel(tenantId).findAll({
     attributes: ['iflow_id', 'iflow_name'],
     include: [
       {
@@ -297,20 +322,22 @@ const getPerformanceInfo = async () => {
 
 /**
  * Get deployment information for iFlows
+ * @param {string|null} tenantId - Restrict to the iFlows of a tenant (optional)
  * @returns {Promise<Object>} Deployment information
  */
-const getDeploymentInfo = async () => {
+const getDeploymentInfo = async (tenantId = null) => {
   // Count iFlows by deployment status
   const statusCounts = await models.DeploymentInfo.findAll({
     attributes: [
       'status',
       [Sequelize.fn('COUNT', Sequelize.col('deployment_id')), 'count']
     ],
+    include: getTenantIflowInclude(tenantId),
     group: ['status']
   });
   
   // Get iFlows with deployment info
-  const iflowsWithDeployment = await models.Iflow.findAll({
+  const iflowsWithDeployment = await getIflowModel(tenantId).findAll({
     attributes: ['iflow_id', 'iflow_name'],
     include: [
       {
@@ -342,10 +369,11 @@ const getDeploymentInfo = async () => {
 /**
  * Get iFlow by name
  * @param {string} name - iFlow name
+ * @param {string|null} tenantId - Restrict to the iFlows of a tenant (optional)
  * @returns {Promise<Object>} iFlow information
  */
-const getIflowByName = async (name) => {
-  const iflow = await models.Iflow.findOne({
+const getIflowByName = async (name, tenantId = null) => {
+  const iflow = await getIflowModel(tenantId).findOne({
     where: {
       iflow_name: { [Op.iLike]: `%${name}%` }
     },
@@ -392,10 +420,11 @@ const getIflowByName = async (name) => {
 
 /**
  * Get all iFlows
+ * @param {string|null} tenantId - Restrict to the iFlows of a tenant (optional)
  * @returns {Promise<Array>} Array of iFlows
  */
-const getAllIflows = async () => {
-  const iflows = await models.Iflow.findAll({
+const getAllIflows = async (tenantId = null) => {
+  const iflows = await getIflowModel(tenantId).findAll({
     attributes: ['iflow_id', 'iflow_name', 'iflow_description'],
     include: [
       {
@@ -422,9 +451,10 @@ const getAllIflows = async () => {
 /**
  * Search iFlows based on query terms
  * @param {string} query - Search query
+ * @param {string|null} tenantId - Restrict to the iFlows of a tenant (optional)
  * @returns {Promise<Array>} Search results
  */
-const searchIflows = async (query) => {
+const searchIflows = async (query, tenantId = null) => {
   // Extract search terms
   const terms = query.split(/\s+/).filter(term => term.length > 2);
   
@@ -441,7 +471,7 @@ const searchIflows = async (query) => {
   }));
   
   // Search iFlows
-  const iflows = await models.Iflow.findAll({
+  const iflows = await getIflowModel(tenantId).findAll({
     where: {
       [Op.and]: searchConditions
     },
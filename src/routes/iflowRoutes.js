@@ -3,23 +3,77 @@ const router = express.Router();
 const { Op } = require('sequelize');
 const models = require('../models');
 const logger = require('../utils/logger');
+const iflowGraphService = require('../services/iflowGraphService');
+const iflowVersionService = require('../services/iflowVersionService');
+const tenantService = require('../services/tenantService');
+
+/**
+ * Get the iFlow model, restricted to a tenant if one is given
+ * @param {string|null} tenantId - Tenant ID (optional)
+ * @returns {Promise<Object>} iFlow model or scoped model
+ * @throws {TenantError} If the tenant does not exist
+ */
+const getIflowModel = async (tenantId) => {
+  if (!tenantId) {
+    return models.Iflow;
+  }
+  await tenantService.getTenant(tenantId);
+  return models.Iflow.scope({ method: ['tenant', tenantId] });
+};
+
+/**
+ * Send the status of a tenant error, or a 500 for any other error
+ * @param {Object} res - Express response
+ * @param {Object} error - Caught error
+ * @param {string} message - Message of the 500 response
+ */
+const sendError = (res, error, message) => {
+  if (error instanceof tenantService.TenantError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  res.status(500).json({ error: message });
+};
+
+// Columns the iFlow list can be sorted by
+const SORT_FIELDS = ['iflow_name', 'complexity_score', 'step_count', 'last_synced_at'];
 
 /**
  * GET /api/iflows
- * Get all iFlows with optional filtering
+ * Get all iFlows with optional filtering (deleted iFlows only with ?includeDeleted=true)
+ * and sorting (?sortBy=complexity_score&sortOrder=desc)
  */
 router.get('/', async (req, res) => {
   try {
     const {
+      tenantId,
       packageId,
       deploymentModel,
       systemsComposition,
       iflowType,
       deploymentStatus,
       search,
+      complexityLevel,
+      minComplexity,
+      maxComplexity,
+      sortBy = 'iflow_name',
+      sortOrder = 'asc',
       limit = 100,
       offset = 0
     } = req.query;
+    const includeDeleted = req.query.includeDeleted === 'true';
+    
+    if (!SORT_FIELDS.includes(sortBy)) {
+      return res.status(400).json({ error: `sortBy must be one of: ${SORT_FIELDS.join(', ')}` });
+    }
+    
+    const direction = String(sortOrder).toUpperCase();
+    if (!['ASC', 'DESC'].includes(direction)) {
+      return res.status(400).json({ error: 'sortOrder must be asc or desc' });
+    }
+    
+    if ([minComplexity, maxComplexity].some(value => value !== undefined && isNaN(parseInt(value)))) {
+      return res.status(400).json({ error: 'minComplexity and maxComplexity must be numbers' });
+    }
     
     // Build filter conditions
     const where = {};
@@ -47,11 +101,26 @@ router.get('/', async (req, res) => {
       ];
     }
     
+    if (complexityLevel) {
+      where.complexity_level = complexityLevel;
+    }
+    
+    if (minComplexity !== undefined || maxComplexity !== undefined) {
+      where.complexity_score = {};
+      if (minComplexity !== undefined) {
+        where.complexity_score[Op.gte] = parseInt(minComplexity);
+      }
+      if (maxComplexity !== undefined) {
+        where.complexity_score[Op.lte] = parseInt(maxComplexity);
+      }
+    }
+    
     // Include deployment info if filtering by status
     const include = [
       {
         model: models.Package,
-        attributes: ['package_id', 'package_name']
+        attributes: ['package_id', 'artifact_id', 'package_name'],
+        paranoid: !includeDeleted
       }
     ];
     
@@ -69,12 +138,17 @@ router.get('/', async (req, res) => {
     }
     
     // Execute query
-    const { count, rows } = await models.Iflow.findAndCountAll({
+    const Iflow = await getIflowModel(tenantId);
+    const { count, rows } = await Iflow.findAndCountAll({
       where,
       include,
+      paranoid: !includeDeleted,
       limit: parseInt(limit),
       offset: parseInt(offset),
-      order: [['iflow_name', 'ASC']]
+      // iFlows that were not analysed yet have no complexity score and come last
+      order: sortBy === 'iflow_name'
+        ? [['iflow_name', direction]]
+        : [[sortBy, `${direction} NULLS LAST`], ['iflow_name', 'ASC']]
     });
     
     res.json({
@@ -83,23 +157,26 @@ router.get('/', async (req, res) => {
     });
   } catch (error) {
     logger.error('Error fetching iFlows', { error: error.message });
-    res.status(500).json({ error: 'Failed to fetch iFlows' });
+    sendError(res, error, 'Failed to fetch iFlows');
   }
 });
 
 /**
  * GET /api/iflows/:id
- * Get a specific iFlow with all related data
+ * Get a specific iFlow with all related data (a deleted iFlow only with ?includeDeleted=true)
  */
 router.get('/:id', async (req, res) => {
   try {
     const iflowId = req.params.id;
+    const includeDeleted = req.query.includeDeleted === 'true';
     
     const iflow = await models.Iflow.findByPk(iflowId, {
+      paranoid: !includeDeleted,
       include: [
         {
           model: models.Package,
-          attributes: ['package_id', 'package_name']
+          attributes: ['package_id', 'artifact_id', 'package_name'],
+          paranoid: !includeDeleted
         },
         {
           model: models.DeploymentInfo
@@ -113,6 +190,12 @@ router.get('/:id', async (req, res) => {
         {
           model: models.Persistence
         },
+        {
+          model: models.IflowScript
+        },
+        {
+          model: models.IflowParameter
+        },
         {
           model: models.IflowAdapter,
           include: [
@@ -145,6 +228,210 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/iflows/:id/scripts
+ * Get the scripts of a specific iFlow with the steps calling them and the findings of their static checks
+ */
+router.get('/:id/scripts', async (req, res) => {
+  try {
+    const iflowId = req.params.id;
+    
+    const iflow = await models.Iflow.findByPk(iflowId, { attributes: ['iflow_id'] });
+    if (!iflow) {
+      return res.status(404).json({ error: 'iFlow not found' });
+    }
+    
+    const scripts = await models.IflowScript.findAll({
+      where: { iflow_id: iflowId },
+      order: [['script_name', 'ASC']]
+    });
+    
+    const findings = await models.ScriptFinding.findAll({
+      where: { iflow_id: iflowId },
+      order: [['script_name', 'ASC'], ['line_number', 'ASC']]
+    });
+    
+    res.json({
+      iflow_id: iflowId,
+      scripts,
+      findings
+    });
+  } catch (error) {
+    logger.error(`Error fetching scripts for iFlow ${req.params.id}`, { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch iFlow scripts' });
+  }
+});
+
+/**
+ * GET /api/iflows/:id/parameters
+ * Get the externalized parameters of a specific iFlow with the adapters and steps that use them
+ */
+router.get('/:id/parameters', async (req, res) => {
+  try {
+    const iflowId = req.params.id;
+    
+    const iflow = await models.Iflow.findByPk(iflowId, { attributes: ['iflow_id'] });
+    if (!iflow) {
+      return res.status(404).json({ error: 'iFlow not found' });
+    }
+    
+    const parameters = await models.IflowParameter.findAll({
+      where: { iflow_id: iflowId },
+      order: [['parameter_name', 'ASC']]
+    });
+    
+    res.json(parameters);
+  } catch (error) {
+    logger.error(`Error fetching parameters for iFlow ${req.params.id}`, { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch iFlow parameters' });
+  }
+});
+
+/**
+ * GET /api/iflows/:id/analyses
+ * Get the stored results of the custom analyzers for a specific iFlow
+ */
+router.get('/:id/analyses', async (req, res) => {
+  try {
+    const iflowId = req.params.id;
+    
+    const iflow = await models.Iflow.findByPk(iflowId, { attributes: ['iflow_id'] });
+    if (!iflow) {
+      return res.status(404).json({ error: 'iFlow not found' });
+    }
+    
+    const analyses = await models.IflowAnalysis.findAll({
+      where: { iflow_id: iflowId },
+      attributes: ['analyzer', 'result', 'updated_at'],
+      order: [['analyzer', 'ASC']]
+    });
+    
+    res.json(analyses);
+  } catch (error) {
+    logger.error(`Error fetching analyses for iFlow ${req.params.id}`, { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch iFlow analyses' });
+  }
+});
+
+/**
+ * GET /api/iflows/:id/graph
+ * Get the step graph of a specific iFlow
+ * Query (optional): format - json (default), mermaid or dot
+ */
+router.get('/:id/graph', async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    
+    if (!iflowGraphService.GRAPH_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `Invalid format ${format}; use one of ${iflowGraphService.GRAPH_FORMATS.join(', ')}`
+      });
+    }
+    
+    const graph = await iflowGraphService.getIflowGraph(req.params.id);
+    if (!graph) {
+      return res.status(404).json({ error: 'iFlow not found' });
+    }
+    
+    if (format === 'mermaid') {
+      return res.type('text/plain').send(iflowGraphService.toMermaid(graph));
+    }
+    
+    if (format === 'dot') {
+      return res.type('text/vnd.graphviz').send(iflowGraphService.toDot(graph));
+    }
+    
+    res.json(graph);
+  } catch (error) {
+    logger.error(`Error fetching step graph for iFlow ${req.params.id}`, { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch iFlow step graph' });
+  }
+});
+
+/**
+ * GET /api/iflows/:id/versions
+ * Get the archived versions of a specific iFlow, newest first
+ */
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const iflowId = req.params.id;
+    
+    // Deleted iFlows keep their archive
+    const iflow = await models.Iflow.findByPk(iflowId, { attributes: ['iflow_id'], paranoid: false });
+    if (!iflow) {
+      return res.status(404).json({ error: 'iFlow not found' });
+    }
+    
+    const versions = await iflowVersionService.listIflowVersions(iflowId);
+    
+    res.json({
+      iflow_id: iflowId,
+      versions
+    });
+  } catch (error) {
+    logger.error(`Error fetching archived versions for iFlow ${req.params.id}`, { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch iFlow versions' });
+  }
+});
+
+/**
+ * GET /api/iflows/:id/versions/diff
+ * Compare two archived versions of a specific iFlow
+ * Query (optional): from, to - version number or version ID; to defaults to the newest version,
+ * from to the version archived before it
+ */
+router.get('/:id/versions/diff', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const versions = await iflowVersionService.listIflowVersions(req.params.id);
+    
+    if (versions.length === 0) {
+      return res.status(404).json({ error: 'No archived versions found for iFlow' });
+    }
+    
+    const toVersion = to ? iflowVersionService.findIflowVersion(versions, to) : versions[0];
+    if (!toVersion) {
+      return res.status(404).json({ error: `Version ${to} not found in the archive` });
+    }
+    
+    const fromVersion = from
+      ? iflowVersionService.findIflowVersion(versions, from)
+      : versions[versions.indexOf(toVersion) + 1];
+    if (!fromVersion) {
+      return res.status(404).json({
+        error: from ? `Version ${from} not found in the archive` : `No version archived before ${toVersion.version}`
+      });
+    }
+    
+    const diff = await iflowVersionService.diffIflowVersions(fromVersion, toVersion);
+    
+    res.json(diff);
+  } catch (error) {
+    logger.error(`Error comparing versions of iFlow ${req.params.id}`, { error: error.message });
+    res.status(500).json({ error: 'Failed to compare iFlow versions' });
+  }
+});
+
+/**
+ * GET /api/iflows/:id/versions/:versionId/zip
+ * Download the archived ZIP of a version of a specific iFlow
+ */
+router.get('/:id/versions/:versionId/zip', async (req, res) => {
+  try {
+    const version = await iflowVersionService.getIflowVersionZip(req.params.id, req.params.versionId);
+    if (!version) {
+      return res.status(404).json({ error: 'Archived version not found' });
+    }
+    
+    const fileName = `${version.iflow_id}_${version.version}.zip`.replace(/[^\w.-]/g, '_');
+    res.attachment(fileName);
+    res.type('application/zip').send(version.zip_content);
+  } catch (error) {
+    logger.error(`Error downloading archived version ${req.params.versionId} of iFlow ${req.params.id}`, { error: error.message });
+    res.status(500).json({ error: 'Failed to download iFlow version' });
+  }
+});
+
 /**
  * GET /api/iflows/:id/history
  * Get history of changes for a specific iFlow
@@ -237,11 +524,18 @@ router.get('/:id/runtime-history', async (req, res) => {
 /**
  * GET /api/iflows/metrics/summary
  * Get summary metrics for all iFlows
+ * Query (optional): tenantId - restrict the metrics to the iFlows of a tenant
  */
 router.get('/metrics/summary', async (req, res) => {
   try {
+    const { tenantId } = req.query;
+    const Iflow = await getIflowModel(tenantId);
+    
+    // Deployment and runtime rows are restricted through their iFlow, which also leaves out deleted iFlows
+    const iflowInclude = [{ model: Iflow, attributes: [], required: true }];
+    
     // Count iFlows by deployment model
-    const deploymentModelCounts = await models.Iflow.findAll({
+    const deploymentModelCounts = await Iflow.findAll({
       attributes: [
         'deployment_model',
         [models.sequelize.fn('COUNT', models.sequelize.col('iflow_id')), 'count']
@@ -250,7 +544,7 @@ router.get('/metrics/summary', async (req, res) => {
     });
     
     // Count iFlows by systems composition
-    const systemsCompositionCounts = await models.Iflow.findAll({
+    const systemsCompositionCounts = await Iflow.findAll({
       attributes: [
         'systems_composition',
         [models.sequelize.fn('COUNT', models.sequelize.col('iflow_id')), 'count']
@@ -259,7 +553,7 @@ router.get('/metrics/summary', async (req, res) => {
     });
     
     // Count iFlows by type
-    const iflowTypeCounts = await models.Iflow.findAll({
+    const iflowTypeCounts = await Iflow.findAll({
       attributes: [
         'iflow_type',
         [models.sequelize.fn('COUNT', models.sequelize.col('iflow_id')), 'count']
@@ -273,6 +567,7 @@ router.get('/metrics/summary', async (req, res) => {
         'status',
         [models.sequelize.fn('COUNT', models.sequelize.col('deployment_id')), 'count']
       ],
+      include: iflowInclude,
       group: ['status']
     });
     
@@ -282,7 +577,9 @@ router.get('/metrics/summary', async (req, res) => {
         [models.sequelize.fn('SUM', models.sequelize.col('success_count')), 'total_success'],
         [models.sequelize.fn('SUM', models.sequelize.col('failure_count')), 'total_failure'],
         [models.sequelize.fn('AVG', models.sequelize.col('avg_processing_time')), 'avg_processing_time']
-      ]
+      ],
+      include: iflowInclude,
+      raw: true
     });
     
     res.json({
@@ -294,7 +591,104 @@ router.get('/metrics/summary', async (req, res) => {
     });
   } catch (error) {
     logger.error('Error fetching iFlow metrics summary', { error: error.message });
-    res.status(500).json({ error: 'Failed to fetch metrics summary' });
+    sendError(res, error, 'Failed to fetch metrics summary');
+  }
+});
+
+/**
+ * GET /api/iflows/scripts/findings
+ * Get the script findings of all iFlows
+ * Query (optional): tenantId, packageId, severity (high, medium, low), rule, limit, offset
+ */
+router.get('/scripts/findings', async (req, res) => {
+  try {
+    const { tenantId, packageId, severity, rule, limit = 100, offset = 0 } = req.query;
+    
+    const where = {};
+    
+    if (severity) {
+      where.severity = severity;
+    }
+    
+    if (rule) {
+      where.rule = rule;
+    }
+    
+    // Findings are restricted through their iFlow, which also leaves out deleted iFlows
+    const Iflow = await getIflowModel(tenantId);
+    const { count, rows } = await models.ScriptFinding.findAndCountAll({
+      where,
+      include: [
+        {
+          model: Iflow,
+          attributes: ['iflow_id', 'iflow_name', 'package_id'],
+          where: packageId ? { package_id: packageId } : undefined,
+          required: true
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['iflow_id', 'ASC'], ['script_name', 'ASC'], ['line_number', 'ASC']]
+    });
+    
+    res.json({
+      total: count,
+      findings: rows
+    });
+  } catch (error) {
+    logger.error('Error fetching script findings', { error: error.message });
+    sendError(res, error, 'Failed to fetch script findings');
+  }
+});
+
+/**
+ * GET /api/iflows/parameters/search
+ * Find iFlows by externalized parameter
+ * Query: name (parameter name, case-insensitive) and/or value (part of the default value);
+ * optional tenantId, packageId, limit, offset
+ */
+router.get('/parameters/search', async (req, res) => {
+  try {
+    const { name, value, tenantId, packageId, limit = 100, offset = 0 } = req.query;
+    
+    if (!name && !value) {
+      return res.status(400).json({ error: 'Parameter name or value is required' });
+    }
+    
+    const where = {};
+    
+    if (name) {
+      where.parameter_name = { [Op.iLike]: name };
+    }
+    
+    if (value) {
+      where.default_value = { [Op.iLike]: `%${value}%` };
+    }
+    
+    // Parameters are restricted through their iFlow, which also leaves out deleted iFlows
+    const Iflow = await getIflowModel(tenantId);
+    const { count, rows } = await models.IflowParameter.findAndCountAll({
+      where,
+      include: [
+        {
+          model: Iflow,
+          attributes: ['iflow_id', 'iflow_name', 'package_id'],
+          where: packageId ? { package_id: packageId } : undefined,
+          required: true
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['iflow_id', 'ASC'], ['parameter_name', 'ASC']]
+    });
+    
+    res.json({
+      total: count,
+      parameters: rows
+    });
+  } catch (error) {
+    logger.error('Error searching iFlow parameters', { error: error.message });
+    sendError(res, error, 'Failed to search iFlow parameters');
   }
 });
 
@@ -9,7 +9,7 @@ const logger = require('../utils/logger');
  */
 router.post('/query', async (req, res) => {
   try {
-    const { query } = req.body;
+    const { query, tenantId } = req.body;
     
     if (!query) {
       return res.status(400).json({ error: 'Query is required' });
@@ -18,7 +18,7 @@ router.post('/query', async (req, res) => {
     logger.info(`Processing NLP query: ${query}`);
     
     // Process the query using the NLP service
-    const response = await nlpService.processQuery(query);
+    const response = await nlpService.processQuery(query, tenantId);
     
     res.json(response);
   } catch (error) {
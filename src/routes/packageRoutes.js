@@ -3,18 +3,25 @@ const router = express.Router();
 const { Op } = require('sequelize');
 const models = require('../models');
 const logger = require('../utils/logger');
+const tenantService = require('../services/tenantService');
 
 /**
  * GET /api/packages
- * Get all packages with optional filtering
+ * Get all packages with optional filtering (deleted packages only with ?includeDeleted=true)
  */
 router.get('/', async (req, res) => {
   try {
-    const { search, limit = 100, offset = 0 } = req.query;
+    const { tenantId, search, limit = 100, offset = 0 } = req.query;
+    const includeDeleted = req.query.includeDeleted === 'true';
     
     // Build filter conditions
     const where = {};
     
+    if (tenantId) {
+      await tenantService.getTenant(tenantId);
+      where.tenant_id = tenantId;
+    }
+    
     if (search) {
       where[Op.or] = [
         { package_name: { [Op.iLike]: `%${search}%` } },
@@ -25,6 +32,7 @@ router.get('/', async (req, res) => {
     // Execute query
     const { count, rows } = await models.Package.findAndCountAll({
       where,
+      paranoid: !includeDeleted,
       limit: parseInt(limit),
       offset: parseInt(offset),
       order: [['package_name', 'ASC']]
@@ -36,28 +44,47 @@ router.get('/', async (req, res) => {
     });
   } catch (error) {
     logger.error('Error fetching packages', { error: error.message });
+    if (error instanceof tenantService.TenantError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to fetch packages' });
   }
 });
 
 /**
  * GET /api/packages/:id
- * Get a specific package with its iFlows
+ * Get a specific package with its iFlows, value mappings, message mappings and script collections
+ * (deleted package and artifacts only with ?includeDeleted=true)
  */
 router.get('/:id', async (req, res) => {
   try {
     const packageId = req.params.id;
+    const includeDeleted = req.query.includeDeleted === 'true';
     
     const packageData = await models.Package.findByPk(packageId, {
+      paranoid: !includeDeleted,
       include: [
         {
           model: models.Iflow,
+          paranoid: !includeDeleted,
           include: [
             {
               model: models.DeploymentInfo,
               attributes: ['status', 'deployed_on', 'deployed_by']
             }
           ]
+        },
+        {
+          model: models.ValueMapping,
+          paranoid: !includeDeleted
+        },
+        {
+          model: models.MessageMapping,
+          paranoid: !includeDeleted
+        },
+        {
+          model: models.ScriptCollection,
+          paranoid: !includeDeleted
         }
       ]
     });
@@ -84,12 +111,33 @@ router.get('/:id/metrics', async (req, res) => {
     // Get all iFlows in the package
     const iflows = await models.Iflow.findAll({
       where: { package_id: packageId },
-      attributes: ['iflow_id']
+      attributes: ['iflow_id', 'complexity_score', 'complexity_level']
+    });
+    
+    // Count the other artifacts of the package
+    const artifactCounts = {
+      value_mappings: await models.ValueMapping.count({ where: { package_id: packageId } }),
+      message_mappings: await models.MessageMapping.count({ where: { package_id: packageId } }),
+      script_collections: await models.ScriptCollection.count({ where: { package_id: packageId } })
+    };
+    
+    // Add up the complexity scores of the analysed iFlows
+    const scoredIflows = iflows.filter(iflow => iflow.complexity_score !== null);
+    const totalScore = scoredIflows.reduce((total, iflow) => total + iflow.complexity_score, 0);
+    const complexity = {
+      total_score: totalScore,
+      avg_score: scoredIflows.length > 0 ? Math.round((totalScore / scoredIflows.length) * 10) / 10 : 0,
+      levels: { Low: 0, Medium: 0, High: 0 }
+    };
+    scoredIflows.forEach(iflow => {
+      complexity.levels[iflow.complexity_level] += 1;
     });
     
     if (iflows.length === 0) {
       return res.json({
         iflow_count: 0,
+        artifact_counts: artifactCounts,
+        complexity,
         deployment_statuses: [],
         runtime_metrics: {
           total_success: 0,
@@ -128,6 +176,8 @@ router.get('/:id/metrics', async (req, res) => {
     
     res.json({
       iflow_count: iflows.length,
+      artifact_counts: artifactCounts,
+      complexity,
       deployment_statuses: deploymentStatusCounts,
       runtime_metrics: runtimeMetrics[0]
     });
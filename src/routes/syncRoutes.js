@@ -1,48 +1,434 @@
 const express = require('express');
 const router = express.Router();
 const syncJob = require('../jobs/syncJob');
+const syncRunService = require('../services/syncRunService');
+const syncLockService = require('../services/syncLockService');
+const syncProgressService = require('../services/syncProgressService');
+const reprocessService = require('../services/reprocessService');
+const tenantService = require('../services/tenantService');
+const models = require('../models');
 const logger = require('../utils/logger');
 
+// Interval of the comments that keep idle event streams open through proxies
+const EVENT_STREAM_HEARTBEAT_MS = 15000;
+
+// How often the stream of a run active on another server instance checks whether it finished
+const EVENT_STREAM_POLL_MS = 5000;
+
+/**
+ * Read the fullRefresh flag from the request body or query string
+ * @param {Object} req - Express request object
+ * @returns {boolean} True if a full refresh was requested
+ */
+const isFullRefreshRequested = (req) => {
+  const value = (req.body && req.body.fullRefresh) ?? req.query.fullRefresh;
+  return value === true || value === 'true';
+};
+
+/**
+ * Read the tenant ID from the request body or query string
+ * @param {Object} req - Express request object
+ * @returns {string|null} Tenant ID, or null for the default tenant
+ */
+const getRequestedTenantId = (req) => {
+  return (req.body && req.body.tenantId) || req.query.tenantId || null;
+};
+
+/**
+ * Send the response for a sync request that was refused because the tenant is already syncing
+ * @param {Object} res - Express response object
+ * @param {Object} error - SyncInProgressError
+ * @returns {Object} Express response
+ */
+const sendAlreadyRunning = (res, error) => {
+  return res.status(409).json({
+    error: 'A synchronization of this tenant is already running',
+    status: 'running',
+    runId: error.runId,
+    tenantId: error.tenantId
+  });
+};
+
 /**
  * POST /api/sync
  * Trigger an immediate data synchronization
+ * Unchanged iFlows are skipped unless { fullRefresh: true } is passed
+ * The tenant defaults to the environment tenant unless { tenantId } is passed
+ * Responds with 409 and the active run's ID if the tenant is already syncing
  */
 router.post('/', async (req, res) => {
   try {
-    logger.info('Manual sync triggered by API request');
+    const fullRefresh = isFullRefreshRequested(req);
+    const tenantId = getRequestedTenantId(req);
     
-    // Start sync in background
-    syncJob.runImmediateSync()
-      .then(() => {
-        logger.info('Manual sync completed successfully');
-      })
-      .catch(error => {
-        logger.error('Manual sync failed', { error: error.message });
-      });
+    logger.info('Manual sync triggered by API request', { fullRefresh, tenantId });
+    
+    // Start sync in background and return the run handle immediately to avoid timeout
+    const run = await syncJob.startBackgroundSync('API', { fullRefresh, tenantId });
     
-    // Return immediately to avoid timeout
     res.json({
       message: 'Data synchronization started',
-      status: 'processing'
+      status: 'processing',
+      runId: run.runId,
+      tenantId: run.tenantId,
+      fullRefresh
     });
   } catch (error) {
+    if (error instanceof syncLockService.SyncInProgressError) {
+      return sendAlreadyRunning(res, error);
+    }
+    if (error instanceof tenantService.TenantError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     logger.error('Error triggering manual sync', { error: error.message });
     res.status(500).json({ error: 'Failed to trigger data synchronization' });
   }
 });
 
+/**
+ * POST /api/sync/packages/:packageId
+ * Trigger a synchronization of a single package and its iFlows
+ * Unchanged iFlows are skipped unless { fullRefresh: true } is passed
+ */
+router.post('/packages/:packageId', async (req, res) => {
+  try {
+    const { packageId } = req.params;
+    const fullRefresh = isFullRefreshRequested(req);
+    const tenantId = getRequestedTenantId(req);
+    
+    logger.info(`Package sync triggered by API request: ${packageId}`, { fullRefresh, tenantId });
+    
+    const run = await syncJob.startPackageSync(packageId, 'API', { fullRefresh, tenantId });
+    
+    res.json({
+      message: `Synchronization of package ${packageId} started`,
+      status: 'processing',
+      runId: run.runId,
+      tenantId: run.tenantId,
+      fullRefresh
+    });
+  } catch (error) {
+    if (error instanceof syncLockService.SyncInProgressError) {
+      return sendAlreadyRunning(res, error);
+    }
+    if (error instanceof tenantService.TenantError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error(`Error triggering sync for package ${req.params.packageId}`, { error: error.message });
+    res.status(500).json({ error: 'Failed to trigger package synchronization' });
+  }
+});
+
+/**
+ * POST /api/sync/iflows/:iflowId
+ * Trigger a synchronization of a single iFlow
+ * Body (optional): { version, packageId, tenantId } - version defaults to the active version,
+ * packageId defaults to the package the iFlow belongs to in SAP
+ */
+router.post('/iflows/:iflowId', async (req, res) => {
+  try {
+    const { iflowId } = req.params;
+    const body = req.body || {};
+    const version = body.version || req.query.version || 'active';
+    const tenantId = getRequestedTenantId(req);
+    let packageId = body.packageId || req.query.packageId || null;
+    
+    // Prefer the package already known for this iFlow
+    if (!packageId) {
+      const tenant = await tenantService.resolveTenant(tenantId);
+      const existingIflow = await models.Iflow.findOne({
+        where: { tenant_id: tenant.tenant_id, artifact_id: iflowId },
+        attributes: ['iflow_id'],
+        include: [{ model: models.Package, attributes: ['artifact_id'] }]
+      });
+      packageId = existingIflow ? existingIflow.package.artifact_id : null;
+    }
+    
+    logger.info(`iFlow sync triggered by API request: ${iflowId} (version: ${version})`, { tenantId });
+    
+    const run = await syncJob.startIflowSync(iflowId, { packageId, version, tenantId }, 'API');
+    
+    res.json({
+      message: `Synchronization of iFlow ${iflowId} started`,
+      status: 'processing',
+      runId: run.runId,
+      tenantId: run.tenantId
+    });
+  } catch (error) {
+    if (error instanceof syncLockService.SyncInProgressError) {
+      return sendAlreadyRunning(res, error);
+    }
+    if (error instanceof tenantService.TenantError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error(`Error triggering sync for iFlow ${req.params.iflowId}`, { error: error.message });
+    res.status(500).json({ error: 'Failed to trigger iFlow synchronization' });
+  }
+});
+
+/**
+ * POST /api/sync/reprocess
+ * Re-run the extractors and processors over the archived ZIPs of stored iFlows, without calling SAP
+ * Body (optional): { tenantId, packageId, iflowId } - restrict to a package or a single iFlow
+ * Responds when the reprocessing finished, with what changed per iFlow
+ */
+router.post('/reprocess', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const tenantId = getRequestedTenantId(req);
+    const packageId = body.packageId || req.query.packageId || null;
+    const iflowId = body.iflowId || req.query.iflowId || null;
+    
+    logger.info('Reprocessing of archived iFlows triggered by API request', { tenantId, packageId, iflowId });
+    
+    const result = await reprocessService.reprocessArchivedIflows({ tenantId, packageId, iflowId });
+    
+    if (!result) {
+      return res.status(404).json({ error: iflowId ? 'iFlow not found' : 'Package not found' });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    if (error instanceof syncLockService.SyncInProgressError) {
+      return sendAlreadyRunning(res, error);
+    }
+    if (error instanceof tenantService.TenantError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Error reprocessing archived iFlows', { error: error.message });
+    res.status(500).json({ error: 'Failed to reprocess archived iFlows' });
+  }
+});
+
 /**
  * GET /api/sync/status
- * Get the status of the last synchronization
- * Note: This is a placeholder. In a production system, you would track sync status in the database.
- */
-router.get('/status', (req, res) => {
-  // In a real implementation, you would store sync status in the database
-  // and retrieve the latest status here
-  res.json({
-    message: 'Sync status endpoint',
-    note: 'This is a placeholder. Implement actual status tracking in production.'
-  });
+ * Get the status of the latest synchronization run
+ * Query (optional): tenantId - restrict to runs of a tenant
+ */
+router.get('/status', async (req, res) => {
+  try {
+    const { tenantId } = req.query;
+    
+    if (tenantId) {
+      await tenantService.getTenant(tenantId);
+    }
+    
+    const [latestRun, activeRun, lastFinishedRun] = await Promise.all([
+      syncRunService.getLatestRun(tenantId ? { tenant_id: tenantId } : {}),
+      syncRunService.getActiveRun(tenantId),
+      syncRunService.getLastFinishedRun(tenantId)
+    ]);
+    
+    res.json({
+      isRunning: !!activeRun,
+      activeRun,
+      latestRun,
+      lastSuccessfulSync: lastFinishedRun ? lastFinishedRun.finished_at : null
+    });
+  } catch (error) {
+    logger.error('Error fetching sync status', { error: error.message });
+    if (error instanceof tenantService.TenantError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to fetch sync status' });
+  }
+});
+
+/**
+ * GET /api/sync/runs
+ * Get the history of synchronization runs
+ */
+router.get('/runs', async (req, res) => {
+  try {
+    const { tenantId, status, trigger, limit = 20, offset = 0 } = req.query;
+    
+    if (tenantId) {
+      await tenantService.getTenant(tenantId);
+    }
+    
+    const result = await syncRunService.listRuns({ tenantId, status, trigger, limit, offset });
+    
+    res.json(result);
+  } catch (error) {
+    logger.error('Error fetching sync runs', { error: error.message });
+    if (error instanceof tenantService.TenantError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to fetch sync runs' });
+  }
+});
+
+/**
+ * GET /api/sync/runs/:id
+ * Get a specific synchronization run
+ */
+router.get('/runs/:id', async (req, res) => {
+  try {
+    const run = await syncRunService.findRun(req.params.id);
+    
+    if (!run) {
+      return res.status(404).json({ error: 'Sync run not found' });
+    }
+    
+    res.json(run);
+  } catch (error) {
+    logger.error(`Error fetching sync run ${req.params.id}`, { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch sync run' });
+  }
+});
+
+/**
+ * Write a server-sent event
+ * @param {Object} res - Express response object
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ */
+const writeEvent = (res, type, data) => {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Build the final event of a stored sync run
+ * @param {Object} run - SyncRun record
+ * @returns {Object} Event payload
+ */
+const buildFinishedEvent = (run) => {
+  return {
+    runId: run.sync_run_id,
+    phase: 'finished',
+    status: run.status,
+    counts: syncRunService.getRunCounts(run),
+    error: run.error_message
+  };
+};
+
+/**
+ * GET /api/sync/runs/:id/events
+ * Stream the progress of a sync run as server-sent events
+ * Events: progress (phase, package, iFlow counters and counts), warning, sync-error and finished;
+ * the stream ends with the finished event
+ */
+router.get('/runs/:id/events', async (req, res) => {
+  try {
+    const run = await syncRunService.findRun(req.params.id);
+    
+    if (!run) {
+      return res.status(404).json({ error: 'Sync run not found' });
+    }
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    const runId = run.sync_run_id;
+    const timers = [];
+    let unsubscribe = null;
+    
+    const closeStream = () => {
+      timers.forEach(timer => clearInterval(timer));
+      if (unsubscribe) {
+        unsubscribe();
+      }
+      res.end();
+    };
+    req.on('close', closeStream);
+    
+    // Listen before reading the progress so the finished event cannot be missed
+    unsubscribe = syncProgressService.subscribe(runId, ({ type, data }) => {
+      writeEvent(res, type, data);
+      if (type === 'finished') {
+        closeStream();
+      }
+    });
+    
+    const progress = syncProgressService.getProgress(runId);
+    if (progress) {
+      writeEvent(res, 'progress', { runId, ...progress });
+    } else {
+      await run.reload();
+      if (run.status !== 'Running') {
+        writeEvent(res, 'finished', buildFinishedEvent(run));
+        return closeStream();
+      }
+      
+      // Progress is only known to the instance running the sync; report when it finishes
+      writeEvent(res, 'progress', { runId, phase: 'running', tenantId: run.tenant_id, syncType: run.sync_type });
+      timers.push(setInterval(async () => {
+        try {
+          await run.reload();
+          if (run.status !== 'Running') {
+            writeEvent(res, 'finished', buildFinishedEvent(run));
+            closeStream();
+          }
+        } catch (error) {
+          logger.error(`Error polling sync run ${runId}`, { error: error.message });
+        }
+      }, EVENT_STREAM_POLL_MS));
+    }
+    
+    timers.push(setInterval(() => res.write(': keep-alive\n\n'), EVENT_STREAM_HEARTBEAT_MS));
+  } catch (error) {
+    logger.error(`Error streaming events of sync run ${req.params.id}`, { error: error.message });
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ error: 'Failed to stream sync run events' });
+  }
+});
+
+/**
+ * POST /api/sync/runs/:id/cancel
+ * Cancel a running synchronization; it stops between artifacts and finishes as Cancelled
+ */
+router.post('/runs/:id/cancel', async (req, res) => {
+  try {
+    const run = await syncRunService.findRun(req.params.id);
+    
+    if (!run) {
+      return res.status(404).json({ error: 'Sync run not found' });
+    }
+    
+    if (!(await syncRunService.requestCancel(run.sync_run_id))) {
+      await run.reload();
+      return res.status(409).json({ error: `Sync run is not running (status: ${run.status})` });
+    }
+    
+    res.json({
+      message: 'Cancellation requested',
+      status: 'cancelling',
+      runId: run.sync_run_id
+    });
+  } catch (error) {
+    logger.error(`Error cancelling sync run ${req.params.id}`, { error: error.message });
+    res.status(500).json({ error: 'Failed to cancel sync run' });
+  }
+});
+
+/**
+ * GET /api/sync/runs/:id/errors
+ * Get the errors recorded during a specific synchronization run
+ */
+router.get('/runs/:id/errors', async (req, res) => {
+  try {
+    const { phase, limit = 100, offset = 0 } = req.query;
+    
+    const run = await syncRunService.findRun(req.params.id);
+    
+    if (!run) {
+      return res.status(404).json({ error: 'Sync run not found' });
+    }
+    
+    const result = await syncRunService.getRunErrors(run.sync_run_id, { phase, limit, offset });
+    
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error fetching errors for sync run ${req.params.id}`, { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch sync run errors' });
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
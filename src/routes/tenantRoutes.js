@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const models = require('../models');
+const syncJob = require('../jobs/syncJob');
+const tenantService = require('../services/tenantService');
+const logger = require('../utils/logger');
+
+/**
+ * Check whether another tenant already uses a name
+ * @param {string} name - Tenant name
+ * @param {string|null} excludeTenantId - Tenant to ignore (the one being updated)
+ * @returns {Promise<boolean>} True if the name is taken
+ */
+const isTenantNameTaken = async (name, excludeTenantId = null) => {
+  const where = { tenant_name: name };
+  if (excludeTenantId) {
+    where.tenant_id = { [Op.ne]: excludeTenantId };
+  }
+  return (await models.Tenant.count({ where })) > 0;
+};
+
+/**
+ * GET /api/tenants
+ * Get all tenants (retired tenants only with ?includeRetired=true)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const includeRetired = req.query.includeRetired === 'true';
+    
+    const tenants = await tenantService.listTenants({ includeRetired });
+    
+    res.json({
+      total: tenants.length,
+      tenants: tenants.map(tenantService.toTenantResponse)
+    });
+  } catch (error) {
+    logger.error('Error fetching tenants', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch tenants' });
+  }
+});
+
+/**
+ * GET /api/tenants/:id
+ * Get a specific tenant
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const tenant = await tenantService.findTenant(req.params.id);
+    
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+    
+    res.json(tenantService.toTenantResponse(tenant));
+  } catch (error) {
+    logger.error(`Error fetching tenant ${req.params.id}`, { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch tenant' });
+  }
+});
+
+/**
+ * POST /api/tenants
+ * Register a new tenant and schedule its synchronization
+ * Body: { name, url, tokenUrl, clientId, clientSecret, syncSchedule (optional) }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const settings = req.body || {};
+    
+    const errors = tenantService.validateTenantSettings(settings);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid tenant settings', details: errors });
+    }
+    
+    if (await isTenantNameTaken(settings.name)) {
+      return res.status(409).json({ error: `A tenant named ${settings.name} already exists` });
+    }
+    
+    const tenant = await tenantService.createTenant(settings);
+    syncJob.scheduleTenantSync(tenant);
+    
+    res.status(201).json(tenantService.toTenantResponse(tenant));
+  } catch (error) {
+    logger.error('Error registering tenant', { error: error.message });
+    res.status(500).json({ error: 'Failed to register tenant' });
+  }
+});
+
+/**
+ * PUT /api/tenants/:id
+ * Update the settings of a tenant and reschedule its synchronization
+ * Body: any of { name, url, tokenUrl, clientId, clientSecret, syncSchedule, isActive }
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const settings = req.body || {};
+    
+    const tenant = await tenantService.findTenant(req.params.id);
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+    
+    const errors = tenantService.validateTenantSettings(settings, true);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid tenant settings', details: errors });
+    }
+    
+    if (tenant.is_default && settings.isActive !== undefined && !(settings.isActive === true || settings.isActive === 'true')) {
+      return res.status(400).json({ error: 'The default tenant is configured through environment variables and cannot be retired' });
+    }
+    
+    if (settings.name && await isTenantNameTaken(settings.name, tenant.tenant_id)) {
+      return res.status(409).json({ error: `A tenant named ${settings.name} already exists` });
+    }
+    
+    await tenantService.updateTenant(tenant, settings);
+    
+    if (tenant.is_active) {
+      syncJob.scheduleTenantSync(tenant);
+    } else {
+      syncJob.unscheduleTenantSync(tenant.tenant_id);
+    }
+    
+    res.json(tenantService.toTenantResponse(tenant));
+  } catch (error) {
+    logger.error(`Error updating tenant ${req.params.id}`, { error: error.message });
+    res.status(500).json({ error: 'Failed to update tenant' });
+  }
+});
+
+/**
+ * DELETE /api/tenants/:id
+ * Retire a tenant: its synchronization stops, synced data and sync history are kept
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const tenant = await tenantService.findTenant(req.params.id);
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+    
+    if (tenant.is_default) {
+      return res.status(400).json({ error: 'The default tenant is configured through environment variables and cannot be retired' });
+    }
+    
+    await tenantService.retireTenant(tenant);
+    syncJob.unscheduleTenantSync(tenant.tenant_id);
+    
+    res.json({
+      message: `Tenant ${tenant.tenant_name} retired`,
+      tenant: tenantService.toTenantResponse(tenant)
+    });
+  } catch (error) {
+    logger.error(`Error retiring tenant ${req.params.id}`, { error: error.message });
+    res.status(500).json({ error: 'Failed to retire tenant' });
+  }
+});
+
+/**
+ * POST /api/tenants/:id/test-connection
+ * Get an OAuth token and read one integration package to check the tenant settings
+ * Responds with the outcome of each step, including the error details of a failed step
+ */
+router.post('/:id/test-connection', async (req, res) => {
+  try {
+    const tenant = await tenantService.findTenant(req.params.id);
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+    
+    const result = await tenantService.testTenantConnection(tenant);
+    
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error testing connection of tenant ${req.params.id}`, { error: error.message });
+    res.status(500).json({ error: 'Failed to test tenant connection' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+// scripts/importArchives.js - Import exported package and iFlow ZIPs into an offline tenant
+// Usage: npm run import-archives -- <directory> [--tenant <offline tenant name>]
+const { sequelize } = require('../config/database');
+const archiveImportService = require('../services/archiveImportService');
+const logger = require('../utils/logger');
+
+/**
+ * Read the directory and tenant name from the command line
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} Directory and options
+ */
+const parseArguments = (args) => {
+  const options = {};
+  let directory = null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--tenant') {
+      options.tenantName = args[++i];
+    } else {
+      directory = args[i];
+    }
+  }
+
+  return { directory, options };
+};
+
+/**
+ * Run the import and exit with a non-zero code if any archive or iFlow failed
+ */
+const main = async () => {
+  const { directory, options } = parseArguments(process.argv.slice(2));
+  if (!directory) {
+    console.error('Usage: npm run import-archives -- <directory> [--tenant <offline tenant name>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await sequelize.authenticate();
+    const result = await archiveImportService.importArchiveDirectory(directory, options);
+    console.log(JSON.stringify(result, null, 2));
+    process.exitCode = result.counts.errors > 0 ? 1 : 0;
+  } catch (error) {
+    logger.error('Archive import failed', { error: error.message });
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+};
+
+main();
@@ -0,0 +1,187 @@
+// scripts/migrateArtifactIds.js - Move packages, iFlows and package artifacts from SAP-based IDs to generated IDs
+// Usage: npm run migrate-artifact-ids (run once before starting a version that keys artifacts by tenant and SAP ID)
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const { Iflow } = require('../models');
+const logger = require('../utils/logger');
+
+const UUID_PATTERN = '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$';
+const REKEY_CHUNK_SIZE = 1000;
+
+// Package artifacts and the column holding their stored ID
+const PACKAGE_ARTIFACT_TABLES = {
+  value_mapping: 'value_mapping_id',
+  message_mapping: 'message_mapping_id',
+  script_collection: 'script_collection_id'
+};
+
+/**
+ * Build the SQL that strips the tenant prefix from an old stored ID
+ * Stored IDs were "<tenant ID>:<SAP ID>" for every tenant except the default one, which kept the plain SAP ID
+ * @param {string} idColumn - Qualified column holding the old stored ID
+ * @param {string} tenantColumn - Qualified column holding the tenant ID
+ * @returns {string} SQL expression for the SAP ID
+ */
+const sapIdExpression = (idColumn, tenantColumn) => {
+  return `CASE WHEN ${idColumn} LIKE ${tenantColumn}::text || ':%' ` +
+    `THEN substr(${idColumn}, length(${tenantColumn}::text) + 2) ELSE ${idColumn} END`;
+};
+
+/**
+ * Add the artifact and tenant columns without constraints and fill them from the old stored IDs
+ * @param {Object} transaction - Migration transaction
+ * @returns {Promise<void>}
+ */
+const addArtifactColumns = async (transaction) => {
+  const tables = ['package', 'iflow', ...Object.keys(PACKAGE_ARTIFACT_TABLES)];
+  for (const table of tables) {
+    await sequelize.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS artifact_id VARCHAR(255)`, { transaction });
+  }
+  await sequelize.query('ALTER TABLE iflow ADD COLUMN IF NOT EXISTS tenant_id UUID ' +
+    `REFERENCES tenant (tenant_id) ON DELETE ${Iflow.rawAttributes.tenant_id.onDelete} ON UPDATE ${Iflow.rawAttributes.tenant_id.onUpdate}`,
+  { transaction });
+
+  await sequelize.query(`UPDATE package SET artifact_id = ${sapIdExpression('package_id', 'tenant_id')} ` +
+    'WHERE artifact_id IS NULL', { transaction });
+
+  await sequelize.query('UPDATE iflow SET tenant_id = package.tenant_id FROM package ' +
+    'WHERE iflow.package_id = package.package_id AND iflow.tenant_id IS NULL', { transaction });
+  await sequelize.query(`UPDATE iflow SET artifact_id = ${sapIdExpression('iflow_id', 'tenant_id')} ` +
+    'WHERE artifact_id IS NULL', { transaction });
+
+  for (const [table, idColumn] of Object.entries(PACKAGE_ARTIFACT_TABLES)) {
+    await sequelize.query(`UPDATE ${table} SET artifact_id = ${sapIdExpression(`${table}.${idColumn}`, 'package.tenant_id')} ` +
+      `FROM package WHERE ${table}.package_id = package.package_id AND ${table}.artifact_id IS NULL`, { transaction });
+  }
+};
+
+/**
+ * Find the foreign keys that point at a table
+ * @param {string} table - Referenced table
+ * @param {Object} transaction - Migration transaction
+ * @returns {Promise<Array>} Constraint name, referencing table and column, and constraint definition
+ */
+const findReferencingKeys = async (table, transaction) => {
+  return sequelize.query(
+    'SELECT c.conname AS name, c.conrelid::regclass::text AS table_name, a.attname AS column_name, ' +
+    'pg_get_constraintdef(c.oid) AS definition FROM pg_constraint c ' +
+    'JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = c.conkey[1] ' +
+    'WHERE c.contype = \'f\' AND c.confrelid = CAST(:table AS regclass)',
+    { replacements: { table }, type: sequelize.QueryTypes.SELECT, transaction }
+  );
+};
+
+/**
+ * Give every row of a table that is still keyed by an old stored ID a generated ID, and follow it in the referencing tables
+ * The foreign keys are dropped while the IDs change and then created again unchanged
+ * @param {string} table - Table to rekey
+ * @param {string} idColumn - Primary key column
+ * @param {Object} transaction - Migration transaction
+ * @returns {Promise<number>} Number of rekeyed rows
+ */
+const rekeyTable = async (table, idColumn, transaction) => {
+  const rows = await sequelize.query(`SELECT ${idColumn} AS id FROM ${table} WHERE ${idColumn} !~* '${UUID_PATTERN}'`,
+    { type: sequelize.QueryTypes.SELECT, transaction });
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  const mappingTable = `${table}_rekey`;
+  await sequelize.query(`CREATE TEMPORARY TABLE ${mappingTable} (old_id VARCHAR(255) PRIMARY KEY, new_id VARCHAR(255) NOT NULL) ON COMMIT DROP`,
+    { transaction });
+  for (let i = 0; i < rows.length; i += REKEY_CHUNK_SIZE) {
+    const chunk = rows.slice(i, i + REKEY_CHUNK_SIZE).map(row => [row.id, crypto.randomUUID()]);
+    await sequelize.query(`INSERT INTO ${mappingTable} (old_id, new_id) VALUES ${chunk.map(() => '(?, ?)').join(', ')}`,
+      { replacements: chunk.flat(), transaction });
+  }
+
+  const referencingKeys = await findReferencingKeys(table, transaction);
+  for (const key of referencingKeys) {
+    await sequelize.query(`ALTER TABLE ${key.table_name} DROP CONSTRAINT "${key.name}"`, { transaction });
+  }
+  for (const key of referencingKeys) {
+    await sequelize.query(`UPDATE ${key.table_name} SET "${key.column_name}" = ${mappingTable}.new_id FROM ${mappingTable} ` +
+      `WHERE ${key.table_name}."${key.column_name}" = ${mappingTable}.old_id`, { transaction });
+  }
+  await sequelize.query(`UPDATE ${table} SET ${idColumn} = ${mappingTable}.new_id FROM ${mappingTable} ` +
+    `WHERE ${table}.${idColumn} = ${mappingTable}.old_id`, { transaction });
+  for (const key of referencingKeys) {
+    await sequelize.query(`ALTER TABLE ${key.table_name} ADD CONSTRAINT "${key.name}" ${key.definition}`, { transaction });
+  }
+
+  return rows.length;
+};
+
+/**
+ * Put the NOT NULL constraints and the tenant and package unique indexes on the filled columns
+ * @param {Object} transaction - Migration transaction
+ * @returns {Promise<void>}
+ */
+const addArtifactConstraints = async (transaction) => {
+  const tables = ['package', 'iflow', ...Object.keys(PACKAGE_ARTIFACT_TABLES)];
+  for (const table of tables) {
+    await sequelize.query(`ALTER TABLE ${table} ALTER COLUMN artifact_id SET NOT NULL`, { transaction });
+  }
+  await sequelize.query('ALTER TABLE iflow ALTER COLUMN tenant_id SET NOT NULL', { transaction });
+
+  await sequelize.query('DROP INDEX IF EXISTS idx_iflow_package_name', { transaction });
+  await sequelize.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_package_tenant_artifact ON package (tenant_id, artifact_id)',
+    { transaction });
+  await sequelize.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_iflow_tenant_artifact ON iflow (tenant_id, artifact_id)',
+    { transaction });
+  await sequelize.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_iflow_tenant_package_name ON iflow (tenant_id, package_id, iflow_name) ' +
+    'WHERE deleted_at IS NULL', { transaction });
+  for (const table of Object.keys(PACKAGE_ARTIFACT_TABLES)) {
+    await sequelize.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_${table}_package_artifact ON ${table} (package_id, artifact_id)`,
+      { transaction });
+  }
+};
+
+/**
+ * Migrate the stored IDs in one transaction; running it again only picks up rows that still have old IDs
+ * @returns {Promise<Object|null>} Number of rekeyed rows per table, or null if there is no schema to migrate
+ */
+const migrateArtifactIds = async () => {
+  const tables = await sequelize.getQueryInterface().showAllTables();
+  if (!tables.includes('package') || !tables.includes('iflow')) {
+    return null;
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    await addArtifactColumns(transaction);
+
+    // Packages first: their new IDs are written into the iFlows and package artifacts before those are rekeyed
+    const rekeyed = {
+      package: await rekeyTable('package', 'package_id', transaction),
+      iflow: await rekeyTable('iflow', 'iflow_id', transaction)
+    };
+    for (const [table, idColumn] of Object.entries(PACKAGE_ARTIFACT_TABLES)) {
+      rekeyed[table] = await rekeyTable(table, idColumn, transaction);
+    }
+
+    await addArtifactConstraints(transaction);
+    return rekeyed;
+  });
+};
+
+/**
+ * Run the migration and exit with a non-zero code if it failed; a failed migration changes nothing
+ */
+const main = async () => {
+  try {
+    await sequelize.authenticate();
+    const result = await migrateArtifactIds();
+    if (!result) {
+      console.log('No package or iFlow tables found, nothing to migrate');
+      return;
+    }
+    console.log(JSON.stringify(result));
+  } catch (error) {
+    logger.error('Artifact ID migration failed', { error: error.message });
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+};
+
+main();
@@ -0,0 +1,55 @@
+// scripts/reprocessArchives.js - Re-run the extractors and processors over archived iFlow ZIPs without calling SAP
+// Usage: npm run reprocess -- [--tenant <tenant ID>] [--package <package ID>] [--iflow <iFlow ID>]
+const { sequelize } = require('../config/database');
+const reprocessService = require('../services/reprocessService');
+const logger = require('../utils/logger');
+
+/**
+ * Read the tenant, package and iFlow from the command line
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object|null} Reprocess options, or null if an argument is not understood
+ */
+const parseArguments = (args) => {
+  const names = { '--tenant': 'tenantId', '--package': 'packageId', '--iflow': 'iflowId' };
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (!names[args[i]] || !args[i + 1]) {
+      return null;
+    }
+    options[names[args[i]]] = args[++i];
+  }
+
+  return options;
+};
+
+/**
+ * Run the reprocessing and exit with a non-zero code if the scope does not exist or any iFlow failed
+ */
+const main = async () => {
+  const options = parseArguments(process.argv.slice(2));
+  if (!options) {
+    console.error('Usage: npm run reprocess -- [--tenant <tenant ID>] [--package <package ID>] [--iflow <iFlow ID>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await sequelize.authenticate();
+    const result = await reprocessService.reprocessArchivedIflows(options);
+    if (!result) {
+      console.error(options.iflowId ? `iFlow ${options.iflowId} not found` : `Package ${options.packageId} not found`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(JSON.stringify(result, null, 2));
+    process.exitCode = result.counts.errors > 0 ? 1 : 0;
+  } catch (error) {
+    logger.error('Reprocessing failed', { error: error.message });
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+};
+
+main();
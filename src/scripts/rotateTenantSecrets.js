@@ -0,0 +1,31 @@
+// scripts/rotateTenantSecrets.js - Re-encrypt tenant client secrets with the current master key
+// Usage: SECRET_ENCRYPTION_KEY=<new key> SECRET_ENCRYPTION_PREVIOUS_KEYS=<old key> npm run rotate-secrets
+const { sequelize } = require('../config/database');
+const tenantService = require('../services/tenantService');
+const secretCipher = require('../utils/secretCipher');
+const logger = require('../utils/logger');
+
+/**
+ * Run the rotation and exit with a non-zero code if any secret could not be re-encrypted
+ */
+const main = async () => {
+  if (!secretCipher.isEncryptionConfigured()) {
+    logger.error('SECRET_ENCRYPTION_KEY is not configured');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await sequelize.authenticate();
+    const result = await tenantService.rotateTenantSecrets();
+    console.log(JSON.stringify(result));
+    process.exitCode = result.failed > 0 ? 1 : 0;
+  } catch (error) {
+    logger.error('Tenant secret rotation failed', { error: error.message });
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+};
+
+main();
@@ -0,0 +1,218 @@
+// services/analyzerRegistry.js - Registry of the extractor/processor pairs that analyse iFlow archives
+const path = require('path');
+const logger = require('../utils/logger');
+const models = require('../models');
+const syncRunService = require('./syncRunService');
+
+// Parts of a downloaded or uploaded iFlow ZIP an analyzer can read, with their value if the ZIP lacks them
+const ANALYZER_INPUTS = {
+  parsedXml: null,
+  scripts: [],
+  parameterFiles: {}
+};
+
+// Keys of an analysis that are not analyzer results
+const RESERVED_NAMES = ['flow', 'analyzerErrors'];
+
+// Registered analyzers, in the order they run and store their results
+const analyzers = [];
+
+/**
+ * Register an extractor/processor pair that runs for every analysed iFlow
+ * @param {Object} analyzer - Analyzer definition
+ * @param {string} analyzer.name - Key of the result in the analysis
+ * @param {Array<string>} analyzer.reads - Inputs the extractor reads: parsedXml, scripts, parameterFiles
+ *   or the name of an analyzer registered before
+ * @param {string} analyzer.produces - What the result holds
+ * @param {Function} analyzer.extract - (inputs, flowId) => extracted data
+ * @param {Function} analyzer.process - (flowDetails, extracted) => result (null if there is nothing to report,
+ *   never undefined)
+ * @param {Function} analyzer.persist - async (iflowId, result, runContext) => void (optional,
+ *   the result is stored in the iflow_analysis table without it)
+ * @param {string} analyzer.stores - Where persist stores the result (optional)
+ * @returns {Object} Registered analyzer
+ * @throws {Error} If the definition is invalid or the name is taken
+ */
+const registerAnalyzer = (analyzer) => {
+  const { name, reads = [], extract, process, persist } = analyzer || {};
+
+  if (!name || typeof name !== 'string') {
+    throw new Error('Analyzer must have a name');
+  }
+  if (RESERVED_NAMES.includes(name) || analyzers.some(registered => registered.name === name)) {
+    throw new Error(`Analyzer name ${name} is already taken`);
+  }
+  if (typeof extract !== 'function' || typeof process !== 'function') {
+    throw new Error(`Analyzer ${name} must have extract and process functions`);
+  }
+  if (persist !== undefined && typeof persist !== 'function') {
+    throw new Error(`persist of analyzer ${name} must be a function`);
+  }
+
+  const unknownInputs = reads.filter(input => !(input in ANALYZER_INPUTS) && !analyzers.some(registered => registered.name === input));
+  if (unknownInputs.length > 0) {
+    throw new Error(`Analyzer ${name} reads unknown inputs: ${unknownInputs.join(', ')}`);
+  }
+
+  const registered = {
+    ...analyzer,
+    reads,
+    stores: persist ? analyzer.stores || null : 'iflow_analysis',
+    custom: analyzer.custom === true
+  };
+  analyzers.push(registered);
+
+  logger.debug(`Registered analyzer ${name}`, { reads, custom: registered.custom });
+  return registered;
+};
+
+/**
+ * Register the custom analyzers of the modules listed in an environment variable
+ * Every module exports one analyzer definition or an array of them
+ * @param {string} modulePaths - Comma-separated module paths, relative to the working directory
+ * @returns {Array} Registered analyzers
+ * @throws {Error} If a module cannot be loaded or defines an invalid analyzer
+ */
+const loadCustomAnalyzers = (modulePaths) => {
+  const registered = [];
+
+  (modulePaths || '')
+    .split(',')
+    .map(modulePath => modulePath.trim())
+    .filter(Boolean)
+    .forEach(modulePath => {
+      try {
+        const definitions = require(path.resolve(modulePath));
+        (Array.isArray(definitions) ? definitions : [definitions]).forEach(definition => {
+          registered.push(registerAnalyzer({ ...definition, custom: true }));
+        });
+      } catch (error) {
+        logger.error(`Error loading custom analyzers from ${modulePath}`, { error: error.message });
+        throw error;
+      }
+    });
+
+  if (registered.length > 0) {
+    logger.info(`Loaded ${registered.length} custom analyzer(s)`, { analyzers: registered.map(analyzer => analyzer.name) });
+  }
+  return registered;
+};
+
+/**
+ * Describe the registered analyzers
+ * @returns {Array} Name, inputs, result and storage of every analyzer, in the order they run
+ */
+const getAnalyzers = () => {
+  return analyzers.map(({ name, reads, produces, stores, custom }) => ({
+    name,
+    reads,
+    produces: produces || null,
+    stores,
+    custom
+  }));
+};
+
+/**
+ * Run every registered analyzer over an iFlow
+ * An analyzer that throws or whose process returns undefined is left out of the analysis, and so are
+ * the analyzers that read its result; the other analyzers still run
+ * @param {Object} flowDetails - Flow details (id, parsedXml, scripts, parameterFiles)
+ * @returns {Object} Results by analyzer name, and the analyzers that failed
+ */
+const runAnalyzers = (flowDetails) => {
+  const results = {};
+  const failures = [];
+  // Failures are tracked by name: a null result is a valid input for the analyzers that read it
+  const failed = new Set();
+
+  analyzers.forEach(analyzer => {
+    const failedInputs = analyzer.reads.filter(input => failed.has(input));
+    if (failedInputs.length > 0) {
+      logger.warn(`Analyzer ${analyzer.name} skipped: no result of ${failedInputs.join(', ')}`, { flowId: flowDetails.id });
+      failures.push({ analyzer: analyzer.name, error: `Skipped because ${failedInputs.join(', ')} failed` });
+      failed.add(analyzer.name);
+      return;
+    }
+
+    try {
+      const inputs = {};
+      analyzer.reads.forEach(input => {
+        inputs[input] = input in ANALYZER_INPUTS
+          ? flowDetails[input] || ANALYZER_INPUTS[input]
+          : results[input];
+      });
+
+      const extracted = analyzer.extract(inputs, flowDetails.id);
+      const result = analyzer.process(flowDetails, extracted);
+      if (result === undefined) {
+        throw new Error('process returned undefined; return null if there is nothing to report');
+      }
+      results[analyzer.name] = result;
+    } catch (error) {
+      logger.error(`Analyzer ${analyzer.name} failed`, { flowId: flowDetails.id, error: error.message, stack: error.stack });
+      failures.push({ analyzer: analyzer.name, error: error.message });
+      failed.add(analyzer.name);
+    }
+  });
+
+  return { results, failures };
+};
+
+/**
+ * Store the result of an analyzer without its own persistence in the iflow_analysis table
+ * @param {string} iflowId - Stored iFlow ID
+ * @param {string} name - Analyzer name
+ * @param {*} result - Analyzer result
+ * @returns {Promise<void>}
+ */
+const storeAnalysisResult = async (iflowId, name, result) => {
+  const [analysisRecord, created] = await models.IflowAnalysis.findOrCreate({
+    where: { iflow_id: iflowId, analyzer: name },
+    defaults: { result }
+  });
+
+  if (!created) {
+    await analysisRecord.update({ result });
+  }
+};
+
+/**
+ * Store the results of every registered analyzer for an iFlow
+ * Analyzers that failed are recorded as errors of the sync run and keep their previous result
+ * @param {string} iflowId - Stored iFlow ID
+ * @param {Object} analysis - Analysis with the results by analyzer name and the failed analyzers
+ * @param {Object} runContext - Sync run context (optional)
+ * @returns {Promise<void>}
+ */
+const storeAnalyses = async (iflowId, analysis, runContext = null) => {
+  const failed = new Set();
+  for (const failure of analysis.analyzerErrors || []) {
+    failed.add(failure.analyzer);
+    await syncRunService.recordError(runContext, {
+      phase: 'analysis',
+      iflowId,
+      error: `Analyzer ${failure.analyzer} failed: ${failure.error}`
+    });
+  }
+
+  // Storage errors are not caught, so the iFlow fails and is analysed again by the next sync
+  for (const analyzer of analyzers) {
+    if (failed.has(analyzer.name) || analysis[analyzer.name] === undefined) {
+      continue;
+    }
+
+    if (analyzer.persist) {
+      await analyzer.persist(iflowId, analysis[analyzer.name], runContext);
+    } else {
+      await storeAnalysisResult(iflowId, analyzer.name, analysis[analyzer.name]);
+    }
+  }
+};
+
+module.exports = {
+  registerAnalyzer,
+  loadCustomAnalyzers,
+  getAnalyzers,
+  runAnalyzers,
+  storeAnalyses
+};
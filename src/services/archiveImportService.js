@@ -0,0 +1,153 @@
+// services/archiveImportService.js - Import of exported package and iFlow ZIPs into an offline tenant
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const artifactAnalysisService = require('./artifactAnalysisService');
+const dataSyncService = require('./dataSyncService');
+const syncRunService = require('./syncRunService');
+const tenantService = require('./tenantService');
+
+/**
+ * Find all ZIP files below a directory
+ * @param {string} directory - Directory to walk
+ * @returns {Array<string>} ZIP file paths, sorted
+ */
+const findZipFiles = (directory) => {
+  const files = [];
+  fs.readdirSync(directory, { withFileTypes: true }).forEach(entry => {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      // Skip version control and other hidden directories
+      if (!entry.name.startsWith('.')) {
+        files.push(...findZipFiles(entryPath));
+      }
+    } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.zip')) {
+      files.push(entryPath);
+    }
+  });
+  return files.sort();
+};
+
+/**
+ * Build the package an archive is imported into
+ * Package exports carry their own metadata; single iFlow ZIPs are grouped by the directory they are in
+ * @param {Object} archive - Archive from readArtifactArchive
+ * @param {string} filePath - ZIP file path
+ * @returns {Object} Package data (Id, Name, Description)
+ */
+const getArchivePackage = (archive, filePath) => {
+  if (archive.type === 'package') {
+    const fallbackId = path.basename(filePath, path.extname(filePath));
+    return {
+      Id: archive.package.Id || fallbackId,
+      Name: archive.package.Name || archive.package.Id || fallbackId,
+      Description: archive.package.Description || ''
+    };
+  }
+
+  const directoryName = path.basename(path.dirname(path.resolve(filePath)));
+  return { Id: directoryName, Name: directoryName, Description: '' };
+};
+
+/**
+ * Import a single package or iFlow ZIP
+ * @param {string} filePath - ZIP file path
+ * @param {string} rootDirectory - Directory the import started from (for logging)
+ * @param {Object} runContext - Run context of the import
+ * @returns {Promise<Object>} Import result of the file
+ */
+const importArchiveFile = async (filePath, rootDirectory, runContext) => {
+  const relativePath = path.relative(rootDirectory, filePath);
+  const archive = artifactAnalysisService.readArtifactArchive(fs.readFileSync(filePath), relativePath);
+
+  if (!archive || archive.flows.length === 0) {
+    logger.warn(`Skipping ${relativePath}: no iFlow found`);
+    return { file: relativePath, skipped: true, iflows: 0 };
+  }
+
+  const packageData = getArchivePackage(archive, filePath);
+  const packageRecord = await dataSyncService.upsertPackage(packageData, runContext.tenantId, runContext);
+  syncRunService.incrementCount(runContext, 'packages');
+
+  const result = await artifactAnalysisService.analyzeArtifactArchive(archive, {
+    tenant: runContext.tenant,
+    packageRecord,
+    runContext
+  });
+
+  return {
+    file: relativePath,
+    packageId: packageRecord.package_id,
+    iflows: result.iflows.filter(iflow => iflow.stored).length,
+    failed: result.iflows.filter(iflow => !iflow.stored).map(iflow => iflow.iflowId)
+  };
+};
+
+/**
+ * Import all package and iFlow ZIPs below a directory into an offline tenant
+ * The import is recorded as a sync run of the offline tenant
+ * @param {string} directory - Directory to walk
+ * @param {Object} options - Import options
+ * @param {string} options.tenantName - Offline tenant name (defaults to OFFLINE_TENANT_NAME)
+ * @returns {Promise<Object>} Run ID, tenant, counts and per-file results
+ */
+const importArchiveDirectory = async (directory, { tenantName = tenantService.OFFLINE_TENANT_NAME } = {}) => {
+  if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+    throw new Error(`Directory ${directory} does not exist`);
+  }
+
+  const tenant = await tenantService.getOfflineTenant(tenantName);
+  const runContext = dataSyncService.attachTenant(
+    await syncRunService.startSyncRun({
+      trigger: 'Import',
+      syncType: 'Full',
+      scope: { directory: path.resolve(directory) },
+      fullRefresh: true,
+      tenantId: tenant.tenant_id
+    }),
+    tenant
+  );
+
+  try {
+    const files = findZipFiles(directory);
+    logger.info(`Importing ${files.length} archive(s) into tenant ${tenant.tenant_name}`, { directory });
+
+    const results = [];
+    for (const filePath of files) {
+      // A cancelled import stops between files
+      if (await syncRunService.isCancelRequested(runContext)) {
+        break;
+      }
+      
+      try {
+        results.push(await importArchiveFile(filePath, directory, runContext));
+      } catch (error) {
+        logger.error(`Error importing ${filePath}`, { error: error.message, stack: error.stack });
+        await syncRunService.recordError(runContext, {
+          phase: 'packages',
+          error: `${path.relative(directory, filePath)}: ${error.message}`
+        });
+        results.push({ file: path.relative(directory, filePath), error: error.message });
+      }
+    }
+
+    await syncRunService.finishSyncRun(runContext);
+
+    return {
+      runId: runContext.runId,
+      tenantId: tenant.tenant_id,
+      tenantName: tenant.tenant_name,
+      counts: runContext.counts,
+      files: results
+    };
+  } catch (error) {
+    logger.error('Error importing archives', { directory, error: error.message });
+    await syncRunService.finishSyncRun(runContext, error);
+    throw error;
+  }
+};
+
+module.exports = {
+  findZipFiles,
+  importArchiveDirectory
+};
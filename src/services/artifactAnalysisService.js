@@ -0,0 +1,374 @@
+// services/artifactAnalysisService.js - Analysis of uploaded iFlow and package ZIPs
+const AdmZip = require('adm-zip');
+const logger = require('../utils/logger');
+const models = require('../models');
+const dataSyncService = require('./dataSyncService');
+const syncRunService = require('./syncRunService');
+const BaseXmlExtractor = require('./xmlExtraction/baseExtractor');
+
+const baseExtractor = new BaseXmlExtractor();
+
+// Local file header signature every ZIP archive starts with
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+// Largest uncompressed size of a single entry read from an uploaded archive
+const MAX_ENTRY_SIZE_MB = parseInt(process.env.ANALYSIS_MAX_ENTRY_MB, 10) || 50;
+
+/**
+ * Check whether a buffer holds a ZIP archive
+ * @param {Buffer} buffer - Buffer to check
+ * @returns {boolean} True if the buffer starts with the ZIP signature
+ */
+const isZipBuffer = (buffer) => {
+  return Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer.subarray(0, 4).equals(ZIP_SIGNATURE);
+};
+
+/**
+ * Check the uncompressed size of a ZIP entry before it is inflated
+ * The size comes from the entry header; adm-zip never inflates an entry beyond it
+ * @param {Object} entry - adm-zip entry
+ * @returns {string|null} Reason the entry is not read, or null if it is small enough
+ */
+const getOversizedEntryReason = (entry) => {
+  if (entry.header.size <= MAX_ENTRY_SIZE_MB * 1024 * 1024) {
+    return null;
+  }
+  return `Entry ${entry.entryName} is ${entry.header.size} bytes uncompressed, more than the ${MAX_ENTRY_SIZE_MB} MB limit`;
+};
+
+/**
+ * Parse the META-INF/MANIFEST.MF of an iFlow ZIP
+ * @param {AdmZip} zip - iFlow ZIP
+ * @returns {Object} Manifest headers by name
+ */
+const readManifest = (zip) => {
+  const entry = zip.getEntry('META-INF/MANIFEST.MF');
+  if (!entry) {
+    return {};
+  }
+
+  const headers = {};
+  let lastHeader = null;
+  zip.readAsText(entry).split(/\r?\n/).forEach(line => {
+    // Long values continue on lines starting with a single space
+    if (line.startsWith(' ') && lastHeader) {
+      headers[lastHeader] += line.slice(1);
+      return;
+    }
+    const separatorIndex = line.indexOf(':');
+    if (separatorIndex > 0) {
+      lastHeader = line.slice(0, separatorIndex).trim();
+      headers[lastHeader] = line.slice(separatorIndex + 1).trim();
+    }
+  });
+  return headers;
+};
+
+/**
+ * Read a JSON metadata file of a package export (plain or base64-encoded JSON)
+ * @param {AdmZip} zip - Package export ZIP
+ * @param {string} entryName - Entry name
+ * @returns {Object|null} Parsed metadata or null if missing or unreadable
+ */
+const readExportMetadata = (zip, entryName) => {
+  const entry = zip.getEntry(entryName);
+  if (!entry) {
+    return null;
+  }
+
+  const oversizedReason = getOversizedEntryReason(entry);
+  if (oversizedReason) {
+    logger.warn('Skipped package export metadata', { entryName, reason: oversizedReason });
+    return null;
+  }
+
+  const content = zip.readAsText(entry).trim();
+  for (const candidate of [content, Buffer.from(content, 'base64').toString('utf8')]) {
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      // Try the next encoding
+    }
+  }
+
+  logger.warn('Could not read package export metadata', { entryName });
+  return null;
+};
+
+/**
+ * Build the flow metadata of an iFlow ZIP from its manifest
+ * @param {Buffer} zipBuffer - iFlow ZIP
+ * @param {string} entryName - Entry name (file name or entry in a package export)
+ * @param {Object} resource - Resource entry of a package export (optional)
+ * @returns {Object|null} Flow metadata with the ZIP buffer, or null if the ZIP holds no .iflw file
+ * @throws {Error} If an entry of the iFlow ZIP is larger than ANALYSIS_MAX_ENTRY_MB uncompressed
+ */
+const readIflowArchive = (zipBuffer, entryName, resource = {}) => {
+  const zip = new AdmZip(zipBuffer);
+  const iflwEntry = zip.getEntries().find(entry => entry.entryName.endsWith('.iflw'));
+  if (!iflwEntry) {
+    return null;
+  }
+
+  // The manifest is read here and the extractors read the other entries later
+  const oversizedReason = zip.getEntries().map(getOversizedEntryReason).find(reason => reason);
+  if (oversizedReason) {
+    throw new Error(oversizedReason);
+  }
+
+  const manifest = readManifest(zip);
+  const symbolicName = (manifest['Bundle-SymbolicName'] || '').split(';')[0].trim();
+  const fileName = iflwEntry.entryName.split('/').pop().replace(/\.iflw$/, '');
+  const id = symbolicName || resource.uniqueId || resource.technicalName || fileName;
+
+  return {
+    Id: id,
+    Name: manifest['Bundle-Name'] || resource.displayName || resource.name || id,
+    Version: manifest['Bundle-Version'] || resource.version || '1.0.0',
+    Description: resource.description || resource.shortText || '',
+    entryName,
+    zipBuffer
+  };
+};
+
+/**
+ * Read an uploaded iFlow ZIP or exported package ZIP
+ * A package export holds the iFlows as nested ZIP entries next to its metadata files
+ * @param {Buffer} zipBuffer - Uploaded ZIP
+ * @param {string} fileName - Uploaded file name (optional)
+ * @returns {Object|null} Archive type, package metadata, flows and skipped entries; null if not a ZIP
+ */
+const readArtifactArchive = (zipBuffer, fileName = 'upload.zip') => {
+  if (!isZipBuffer(zipBuffer)) {
+    return null;
+  }
+
+  let zip;
+  try {
+    zip = new AdmZip(zipBuffer);
+  } catch (error) {
+    logger.warn('Failed to open uploaded ZIP', { fileName, error: error.message });
+    return null;
+  }
+
+  // A single iFlow carries its .iflw file directly
+  let iflow;
+  try {
+    iflow = readIflowArchive(zipBuffer, fileName);
+  } catch (error) {
+    return { type: 'iflow', package: null, flows: [], skipped: [{ entryName: fileName, reason: error.message }] };
+  }
+  if (iflow) {
+    return { type: 'iflow', package: null, flows: [iflow], skipped: [] };
+  }
+
+  const metadata = readExportMetadata(zip, 'resources.cnt') || {};
+  const contentMetadata = readExportMetadata(zip, 'contentmetadata.md') || {};
+  const resources = new Map((metadata.resources || []).map(resource => [resource.id, resource]));
+
+  const flows = [];
+  const skipped = [];
+  zip.getEntries()
+    .filter(entry => !entry.isDirectory)
+    .forEach(entry => {
+      // Nested entries are inflated into memory, so their declared size is checked first
+      const oversizedReason = getOversizedEntryReason(entry);
+      if (oversizedReason) {
+        skipped.push({ entryName: entry.entryName, reason: oversizedReason });
+        return;
+      }
+
+      const content = entry.getData();
+      if (!isZipBuffer(content)) {
+        return;
+      }
+
+      const resourceId = entry.entryName.replace(/_content$/, '');
+      try {
+        const flow = readIflowArchive(content, entry.entryName, resources.get(resourceId));
+        if (flow) {
+          flows.push(flow);
+        } else {
+          // Value mappings, script collections and other artifacts carry no .iflw file
+          skipped.push({ entryName: entry.entryName, reason: 'No .iflw file found' });
+        }
+      } catch (error) {
+        skipped.push({ entryName: entry.entryName, reason: error.message });
+      }
+    });
+
+  const packageInfo = {
+    Id: contentMetadata.technicalName || metadata.technicalName || null,
+    Name: contentMetadata.displayName || contentMetadata.name || metadata.displayName || metadata.name || null,
+    Description: contentMetadata.shortText || contentMetadata.description || metadata.description || ''
+  };
+
+  return { type: 'package', package: packageInfo, flows, skipped };
+};
+
+/**
+ * Run the sync pipeline over a single iFlow of an uploaded archive
+ * @param {Object} flow - Flow metadata from readArtifactArchive
+ * @returns {Promise<Object>} Flow metadata and analysis (or error)
+ */
+const analyzeFlowArchive = async (flow) => {
+  const result = {
+    iflowId: flow.Id,
+    iflowName: flow.Name,
+    version: flow.Version,
+    entryName: flow.entryName
+  };
+
+  // The flow ID comes from the upload, so keep it out of the housekeeping file names
+  const parsedXml = await baseExtractor.extractXmlFromZip(flow.zipBuffer, `upload-${flow.Id.replace(/[^\w.-]/g, '_')}`);
+  if (!parsedXml) {
+    return { ...result, error: 'Failed to extract XML from ZIP' };
+  }
+
+  const parameterFiles = await baseExtractor.extractParameterFilesFromZip(flow.zipBuffer, flow.Id);
+
+  const flowData = {
+    Id: flow.Id,
+    Name: flow.Name,
+    Version: flow.Version,
+    Description: flow.Description,
+    id: flow.Id
+  };
+
+  try {
+    return {
+      ...result,
+      flowData,
+      analysis: dataSyncService.analyzeIntegrationFlow(flowData, {
+        id: flow.Id,
+        parsedXml,
+        scripts: baseExtractor.extractScriptsFromZip(flow.zipBuffer, flow.Id),
+        parameterFiles
+      })
+    };
+  } catch (error) {
+    logger.error(`Error analysing uploaded flow ${flow.Id}`, { error: error.message, stack: error.stack });
+    return { ...result, error: error.message };
+  }
+};
+
+/**
+ * Analyse the flows of an archive, storing them under a package if one is given
+ * @param {Object} archive - Archive from readArtifactArchive
+ * @param {Object|null} packageRecord - Package to store the analysed flows under
+ * @param {Object|null} runContext - Sync run the stored flows are counted in
+ * @returns {Promise<Array>} Analysis of every flow in the archive
+ */
+const analyzeArchiveFlows = async (archive, packageRecord, runContext) => {
+  const iflows = [];
+  for (const flow of archive.flows) {
+    const { flowData, analysis, ...result } = await analyzeFlowArchive(flow);
+
+    if (result.error) {
+      await syncRunService.recordError(runContext, {
+        phase: 'iflows',
+        packageId: packageRecord ? packageRecord.package_id : null,
+        iflowId: flow.Id,
+        error: result.error
+      });
+    }
+
+    if (analysis && packageRecord) {
+      const iflowRecord = await dataSyncService.storeIntegrationFlow(packageRecord, flowData, analysis, null, runContext);
+      result.stored = !!iflowRecord;
+      result.storedIflowId = iflowRecord ? iflowRecord.iflow_id : null;
+
+      if (iflowRecord) {
+        await dataSyncService.archiveIflowVersion(iflowRecord.iflow_id, {
+          version: flow.Version,
+          zipBuffer: flow.zipBuffer,
+          contentHash: baseExtractor.getZipContentHash(flow.zipBuffer, flow.Id),
+          source: 'upload'
+        }, runContext);
+      }
+    }
+
+    iflows.push(analysis ? { ...result, ...analysis } : result);
+  }
+  return iflows;
+};
+
+/**
+ * Analyse an uploaded iFlow ZIP or exported package ZIP, optionally storing the flows under a package
+ * Storing flows without a runContext records them as a sync run of the tenant with the Upload trigger,
+ * so an upload never overlaps a sync of the same tenant
+ * @param {Object} archive - Archive from readArtifactArchive
+ * @param {Object} options - Analysis options
+ * @param {Object|null} options.tenant - Tenant the flows are stored in (required with packageRecord)
+ * @param {Object|null} options.packageRecord - Package to store the analysed flows under
+ * @param {Object|null} options.runContext - Sync run the stored flows are counted in (optional)
+ * @returns {Promise<Object>} Analysis of every flow in the archive, with the run ID if flows were stored
+ * @throws {SyncInProgressError} If flows are stored and the tenant is syncing
+ */
+const analyzeArtifactArchive = async (archive, { tenant = null, packageRecord = null, runContext = null } = {}) => {
+  logger.info('Analysing uploaded artifact archive', {
+    type: archive.type,
+    flowCount: archive.flows.length,
+    packageId: packageRecord ? packageRecord.package_id : null
+  });
+
+  // Runs started here are finished here; a run passed in is finished by its owner
+  const ownRun = packageRecord && !runContext
+    ? dataSyncService.attachTenant(
+      await syncRunService.startSyncRun({
+        trigger: 'Upload',
+        syncType: 'Package',
+        scope: { packageId: packageRecord.artifact_id },
+        fullRefresh: true,
+        tenantId: tenant.tenant_id
+      }),
+      tenant
+    )
+    : null;
+  const run = ownRun || runContext;
+
+  try {
+    const iflows = await analyzeArchiveFlows(archive, packageRecord, run);
+
+    if (ownRun) {
+      await syncRunService.finishSyncRun(ownRun);
+    }
+
+    return {
+      type: archive.type,
+      package: archive.package,
+      storedInPackage: packageRecord ? packageRecord.package_id : null,
+      runId: run ? run.runId : null,
+      iflows,
+      skipped: archive.skipped
+    };
+  } catch (error) {
+    logger.error('Error analysing uploaded artifact archive', { error: error.message });
+    if (ownRun) {
+      await syncRunService.finishSyncRun(ownRun, error);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Find the package uploaded flows are stored under
+ * @param {Object} tenant - Tenant record
+ * @param {string} packageId - Package ID in SAP
+ * @returns {Promise<Object|null>} Package record or null if the tenant has no such package
+ */
+const findTargetPackage = async (tenant, packageId) => {
+  return models.Package.findOne({
+    where: {
+      tenant_id: tenant.tenant_id,
+      artifact_id: packageId
+    }
+  });
+};
+
+module.exports = {
+  isZipBuffer,
+  readArtifactArchive,
+  analyzeArtifactArchive,
+  findTargetPackage
+};
@@ -3,40 +3,73 @@ const qs = require('querystring');
 const logger = require('../utils/logger');
 require('dotenv').config();
 
-// Cache for the OAuth token
-let tokenCache = {
-  accessToken: null,
-  expiresAt: null
-};
+// OAuth token cache per tenant connection
+const tokenCaches = new Map();
 
-// Circuit breaker to prevent infinite retries
-let circuitBreaker = {
-  failureCount: 0,
-  lastFailureTime: null,
-  isOpen: false,
-  openUntil: null
-};
+// Token requests in flight per tenant connection, shared by concurrent callers
+const pendingTokenRequests = new Map();
+
+// Circuit breaker per tenant connection to prevent infinite retries
+const circuitBreakers = new Map();
 
 const MAX_FAILURES = 3;
 const CIRCUIT_BREAKER_TIMEOUT = 5 * 60 * 1000; // 5 minutes
 
+/**
+ * Get the connection settings of the tenant configured through environment variables
+ * @returns {Object} Connection settings (key, name, baseUrl, tokenUrl, clientId, clientSecret)
+ */
+const getDefaultConnection = () => {
+  return {
+    key: 'default',
+    name: 'default',
+    baseUrl: process.env.SAP_API_BASE_URL,
+    tokenUrl: process.env.SAP_TOKEN_URL,
+    clientId: process.env.SAP_CLIENT_ID,
+    clientSecret: process.env.SAP_CLIENT_SECRET
+  };
+};
+
+/**
+ * Create a closed circuit breaker
+ * @returns {Object} Circuit breaker state
+ */
+const createCircuitBreaker = () => {
+  return {
+    failureCount: 0,
+    lastFailureTime: null,
+    isOpen: false,
+    openUntil: null
+  };
+};
+
+/**
+ * Get the circuit breaker of a connection
+ * @param {Object} connection - Connection settings
+ * @returns {Object} Circuit breaker state
+ */
+const getCircuitBreaker = (connection) => {
+  if (!circuitBreakers.has(connection.key)) {
+    circuitBreakers.set(connection.key, createCircuitBreaker());
+  }
+  return circuitBreakers.get(connection.key);
+};
+
 /**
  * Check if circuit breaker is open
+ * @param {Object} connection - Connection settings
  */
-const isCircuitBreakerOpen = () => {
+const isCircuitBreakerOpen = (connection) => {
+  const circuitBreaker = getCircuitBreaker(connection);
+  
   if (circuitBreaker.isOpen && circuitBreaker.openUntil && Date.now() < circuitBreaker.openUntil) {
     return true;
   }
   
   // Reset circuit breaker if timeout has passed
   if (circuitBreaker.isOpen && circuitBreaker.openUntil && Date.now() >= circuitBreaker.openUntil) {
-    logger.info('Circuit breaker timeout expired, resetting');
-    circuitBreaker = {
-      failureCount: 0,
-      lastFailureTime: null,
-      isOpen: false,
-      openUntil: null
-    };
+    logger.info('Circuit breaker timeout expired, resetting', { tenant: connection.name });
+    circuitBreakers.set(connection.key, createCircuitBreaker());
   }
   
   return false;
@@ -44,80 +77,88 @@ const isCircuitBreakerOpen = () => {
 
 /**
  * Record authentication failure
+ * @param {Object} connection - Connection settings
  */
-const recordFailure = () => {
+const recordFailure = (connection) => {
+  const circuitBreaker = getCircuitBreaker(connection);
   circuitBreaker.failureCount++;
   circuitBreaker.lastFailureTime = Date.now();
   
   if (circuitBreaker.failureCount >= MAX_FAILURES) {
     circuitBreaker.isOpen = true;
     circuitBreaker.openUntil = Date.now() + CIRCUIT_BREAKER_TIMEOUT;
-    logger.error(`Authentication circuit breaker opened due to ${MAX_FAILURES} consecutive failures. Will retry after ${CIRCUIT_BREAKER_TIMEOUT/1000/60} minutes`);
+    logger.error(`Authentication circuit breaker opened due to ${MAX_FAILURES} consecutive failures. Will retry after ${CIRCUIT_BREAKER_TIMEOUT/1000/60} minutes`, { tenant: connection.name });
   }
 };
 
 /**
  * Record authentication success
+ * @param {Object} connection - Connection settings
  */
-const recordSuccess = () => {
-  if (circuitBreaker.failureCount > 0) {
-    logger.info('Authentication recovered, resetting circuit breaker');
+const recordSuccess = (connection) => {
+  if (getCircuitBreaker(connection).failureCount > 0) {
+    logger.info('Authentication recovered, resetting circuit breaker', { tenant: connection.name });
   }
-  circuitBreaker = {
-    failureCount: 0,
-    lastFailureTime: null,
-    isOpen: false,
-    openUntil: null
-  };
+  circuitBreakers.set(connection.key, createCircuitBreaker());
 };
 
 /**
  * Validate configuration before attempting authentication
+ * @param {Object} connection - Connection settings (defaults to the environment tenant)
  */
-const validateConfiguration = () => {
-  const requiredEnvVars = ['SAP_CLIENT_ID', 'SAP_CLIENT_SECRET', 'SAP_TOKEN_URL'];
-  const missing = requiredEnvVars.filter(envVar => !process.env[envVar]);
-  
-  if (missing.length > 0) {
-    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+const validateConfiguration = (connection = getDefaultConnection()) => {
+  if (connection.key === 'default') {
+    const requiredEnvVars = ['SAP_CLIENT_ID', 'SAP_CLIENT_SECRET', 'SAP_TOKEN_URL'];
+    const missing = requiredEnvVars.filter(envVar => !process.env[envVar]);
+    
+    if (missing.length > 0) {
+      throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+    }
+  } else {
+    const requiredSettings = ['clientId', 'clientSecret', 'tokenUrl'];
+    const missing = requiredSettings.filter(setting => !connection[setting]);
+    
+    if (missing.length > 0) {
+      throw new Error(`Missing OAuth configuration for tenant ${connection.name}: ${missing.join(', ')}`);
+    }
   }
   
   // Validate URL format
   try {
-    new URL(process.env.SAP_TOKEN_URL);
+    new URL(connection.tokenUrl);
   } catch (error) {
-    throw new Error(`Invalid SAP_TOKEN_URL format: ${process.env.SAP_TOKEN_URL}`);
+    throw new Error(`Invalid token URL format: ${connection.tokenUrl}`);
   }
 };
 
 /**
  * Get OAuth token using client credentials grant
+ * @param {Object} connection - Connection settings
  * @returns {Promise<string>} The access token
  */
-const getOAuthToken = async () => {
+const requestOAuthToken = async (connection) => {
   try {
     // Validate configuration first
-    validateConfiguration();
+    validateConfiguration(connection);
     
     // Check circuit breaker
-    if (isCircuitBreakerOpen()) {
-      const timeUntilReset = Math.ceil((circuitBreaker.openUntil - Date.now()) / 1000 / 60);
+    if (isCircuitBreakerOpen(connection)) {
+      const timeUntilReset = Math.ceil((getCircuitBreaker(connection).openUntil - Date.now()) / 1000 / 60);
       throw new Error(`Authentication circuit breaker is open. Retry in ${timeUntilReset} minutes`);
     }
     
     // Check if we have a valid cached token
     const now = Date.now();
-    if (tokenCache.accessToken && tokenCache.expiresAt && now < tokenCache.expiresAt) {
-      logger.debug('Using cached OAuth token');
+    const tokenCache = tokenCaches.get(connection.key);
+    if (tokenCache && tokenCache.accessToken && tokenCache.expiresAt && now < tokenCache.expiresAt) {
+      logger.debug('Using cached OAuth token', { tenant: connection.name });
       return tokenCache.accessToken;
     }
 
-    logger.info('Requesting new OAuth token');
+    logger.info('Requesting new OAuth token', { tenant: connection.name });
     
     // Prepare the request for token
-    const tokenUrl = process.env.SAP_TOKEN_URL;
-    const clientId = process.env.SAP_CLIENT_ID;
-    const clientSecret = process.env.SAP_CLIENT_SECRET;
+    const { tokenUrl, clientId, clientSecret } = connection;
     
     // Create the Authorization header with Base64-encoded client_id:client_secret
     const authString = `${clientId}:${clientSecret}`;
@@ -145,15 +186,16 @@ const getOAuthToken = async () => {
       const expiresAt = now + (expiresIn * 1000) - (5 * 60 * 1000);
       
       // Cache the token
-      tokenCache = {
+      tokenCaches.set(connection.key, {
         accessToken: response.data.access_token,
         expiresAt
-      };
+      });
       
       // Record success
-      recordSuccess();
+      recordSuccess(connection);
       
       logger.info('Successfully obtained new OAuth token', {
+        tenant: connection.name,
         expiresIn: expiresIn,
         expiresAt: new Date(expiresAt).toISOString()
       });
@@ -164,20 +206,21 @@ const getOAuthToken = async () => {
     }
   } catch (error) {
     // Record failure
-    recordFailure();
+    recordFailure(connection);
     
     logger.error('Failed to obtain OAuth token', { 
+      tenant: connection.name,
       error: error.message,
       responseStatus: error.response?.status,
       responseData: error.response?.data,
-      tokenUrl: process.env.SAP_TOKEN_URL ? process.env.SAP_TOKEN_URL.replace(/\/oauth\/token.*/, '/oauth/token') : 'Not configured'
+      tokenUrl: connection.tokenUrl ? connection.tokenUrl.replace(/\/oauth\/token.*/, '/oauth/token') : 'Not configured'
     });
     
     // Provide helpful error messages based on error type
     if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-      throw new Error(`Cannot connect to SAP system. Please check SAP_TOKEN_URL: ${error.message}`);
+      throw new Error(`Cannot connect to SAP system. Please check the token URL: ${error.message}`);
     } else if (error.response?.status === 401) {
-      throw new Error(`Authentication failed. Please check SAP_CLIENT_ID and SAP_CLIENT_SECRET: ${error.response.data?.error_description || error.message}`);
+      throw new Error(`Authentication failed. Please check the client ID and client secret: ${error.response.data?.error_description || error.message}`);
     } else if (error.response?.status === 400) {
       throw new Error(`Bad request to SAP token endpoint: ${error.response.data?.error_description || error.message}`);
     } else if (error.code === 'ECONNABORTED') {
@@ -188,12 +231,33 @@ const getOAuthToken = async () => {
   }
 };
 
+/**
+ * Get OAuth token of a connection, from the cache or the token endpoint
+ * Concurrent callers share one token request per connection, so an expired token is only renewed once
+ * @param {Object} connection - Connection settings (defaults to the environment tenant)
+ * @returns {Promise<string>} The access token
+ */
+const getOAuthToken = (connection = getDefaultConnection()) => {
+  const pendingRequest = pendingTokenRequests.get(connection.key);
+  if (pendingRequest) {
+    return pendingRequest;
+  }
+
+  const request = requestOAuthToken(connection).finally(() => {
+    pendingTokenRequests.delete(connection.key);
+  });
+  pendingTokenRequests.set(connection.key, request);
+  return request;
+};
+
 /**
  * Get authorization headers with the OAuth token
+ * @param {boolean} isBinary - Whether binary (ZIP) content is requested
+ * @param {Object} connection - Connection settings (defaults to the environment tenant)
  * @returns {Promise<Object>} Headers object with Authorization
  */
-const getAuthHeaders = async (isBinary = false) => {
-  const token = await getOAuthToken();
+const getAuthHeaders = async (isBinary = false, connection = getDefaultConnection()) => {
+  const token = await getOAuthToken(connection);
   return {
     'Authorization': `Bearer ${token}`,
     'Accept': isBinary ? 'application/zip' : 'application/json, application/xml',
@@ -203,19 +267,23 @@ const getAuthHeaders = async (isBinary = false) => {
 
 /**
  * Clear the token cache (useful for testing or when token needs to be refreshed)
+ * @param {Object} connection - Connection settings (optional, clears all tenants if omitted)
  */
-const clearTokenCache = () => {
-  tokenCache = {
-    accessToken: null,
-    expiresAt: null
-  };
-  logger.info('OAuth token cache cleared');
+const clearTokenCache = (connection = null) => {
+  if (connection) {
+    tokenCaches.delete(connection.key);
+  } else {
+    tokenCaches.clear();
+  }
+  logger.info('OAuth token cache cleared', { tenant: connection ? connection.name : 'all' });
 };
 
 /**
  * Get circuit breaker status
+ * @param {Object} connection - Connection settings (defaults to the environment tenant)
  */
-const getCircuitBreakerStatus = () => {
+const getCircuitBreakerStatus = (connection = getDefaultConnection()) => {
+  const circuitBreaker = getCircuitBreaker(connection);
   return {
     isOpen: circuitBreaker.isOpen,
     failureCount: circuitBreaker.failureCount,
@@ -227,18 +295,15 @@ const getCircuitBreakerStatus = () => {
 
 /**
  * Reset circuit breaker (for manual recovery)
+ * @param {Object} connection - Connection settings (defaults to the environment tenant)
  */
-const resetCircuitBreaker = () => {
-  logger.info('Manually resetting authentication circuit breaker');
-  circuitBreaker = {
-    failureCount: 0,
-    lastFailureTime: null,
-    isOpen: false,
-    openUntil: null
-  };
+const resetCircuitBreaker = (connection = getDefaultConnection()) => {
+  logger.info('Manually resetting authentication circuit breaker', { tenant: connection.name });
+  circuitBreakers.set(connection.key, createCircuitBreaker());
 };
 
 module.exports = {
+  getDefaultConnection,
   getOAuthToken,
   getAuthHeaders,
   clearTokenCache,
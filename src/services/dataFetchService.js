@@ -2,6 +2,9 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
 const authService = require('./authService');
+const { createLimiter, getConcurrencySetting } = require('../utils/concurrency');
+const { redactSecrets } = require('../utils/redact');
+const { getRetryPolicy, requestWithRetry } = require('../utils/resilientHttp');
 
 // Import extractors
 const BaseXmlExtractor = require('./xmlExtraction/baseExtractor');
@@ -9,11 +12,47 @@ const AdapterExtractor = require('./xmlExtraction/adapterExtractor');
 const SecurityExtractor = require('./xmlExtraction/securityExtractor');
 const ErrorHandlingExtractor = require('./xmlExtraction/errorHandlingExtractor');
 const PersistenceExtractor = require('./xmlExtraction/persistenceExtractor');
+const ScriptExtractor = require('./xmlExtraction/scriptExtractor');
+const ParameterExtractor = require('./xmlExtraction/parameterExtractor');
+const GraphExtractor = require('./xmlExtraction/graphExtractor');
 
 require('dotenv').config();
 
-// Base URL for SAP Integration Suite API
-const baseUrl = process.env.SAP_API_BASE_URL;
+// Cap on concurrent requests per tenant, shared by all sync workers of that tenant
+const MAX_CONCURRENT_REQUESTS = getConcurrencySetting('SAP_MAX_CONCURRENT_REQUESTS', 5);
+
+// Number of entries requested per page when reading OData collections
+const ODATA_PAGE_SIZE = parseInt(process.env.SAP_API_PAGE_SIZE, 10) || 500;
+
+// Most pages read from one OData collection, so a server that keeps returning pages cannot loop forever
+const ODATA_MAX_PAGES = parseInt(process.env.SAP_API_MAX_PAGES, 10) || 1000;
+const requestLimiters = new Map();
+
+/**
+ * Error raised when an OData collection could not be read completely
+ * Callers must not treat the entries read so far as the whole collection
+ */
+class ODataTruncatedError extends Error {
+  constructor(endpoint, reason) {
+    super(`Reading ${endpoint} stopped before the end of the collection: ${reason}`);
+    this.name = this.constructor.name;
+    this.endpoint = endpoint;
+    this.reason = reason;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Get the request limiter of a tenant connection
+ * @param {Object} connection - Connection settings
+ * @returns {Function} Request limiter
+ */
+const getRequestLimiter = (connection) => {
+  if (!requestLimiters.has(connection.key)) {
+    requestLimiters.set(connection.key, createLimiter(MAX_CONCURRENT_REQUESTS));
+  }
+  return requestLimiters.get(connection.key);
+};
 
 // Initialize extractors
 const baseExtractor = new BaseXmlExtractor();
@@ -21,133 +60,373 @@ const adapterExtractor = new AdapterExtractor();
 const securityExtractor = new SecurityExtractor();
 const errorHandlingExtractor = new ErrorHandlingExtractor();
 const persistenceExtractor = new PersistenceExtractor();
+const scriptExtractor = new ScriptExtractor();
+const parameterExtractor = new ParameterExtractor();
+const graphExtractor = new GraphExtractor();
 
 /**
  * Generic function to make authenticated GET requests to SAP API
- * @param {string} endpoint - API endpoint path
+ * @param {string} endpoint - API endpoint path, or an absolute URL on the tenant (e.g. an OData next link)
  * @param {Object} params - Query parameters
  * @param {boolean} isBinary - Whether to fetch as binary data
+ * @param {Object} connection - Tenant connection settings (defaults to the environment tenant)
  * @returns {Promise<Object|Buffer>} API response data
  */
-const fetchFromApi = async (endpoint, params = {}, isBinary = false) => {
-  try {
-    const url = `${baseUrl}${endpoint}`;
-    const headers = await authService.getAuthHeaders(isBinary);
+const fetchFromApi = async (endpoint, params = {}, isBinary = false, connection = authService.getDefaultConnection()) => {
+  const requestLimiter = getRequestLimiter(connection);
+  const url = /^https?:\/\//i.test(endpoint) ? endpoint : `${connection.baseUrl}${endpoint}`;
+  const policy = getRetryPolicy();
+  let headers = {};
+  
+  // Transient failures are retried with backoff; every attempt waits for a free request slot
+  const sendRequest = async () => {
+    headers = await authService.getAuthHeaders(isBinary, connection);
     headers['Accept-Encoding'] = 'gzip, deflate, br';
     headers['Connection'] = 'keep-alive';
     logger.debug(`Fetching data from: ${url}`, { params, isBinary });
     
-    const response = await axios({
+    return requestWithRetry(() => requestLimiter(() => axios({
       method: 'get',
       url,
       headers,
       params,
-      responseType: isBinary ? 'arraybuffer' : 'json'
-    }).catch(error => {
-      logger.error(`Error fetching from API endpoint ${endpoint}`, {
-        error: error.message,
-        status: error.response?.status,
-        data: error.response?.data,
-        headers: error.response?.headers,
-        request: { url, headers, params }
-      });
-      throw error;
+      responseType: isBinary ? 'arraybuffer' : 'json',
+      timeout: isBinary ? policy.downloadTimeout : policy.timeout
+    })), {
+      host: new URL(url).host,
+      description: `GET ${endpoint}`,
+      policy
     });
+  };
+  
+  try {
+    let response;
+    try {
+      response = await sendRequest();
+    } catch (error) {
+      if (!error.response || error.response.status !== 401) {
+        throw error;
+      }
+      
+      // Handle token expiration by clearing cache and retrying once
+      logger.info('Token expired, clearing cache and retrying', { tenant: connection.name });
+      authService.clearTokenCache(connection);
+      response = await sendRequest();
+    }
 
     if (isBinary) {
       logger.debug('Received binary data', { endpoint, size: response.data.length });
       return Buffer.from(response.data);
     }
 
-    const contentType = response.headers['content-type'] || '';
-    if (contentType.includes('xml')) {
-      return response.data; // Axios handles XML as text
-    }
-
+    // Axios returns XML as text and JSON as parsed objects
     return response.data;
   } catch (error) {
-    logger.error(`Error fetching from API endpoint ${endpoint}`, { 
+    logger.error(`Error fetching from API endpoint ${endpoint}`, {
       error: error.message,
+      code: error.code,
       status: error.response?.status,
-      data: error.response?.data
+      data: error.response?.data,
+      request: { url, headers: redactSecrets(headers), params }
     });
+    throw error;
+  }
+};
+
+/**
+ * Resolve an OData next link against the tenant API
+ * Next links may be relative; links pointing to another host are rejected so the token is not leaked
+ * @param {string} nextLink - Value of __next
+ * @param {string} endpoint - Endpoint of the page that returned the link
+ * @param {Object} connection - Tenant connection settings
+ * @returns {string} Absolute URL of the next page
+ */
+const resolveNextLink = (nextLink, endpoint, connection) => {
+  const baseUrl = new URL(connection.baseUrl);
+  const nextUrl = new URL(nextLink, new URL(/^https?:\/\//i.test(endpoint) ? endpoint : `${connection.baseUrl}${endpoint}`));
+  
+  if (nextUrl.origin !== baseUrl.origin) {
+    throw new Error(`OData next link points outside the tenant API: ${nextUrl.origin}`);
+  }
+  
+  return nextUrl.toString();
+};
+
+/**
+ * Get a key identifying an OData entry
+ * @param {Object} entry - OData entry
+ * @returns {string} URI of the entry, or the entry itself serialized if it has none
+ */
+const getODataEntryKey = (entry) => {
+  return entry.__metadata?.uri || JSON.stringify(entry);
+};
+
+/**
+ * Iterate over the pages of an OData collection
+ * Requests pages of `pageSize` entries with $top/$skip and follows server-side paging (__next links),
+ * so collections larger than one response are read completely.
+ * Reading fails when a page starts with the same entry as the previous page
+ * (a server that ignores $skip) or after SAP_API_MAX_PAGES pages
+ * @param {string} endpoint - Collection endpoint path
+ * @param {Object} params - Query parameters ($filter, $orderby, $expand, ...)
+ * @param {Object} options - Paging options
+ * @param {number|null} options.pageSize - Entries requested per page (null to leave paging to the server)
+ * @param {Object} options.connection - Tenant connection settings (optional)
+ * @returns {AsyncGenerator<Array>} Pages of entries
+ * @throws {ODataTruncatedError} If the collection cannot be read to its end
+ */
+async function* iterateODataCollection(endpoint, params = {}, { pageSize = ODATA_PAGE_SIZE, connection } = {}) {
+  let skip = 0;
+  let pageCount = 0;
+  let previousFirstKey = null;
+  let nextRequest = {
+    endpoint,
+    params: pageSize ? { ...params, $top: pageSize, $skip: skip } : params
+  };
+  
+  while (nextRequest) {
+    if (pageCount >= ODATA_MAX_PAGES) {
+      logger.warn(`Stopped reading ${endpoint} after ${ODATA_MAX_PAGES} pages`, { skip });
+      throw new ODataTruncatedError(endpoint, `more than ${ODATA_MAX_PAGES} pages`);
+    }
     
-    // Handle token expiration by clearing cache and retrying once
-    if (error.response && error.response.status === 401) {
-      logger.info('Token expired, clearing cache and retrying');
-      authService.clearTokenCache();
-      
-      try {
-        const headers = await authService.getAuthHeaders(isBinary);
-        const response = await axios({
-          method: 'get',
-          url: `${baseUrl}${endpoint}`,
-          headers,
-          params,
-          responseType: isBinary ? 'arraybuffer' : 'json'
-        });
-
-        if (isBinary) {
-          logger.debug('Received binary data on retry', { endpoint, size: response.data.length });
-          return Buffer.from(response.data);
-        }
-
-        const contentType = response.headers['content-type'] || '';
-        if (contentType.includes('xml')) {
-          return response.data;
-        }
-
-        return response.data;
-      } catch (retryError) {
-        logger.error(`Retry failed for API endpoint ${endpoint}`, { 
-          error: retryError.message,
-          status: retryError.response?.status,
-          data: retryError.response?.data
-        });
-        throw retryError;
+    const response = await fetchFromApi(nextRequest.endpoint, nextRequest.params, false, connection);
+    const page = response.d.results || [];
+    pageCount++;
+    
+    if (page.length > 0) {
+      const firstKey = getODataEntryKey(page[0]);
+      if (firstKey === previousFirstKey) {
+        logger.warn(`Stopped reading ${endpoint}: page ${pageCount} repeats the previous page, the server may ignore $skip`, { skip });
+        throw new ODataTruncatedError(endpoint, `page ${pageCount} repeats the previous page`);
       }
+      previousFirstKey = firstKey;
+      
+      yield page;
     }
     
-    throw error;
+    const requestedEndpoint = nextRequest.endpoint;
+    nextRequest = null;
+    
+    if (response.d.__next) {
+      // Server-side paging: the next link carries all query options
+      const nextUrl = resolveNextLink(response.d.__next, requestedEndpoint, connection || authService.getDefaultConnection());
+      if (nextUrl !== requestedEndpoint) {
+        nextRequest = { endpoint: nextUrl, params: {} };
+      }
+    } else if (pageSize && page.length === pageSize && requestedEndpoint === endpoint) {
+      skip += pageSize;
+      nextRequest = { endpoint, params: { ...params, $top: pageSize, $skip: skip } };
+    }
   }
+}
+
+/**
+ * Fetch all entries of an OData collection, reading every page
+ * @param {string} endpoint - Collection endpoint path
+ * @param {Object} params - Query parameters
+ * @param {Object} options - Paging options (pageSize, connection)
+ * @returns {Promise<Array>} All entries of the collection
+ * @throws {ODataTruncatedError} If the collection cannot be read to its end
+ */
+const fetchODataCollection = async (endpoint, params = {}, options = {}) => {
+  const entries = [];
+  
+  for await (const page of iterateODataCollection(endpoint, params, options)) {
+    entries.push(...page);
+  }
+  
+  return entries;
 };
 
 /**
  * Fetch all integration packages
+ * @param {Object} connection - Tenant connection settings (optional)
  * @returns {Promise<Array>} List of integration packages
  */
-const fetchIntegrationPackages = async () => {
-  const response = await fetchFromApi('/api/v1/IntegrationPackages');
+const fetchIntegrationPackages = async (connection) => {
+  return fetchODataCollection('/api/v1/IntegrationPackages', {}, { connection });
+};
+
+/**
+ * Fetch a single integration package to check that the API of a tenant can be reached
+ * @param {Object} connection - Tenant connection settings
+ * @returns {Promise<Array>} At most one integration package
+ */
+const fetchIntegrationPackageSample = async (connection) => {
+  const response = await fetchFromApi('/api/v1/IntegrationPackages', { $top: 1 }, false, connection);
   return response.d.results;
 };
 
 /**
  * Fetch a specific integration package by ID
  * @param {string} packageId - Package ID
+ * @param {Object} connection - Tenant connection settings (optional)
  * @returns {Promise<Object>} Package details
  */
-const fetchIntegrationPackage = async (packageId) => {
-  const response = await fetchFromApi(`/api/v1/IntegrationPackages('${packageId}')`);
+const fetchIntegrationPackage = async (packageId, connection) => {
+  const response = await fetchFromApi(`/api/v1/IntegrationPackages('${packageId}')`, {}, false, connection);
   return response.d;
 };
 
 /**
  * Fetch all integration flows (design-time artifacts)
+ * @param {Object} connection - Tenant connection settings (optional)
  * @returns {Promise<Array>} List of integration flows
  */
-const fetchAllIntegrationFlows = async () => {
-  const response = await fetchFromApi('/api/v1/IntegrationDesigntimeArtifacts');
-  return response.d.results;
+const fetchAllIntegrationFlows = async (connection) => {
+  return fetchODataCollection('/api/v1/IntegrationDesigntimeArtifacts', {}, { connection });
 };
 
 /**
  * Fetch integration flows for a specific package
  * @param {string} packageId - Package ID
+ * @param {Object} connection - Tenant connection settings (optional)
  * @returns {Promise<Array>} List of integration flows in the package
  */
-const fetchPackageIntegrationFlows = async (packageId) => {
-  const response = await fetchFromApi(`/api/v1/IntegrationPackages('${packageId}')/IntegrationDesigntimeArtifacts`);
-  return response.d.results;
+const fetchPackageIntegrationFlows = async (packageId, connection) => {
+  return fetchODataCollection(`/api/v1/IntegrationPackages('${packageId}')/IntegrationDesigntimeArtifacts`, {}, { connection });
+};
+
+/**
+ * Fetch value mappings for a specific package
+ * @param {string} packageId - Package ID
+ * @param {Object} connection - Tenant connection settings (optional)
+ * @returns {Promise<Array>} List of value mappings in the package
+ */
+const fetchPackageValueMappings = async (packageId, connection) => {
+  return fetchODataCollection(`/api/v1/IntegrationPackages('${packageId}')/ValueMappingDesigntimeArtifacts`, {}, { connection });
+};
+
+/**
+ * Fetch message mappings for a specific package
+ * @param {string} packageId - Package ID
+ * @param {Object} connection - Tenant connection settings (optional)
+ * @returns {Promise<Array>} List of message mappings in the package
+ */
+const fetchPackageMessageMappings = async (packageId, connection) => {
+  return fetchODataCollection(`/api/v1/IntegrationPackages('${packageId}')/MessageMappingDesigntimeArtifacts`, {}, { connection });
+};
+
+/**
+ * Fetch script collections for a specific package
+ * @param {string} packageId - Package ID
+ * @param {Object} connection - Tenant connection settings (optional)
+ * @returns {Promise<Array>} List of script collections in the package
+ */
+const fetchPackageScriptCollections = async (packageId, connection) => {
+  return fetchODataCollection(`/api/v1/IntegrationPackages('${packageId}')/ScriptCollectionDesigntimeArtifacts`, {}, { connection });
+};
+
+/**
+ * Fetch metadata of a single integration flow (design-time artifact)
+ * @param {string} flowId - Flow ID
+ * @param {string} version - Flow version ('active' for the current version)
+ * @param {Object} connection - Tenant connection settings (optional)
+ * @returns {Promise<Object>} Flow metadata
+ */
+const fetchIntegrationFlow = async (flowId, version = 'active', connection) => {
+  const encodedFlowId = encodeURIComponent(flowId);
+  const encodedVersion = encodeURIComponent(version);
+  const response = await fetchFromApi(`/api/v1/IntegrationDesigntimeArtifacts(Id='${encodedFlowId}',Version='${encodedVersion}')`, {}, false, connection);
+  return response.d;
+};
+
+/**
+ * Iterate over the pages of message processing logs that ended within a time window
+ * @param {Date} from - Window start (exclusive)
+ * @param {Date} to - Window end (inclusive)
+ * @param {number} pageSize - Number of logs requested per page
+ * @param {Object} connection - Tenant connection settings (optional)
+ * @returns {AsyncGenerator<Array>} Pages of message processing logs
+ * @throws {ODataTruncatedError} If the logs of the window cannot be read to their end
+ */
+const iterateMessageProcessingLogs = (from, to, pageSize = 1000, connection) => {
+  // OData v2 datetime literals carry no milliseconds or time zone
+  const formatDate = date => date.toISOString().split('.')[0];
+  
+  // Messages still in process are picked up by a later window once their LogEnd is final
+  const filter = `LogEnd gt datetime'${formatDate(from)}' and LogEnd le datetime'${formatDate(to)}' and Status ne 'PROCESSING'`;
+  
+  return iterateODataCollection('/api/v1/MessageProcessingLogs', {
+    $filter: filter,
+    $orderby: 'LogEnd'
+  }, { pageSize, connection });
+};
+
+/**
+ * Fetch message processing logs that ended within a time window
+ * @param {Date} from - Window start (exclusive)
+ * @param {Date} to - Window end (inclusive)
+ * @param {number} pageSize - Number of logs requested per page
+ * @param {Object} connection - Tenant connection settings (optional)
+ * @returns {Promise<Array>} Message processing logs in the window
+ */
+const fetchMessageProcessingLogs = async (from, to, pageSize = 1000, connection) => {
+  const logs = [];
+  
+  for await (const page of iterateMessageProcessingLogs(from, to, pageSize, connection)) {
+    logs.push(...page);
+  }
+  
+  return logs;
+};
+
+/**
+ * Fetch all service endpoints with their entry points
+ * @param {Object} connection - Tenant connection settings (optional)
+ * @returns {Promise<Array>} Service endpoints
+ */
+const fetchServiceEndpoints = async (connection) => {
+  return fetchODataCollection('/api/v1/ServiceEndpoints', {
+    $expand: 'EntryPoints'
+  }, { connection });
+};
+
+/**
+ * Fetch all deployed runtime artifacts
+ * @param {Object} connection - Tenant connection settings (optional)
+ * @returns {Promise<Array>} List of runtime artifacts with deployment status
+ */
+const fetchRuntimeArtifacts = async (connection) => {
+  return fetchODataCollection('/api/v1/IntegrationRuntimeArtifacts', {}, { connection });
+};
+
+/**
+ * Fetch the runtime artifact of a single integration flow
+ * @param {string} flowId - Flow ID
+ * @param {Object} connection - Tenant connection settings (optional)
+ * @returns {Promise<Object|null>} Runtime artifact, or null if the flow is not deployed
+ */
+const fetchRuntimeArtifact = async (flowId, connection) => {
+  try {
+    const encodedFlowId = encodeURIComponent(flowId);
+    const response = await fetchFromApi(`/api/v1/IntegrationRuntimeArtifacts('${encodedFlowId}')`, {}, false, connection);
+    return response.d;
+  } catch (error) {
+    // The API returns 404 for flows that are not deployed
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Fetch the deployment error information of a runtime artifact
+ * @param {string} flowId - Flow ID
+ * @param {Object} connection - Tenant connection settings (optional)
+ * @returns {Promise<string|null>} Error information as text
+ */
+const fetchRuntimeArtifactErrorInformation = async (flowId, connection) => {
+  const encodedFlowId = encodeURIComponent(flowId);
+  const response = await fetchFromApi(`/api/v1/IntegrationRuntimeArtifacts('${encodedFlowId}')/ErrorInformation/$value`, {}, false, connection);
+  
+  if (!response) {
+    return null;
+  }
+  
+  return typeof response === 'string' ? response : JSON.stringify(response);
 };
 
 /**
@@ -155,9 +434,10 @@ const fetchPackageIntegrationFlows = async (packageId) => {
  * @param {string} flowId - Flow ID
  * @param {string} version - Flow version
  * @param {boolean} isBinary - Whether to fetch as binary data
- * @returns {Promise<Object>} Flow details with parsed XML
+ * @param {Object} connection - Tenant connection settings (optional)
+ * @returns {Promise<Object>} Flow details with parsed XML, scripts, parameter files, the ZIP itself and its content hash
  */
-const fetchIntegrationFlowDetails = async (flowId, version, isBinary = true) => {
+const fetchIntegrationFlowDetails = async (flowId, version, isBinary = true, connection) => {
   try {
     logger.debug('Fetching integration flow details', { flowId });
     const encodedFlowId = encodeURIComponent(flowId);
@@ -167,7 +447,8 @@ const fetchIntegrationFlowDetails = async (flowId, version, isBinary = true) =>
     const response = await fetchFromApi(
       `/api/v1/IntegrationDesigntimeArtifacts(Id='${encodedFlowId}',Version='${encodedVersion}')/$value`,
       {},
-      isBinary
+      isBinary,
+      connection
     );
 
     // Check if response contains data
@@ -210,10 +491,14 @@ const fetchIntegrationFlowDetails = async (flowId, version, isBinary = true) =>
 
     logger.debug('Successfully parsed XML', { flowId });
 
-    // Return flow data with parsed XML only
+    // Return flow data with parsed XML, the script files and the parameter files of the ZIP
     const flowData = {
       id: flowId,
-      parsedXml: parsedXml
+      parsedXml: parsedXml,
+      scripts: baseExtractor.extractScriptsFromZip(zipBuffer, flowId),
+      parameterFiles: await baseExtractor.extractParameterFilesFromZip(zipBuffer, flowId),
+      zipBuffer,
+      contentHash: baseExtractor.getZipContentHash(zipBuffer, flowId)
     };
 
     return flowData;
@@ -245,6 +530,33 @@ const fetchIntegrationFlowDetails = async (flowId, version, isBinary = true) =>
   }
 };
 
+/**
+ * Read the details of an integration flow from a ZIP that was fetched earlier (e.g. an archived version)
+ * @param {Buffer} zipBuffer - ZIP file buffer
+ * @param {string} flowId - Flow ID for logging
+ * @returns {Promise<Object>} Flow details with parsed XML, scripts, parameter files, the ZIP and its content hash (or error)
+ */
+const readIntegrationFlowZip = async (zipBuffer, flowId) => {
+  const parsedXml = await baseExtractor.readXmlFromZip(zipBuffer, flowId);
+  if (!parsedXml) {
+    logger.warn('Failed to extract XML from ZIP', { flowId });
+    return {
+      id: flowId,
+      parsedXml: null,
+      error: 'Failed to extract XML from ZIP'
+    };
+  }
+
+  return {
+    id: flowId,
+    parsedXml,
+    scripts: baseExtractor.extractScriptsFromZip(zipBuffer, flowId),
+    parameterFiles: await baseExtractor.extractParameterFilesFromZip(zipBuffer, flowId),
+    zipBuffer,
+    contentHash: baseExtractor.getZipContentHash(zipBuffer, flowId)
+  };
+};
+
 /**
  * Extract adapters from parsed XML
  * @param {Object} parsedXml - Parsed XML object
@@ -285,14 +597,64 @@ const extractPersistenceFromXml = (parsedXml, flowId) => {
   return persistenceExtractor.extractPersistence(parsedXml, flowId);
 };
 
+/**
+ * Link the script files of an iFlow to the steps of its parsed XML
+ * @param {Object} parsedXml - Parsed XML object
+ * @param {Array} scripts - Script files of the iFlow ZIP
+ * @param {string} flowId - Flow ID for logging
+ * @returns {Object} Scripts with their calling steps, and unresolved script steps
+ */
+const extractScriptsFromXml = (parsedXml, scripts, flowId) => {
+  return scriptExtractor.extractScripts(parsedXml, scripts, flowId);
+};
+
+/**
+ * Extract the externalized parameters of an iFlow and where its parsed XML uses them
+ * @param {Object} parsedXml - Parsed XML object
+ * @param {Object} parameterFiles - Parameter values and definitions of the iFlow ZIP
+ * @param {string} flowId - Flow ID for logging
+ * @returns {Array} Externalized parameters with their usages
+ */
+const extractParametersFromXml = (parsedXml, parameterFiles, flowId) => {
+  return parameterExtractor.extractParameters(parsedXml, parameterFiles, flowId);
+};
+
+/**
+ * Extract the step graph from parsed XML
+ * @param {Object} parsedXml - Parsed XML object
+ * @param {string} flowId - Flow ID for logging
+ * @returns {Object} Graph nodes and edges
+ */
+const extractGraphFromXml = (parsedXml, flowId) => {
+  return graphExtractor.extractGraph(parsedXml, flowId);
+};
+
 module.exports = {
+  ODataTruncatedError,
+  iterateODataCollection,
+  fetchODataCollection,
   fetchIntegrationPackages,
+  fetchIntegrationPackageSample,
   fetchIntegrationPackage,
   fetchAllIntegrationFlows,
   fetchPackageIntegrationFlows,
+  fetchPackageValueMappings,
+  fetchPackageMessageMappings,
+  fetchPackageScriptCollections,
+  fetchIntegrationFlow,
   fetchIntegrationFlowDetails,
+  readIntegrationFlowZip,
+  fetchRuntimeArtifacts,
+  fetchRuntimeArtifact,
+  fetchRuntimeArtifactErrorInformation,
+  iterateMessageProcessingLogs,
+  fetchMessageProcessingLogs,
+  fetchServiceEndpoints,
   extractAdaptersFromXml,
   extractSecurityFromXml,
   extractErrorHandlingFromXml,
-  extractPersistenceFromXml
+  extractPersistenceFromXml,
+  extractScriptsFromXml,
+  extractParametersFromXml,
+  extractGraphFromXml
 };
\ No newline at end of file
@@ -6,12 +6,20 @@ const AdapterProcessor = require('./processing/adapterProcessor');
 const SecurityProcessor = require('./processing/securityProcessor');
 const ErrorHandlingProcessor = require('./processing/errorHandlingProcessor');
 const PersistenceProcessor = require('./processing/persistenceProcessor');
+const ScriptProcessor = require('./processing/scriptProcessor');
+const ParameterProcessor = require('./processing/parameterProcessor');
+const GraphProcessor = require('./processing/graphProcessor');
+const ComplexityProcessor = require('./processing/complexityProcessor');
 
 // Initialize processors
 const adapterProcessor = new AdapterProcessor();
 const securityProcessor = new SecurityProcessor();
 const errorHandlingProcessor = new ErrorHandlingProcessor();
 const persistenceProcessor = new PersistenceProcessor();
+const scriptProcessor = new ScriptProcessor();
+const parameterProcessor = new ParameterProcessor();
+const graphProcessor = new GraphProcessor();
+const complexityProcessor = new ComplexityProcessor();
 
 /**
  * Process integration package data
@@ -23,7 +31,7 @@ const processPackageData = (packageData) => {
     logger.debug('Processing package data', { packageId: packageData.Id });
     
     return {
-      package_id: packageData.Id,
+      artifact_id: packageData.Id,
       package_name: packageData.Name,
       package_description: packageData.Description || '',
       tenant_id: packageData.OwningTenant || 'default'
@@ -37,6 +45,34 @@ const processPackageData = (packageData) => {
   }
 };
 
+/**
+ * Process a value mapping, message mapping or script collection of a package
+ * @param {Object} artifactData - Raw artifact data from API
+ * @param {string} fieldPrefix - Column prefix of the artifact model (value_mapping, message_mapping, script_collection)
+ * @returns {Object} Processed artifact data for database
+ */
+const processPackageArtifactData = (artifactData, fieldPrefix) => {
+  try {
+    logger.debug('Processing package artifact data', { artifactId: artifactData.Id, fieldPrefix });
+    
+    return {
+      artifact_id: artifactData.Id,
+      [`${fieldPrefix}_name`]: artifactData.Name || artifactData.Id,
+      [`${fieldPrefix}_description`]: artifactData.Description || '',
+      package_id: artifactData.PackageId,
+      version: artifactData.Version || null,
+      modified_by: artifactData.ModifiedBy || null,
+      modified_on: parseODataDate(artifactData.ModifiedAt)
+    };
+  } catch (error) {
+    logger.error('Error processing package artifact data', { 
+      error: error.message,
+      artifactData 
+    });
+    throw error;
+  }
+};
+
 /**
  * Process integration flow data
  * @param {Object} flowData - Raw flow data from API
@@ -63,7 +99,7 @@ const processIntegrationFlowData = (flowData, runtimeData = {}) => {
     
     // Extract basic flow information
     const processedFlow = {
-      iflow_id: iflowId,
+      artifact_id: iflowId,
       package_id: packageId,
       iflow_name: flowData.Name || flowData.name || 'Unnamed Flow',
       iflow_description: flowData.Description || flowData.description || '',
@@ -352,6 +388,46 @@ const processPersistence = (flowData, persistence) => {
   return persistenceProcessor.processPersistence(flowData, persistence);
 };
 
+/**
+ * Process scripts and run their static checks using the dedicated processor
+ * @param {Object} flowData - Flow data with parsed XML
+ * @param {Object} scripts - Extracted scripts with their calling steps
+ * @returns {Object} Processed scripts and findings
+ */
+const processScripts = (flowData, scripts) => {
+  return scriptProcessor.processScripts(flowData, scripts);
+};
+
+/**
+ * Process externalized parameters using the dedicated processor
+ * @param {Object} flowData - Flow data with parsed XML
+ * @param {Array} parameters - Extracted parameters with their usages
+ * @returns {Array} Processed parameters
+ */
+const processParameters = (flowData, parameters) => {
+  return parameterProcessor.processParameters(flowData, parameters);
+};
+
+/**
+ * Process the step graph using the dedicated processor
+ * @param {Object} flowData - Flow data with parsed XML
+ * @param {Object} graph - Extracted graph nodes and edges
+ * @returns {Object} Processed graph
+ */
+const processGraph = (flowData, graph) => {
+  return graphProcessor.processGraph(flowData, graph);
+};
+
+/**
+ * Process the step inventory and complexity score using the dedicated processor
+ * @param {Object} flowData - Flow data with parsed XML
+ * @param {Object} graph - Processed step graph
+ * @returns {Object} Step counts, step count, complexity score and level
+ */
+const processStepInventory = (flowData, graph) => {
+  return complexityProcessor.processStepInventory(flowData, graph);
+};
+
 /**
  * Process deployment information from runtime data
  * @param {Object} flowData - Raw flow data from API
@@ -368,10 +444,10 @@ const processDeploymentInfo = (flowData, runtimeData = {}) => {
     // Default deployment information
     const deploymentInfo = {
       iflow_id: iflowId,
-      version: flowData.Version || '1.0.0',
+      version: runtimeData.Version || flowData.Version || '1.0.0',
       deployment_type: 'Manual',
       deployed_by: runtimeData.DeployedBy || '',
-      deployed_on: runtimeData.DeployedOn || null,
+      deployed_on: parseODataDate(runtimeData.DeployedOn),
       status: runtimeData.Status || 'Not Deployed',
       error_information: runtimeData.ErrorInformation || '',
       deployment_details: extractDeploymentDetails(runtimeData)
@@ -402,7 +478,7 @@ const extractDeploymentDetails = (runtimeData) => {
   const details = {};
   
   // Add any additional runtime data excluding the main fields
-  const excludedFields = ['Id', 'Status', 'DeployedBy', 'DeployedOn', 'ErrorInformation'];
+  const excludedFields = ['Id', 'Status', 'DeployedBy', 'DeployedOn', 'ErrorInformation', '__metadata'];
   
   Object.keys(runtimeData).forEach(key => {
     if (!excludedFields.includes(key)) {
@@ -413,6 +489,23 @@ const extractDeploymentDetails = (runtimeData) => {
   return details;
 };
 
+/**
+ * Parse an OData date value ("/Date(1700000000000)/", epoch milliseconds or ISO string)
+ * @param {string|Date} value - Date value from the API
+ * @returns {Date|null} Parsed date
+ */
+const parseODataDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  
+  // Design-time artifact APIs return ModifiedAt as a string of epoch milliseconds
+  const match = /\/Date\((-?\d+)([+-]\d{4})?\)\//.exec(value) || /^(\d+)$/.exec(value);
+  const date = match ? new Date(parseInt(match[1], 10)) : new Date(value);
+  
+  return isNaN(date.getTime()) ? null : date;
+};
+
 /**
  * Process runtime information from message logs and endpoints
  * @param {string} flowId - Flow ID
@@ -424,6 +517,8 @@ const processRuntimeInfo = (flowId, messageLogs = [], endpoints = []) => {
   try {
     logger.debug('Processing runtime info', { flowId });
     
+    messageLogs = normalizeMessageLogs(messageLogs);
+    
     // Default runtime information
     const runtimeInfo = {
       iflow_id: flowId,
@@ -454,6 +549,118 @@ const processRuntimeInfo = (flowId, messageLogs = [], endpoints = []) => {
   }
 };
 
+/**
+ * Merge runtime information of newly ingested message logs into stored runtime information
+ * Counts are accumulated and the average processing time is weighted by the number of timed messages
+ * @param {Object} existingInfo - Stored runtime information
+ * @param {Object} runtimeInfo - Runtime information of the new message logs (from processRuntimeInfo)
+ * @param {boolean} hasEndpoints - Whether runtimeInfo carries fresh service endpoints
+ * @returns {Object} Merged runtime information
+ */
+const mergeRuntimeInfo = (existingInfo, runtimeInfo, hasEndpoints = false) => {
+  const existingDetails = existingInfo.runtime_details || {};
+  const newDetails = runtimeInfo.runtime_details || {};
+  
+  const existingTimed = existingDetails.timed_messages || 0;
+  const newTimed = newDetails.timed_messages || 0;
+  const timedMessages = existingTimed + newTimed;
+  
+  let avgProcessingTime = null;
+  if (timedMessages > 0) {
+    avgProcessingTime = Math.round(
+      ((existingInfo.avg_processing_time || 0) * existingTimed + (runtimeInfo.avg_processing_time || 0) * newTimed) / timedMessages
+    );
+  }
+  
+  const successCount = (existingInfo.success_count || 0) + runtimeInfo.success_count;
+  const failureCount = (existingInfo.failure_count || 0) + runtimeInfo.failure_count;
+  const totalMessages = (existingDetails.total_messages || 0) + (newDetails.total_messages || 0);
+  
+  const existingStatistics = existingDetails.message_statistics || {};
+  const newStatistics = newDetails.message_statistics || {};
+  const messageStatistics = {};
+  ['completed', 'failed', 'processing', 'abandoned'].forEach(status => {
+    messageStatistics[status] = (existingStatistics[status] || 0) + (newStatistics[status] || 0);
+  });
+  
+  return {
+    iflow_id: existingInfo.iflow_id || runtimeInfo.iflow_id,
+    endpoint: hasEndpoints ? runtimeInfo.endpoint : existingInfo.endpoint,
+    avg_processing_time: avgProcessingTime,
+    success_count: successCount,
+    failure_count: failureCount,
+    execution_type: mergeExecutionType(existingInfo, runtimeInfo, newDetails.total_messages > 0),
+    last_execution_time: latestDate(existingInfo.last_execution_time, runtimeInfo.last_execution_time),
+    runtime_details: {
+      ...existingDetails,
+      total_messages: totalMessages,
+      timed_messages: timedMessages,
+      endpoints: hasEndpoints ? newDetails.endpoints : (existingDetails.endpoints || []),
+      success_rate: totalMessages > 0 ? (messageStatistics.completed / totalMessages * 100) : 0,
+      message_statistics: messageStatistics
+    }
+  };
+};
+
+/**
+ * Merge the execution type of stored and new runtime information
+ * @param {Object} existingInfo - Stored runtime information
+ * @param {Object} runtimeInfo - Runtime information of the new message logs
+ * @param {boolean} hasNewMessages - Whether any new message logs were ingested
+ * @returns {string} Execution type
+ */
+const mergeExecutionType = (existingInfo, runtimeInfo, hasNewMessages) => {
+  const hadMessages = existingInfo.runtime_details && existingInfo.runtime_details.total_messages > 0;
+  
+  if (!hasNewMessages) {
+    return existingInfo.execution_type || runtimeInfo.execution_type;
+  }
+  
+  if (!hadMessages || existingInfo.execution_type === runtimeInfo.execution_type) {
+    return runtimeInfo.execution_type;
+  }
+  
+  return 'Both';
+};
+
+/**
+ * Return the later of two dates
+ * @param {Date|string|null} first - First date
+ * @param {Date|string|null} second - Second date
+ * @returns {Date|string|null} Later date
+ */
+const latestDate = (first, second) => {
+  if (!first) {
+    return second || null;
+  }
+  if (!second) {
+    return first;
+  }
+  return new Date(second) > new Date(first) ? second : first;
+};
+
+/**
+ * Convert OData dates of message logs (LogStart, LogEnd) to ISO strings
+ * @param {Array} messageLogs - Raw message logs
+ * @returns {Array} Message logs with ISO dates
+ */
+const normalizeMessageLogs = (messageLogs) => {
+  if (!messageLogs || messageLogs.length === 0) {
+    return [];
+  }
+  
+  return messageLogs.map(log => {
+    const logStart = parseODataDate(log.LogStart);
+    const logEnd = parseODataDate(log.LogEnd);
+    
+    return {
+      ...log,
+      LogStart: logStart ? logStart.toISOString() : null,
+      LogEnd: logEnd ? logEnd.toISOString() : null
+    };
+  });
+};
+
 /**
  * Extract endpoint from service endpoints
  * @param {Array} endpoints - Service endpoints
@@ -499,6 +706,18 @@ const calculateAverageProcessingTime = (messageLogs) => {
   return 0;
 };
 
+/**
+ * Count messages with a usable processing time (LogStart and LogEnd set)
+ * @param {Array} messageLogs - Message logs
+ * @returns {number} Count of timed messages
+ */
+const countTimedMessages = (messageLogs) => {
+  if (!messageLogs || messageLogs.length === 0) {
+    return 0;
+  }
+  return messageLogs.filter(log => log.LogStart && log.LogEnd && new Date(log.LogEnd) > new Date(log.LogStart)).length;
+};
+
 /**
  * Count successful messages from logs
  * @param {Array} messageLogs - Message logs
@@ -575,6 +794,7 @@ const extractLastExecutionTime = (messageLogs) => {
 const buildRuntimeDetails = (messageLogs, endpoints) => {
   const details = {
     total_messages: messageLogs ? messageLogs.length : 0,
+    timed_messages: countTimedMessages(messageLogs),
     endpoints: endpoints ? endpoints.map(endpoint => endpoint.Url) : []
   };
   
@@ -644,9 +864,9 @@ const validatePackageData = (packageData) => {
     warnings: []
   };
   
-  if (!packageData.package_id) {
+  if (!packageData.artifact_id) {
     validation.isValid = false;
-    validation.errors.push('Missing package_id');
+    validation.errors.push('Missing artifact_id');
   }
   
   if (!packageData.package_name) {
@@ -673,9 +893,9 @@ const validateIflowData = (iflowData) => {
     warnings: []
   };
   
-  if (!iflowData.iflow_id) {
+  if (!iflowData.artifact_id) {
     validation.isValid = false;
-    validation.errors.push('Missing iflow_id');
+    validation.errors.push('Missing artifact_id');
   }
   
   if (!iflowData.package_id) {
@@ -704,12 +924,19 @@ const validateIflowData = (iflowData) => {
 
 module.exports = {
   processPackageData,
+  processPackageArtifactData,
   processIntegrationFlowData,
   processSecurityMechanisms,
   processAdapters,
   processErrorHandling,
   processPersistence,
+  processScripts,
+  processParameters,
+  processGraph,
+  processStepInventory,
   processDeploymentInfo,
   processRuntimeInfo,
+  mergeRuntimeInfo,
+  parseODataDate,
   validateProcessedData
 };
\ No newline at end of file
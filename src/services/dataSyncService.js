@@ -8,78 +8,238 @@ const dataFetchService = require('./dataFetchService');
 // Import data process service
 const dataProcessService = require('./dataProcessService');
 
+// Import sync run tracking
+const syncRunService = require('./syncRunService');
+const syncProgressService = require('./syncProgressService');
+
+// Import tenant lookup
+const tenantService = require('./tenantService');
+
+// Import the extractor/processor pairs run for every iFlow
+const analyzerRegistry = require('./analyzerRegistry');
+
+const { mapWithConcurrency, createKeyedLock, getConcurrencySetting } = require('../utils/concurrency');
+
+// Number of packages and iFlows per package processed in parallel (1 = serial)
+const PACKAGE_CONCURRENCY = getConcurrencySetting('SYNC_PACKAGE_CONCURRENCY', 2);
+const IFLOW_CONCURRENCY = getConcurrencySetting('SYNC_IFLOW_CONCURRENCY', 4);
+
+// Message processing log ingestion windows
+const MESSAGE_LOG_WINDOW = (parseInt(process.env.MPL_WINDOW_MINUTES, 10) || 60) * 60 * 1000;
+const MESSAGE_LOG_INITIAL_LOOKBACK = (parseInt(process.env.MPL_INITIAL_LOOKBACK_HOURS, 10) || 24) * 60 * 60 * 1000;
+const MESSAGE_LOG_PAGE_SIZE = parseInt(process.env.MPL_PAGE_SIZE, 10) || 1000;
+const MESSAGE_LOG_SETTLE_TIME = 5 * 60 * 1000; // Messages younger than this may still change
+// Logs of iFlows that are not stored yet hold the high-water mark back for at most this long
+const MESSAGE_LOG_UNKNOWN_IFLOW_GRACE = (parseInt(process.env.MPL_UNKNOWN_IFLOW_GRACE_HOURS, 10) || 2) * 60 * 60 * 1000;
+// Windows whose logs cannot be read to their end are halved down to this size before the ingestion gives up
+const MESSAGE_LOG_MIN_WINDOW = 60 * 1000;
+
+// Serializes find-or-create of records shared between iFlows (adapters, security mechanisms)
+const withSharedRecordLock = createKeyedLock();
+
+// Design-time artifacts of a package that are synced as metadata next to its iFlows
+const PACKAGE_ARTIFACT_TYPES = [
+  { name: 'value mappings', model: 'ValueMapping', fieldPrefix: 'value_mapping', fetch: 'fetchPackageValueMappings' },
+  { name: 'message mappings', model: 'MessageMapping', fieldPrefix: 'message_mapping', fetch: 'fetchPackageMessageMappings' },
+  { name: 'script collections', model: 'ScriptCollection', fieldPrefix: 'script_collection', fetch: 'fetchPackageScriptCollections' }
+];
+
 /**
- * Find or create a tenant record
- * @param {string} tenantName - Tenant name
- * @param {string} tenantUrl - Tenant URL
- * @returns {Promise<Object>} Tenant record
+ * Attach the tenant a sync run works on to its run context
+ * @param {Object} runContext - Sync run context
+ * @param {Object} tenant - Tenant record
+ * @returns {Object} Run context
  */
-const findOrCreateTenant = async (tenantName, tenantUrl) => {
-  try {
-    const [tenant, created] = await models.Tenant.findOrCreate({
-      where: { tenant_name: tenantName },
-      defaults: {
-        tenant_url: tenantUrl,
-        oauth_config: {
-          client_id: process.env.SAP_CLIENT_ID,
-          token_url: process.env.SAP_TOKEN_URL
-        }
-      }
+const attachTenant = (runContext, tenant) => {
+  runContext.tenant = tenant;
+  runContext.tenantId = tenant.tenant_id;
+  runContext.connection = tenantService.getTenantConnection(tenant);
+  return runContext;
+};
+
+/**
+ * Get the tenant connection of a sync run
+ * @param {Object|null} runContext - Sync run context
+ * @returns {Object|undefined} Connection settings (undefined uses the environment tenant)
+ */
+const getConnection = (runContext) => {
+  return runContext && runContext.connection ? runContext.connection : undefined;
+};
+
+/**
+ * Process, validate and upsert a single integration package
+ * @param {Object} packageData - Raw package data from API
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} runContext - Sync run context (optional)
+ * @returns {Promise<Object>} Package record
+ */
+const upsertPackage = async (packageData, tenantId, runContext = null) => {
+  const processedPackage = dataProcessService.processPackageData(packageData);
+  processedPackage.tenant_id = tenantId;
+  
+  // Validate processed data
+  const validation = dataProcessService.validateProcessedData(processedPackage, 'package');
+  if (!validation.isValid) {
+    throw new Error(`Invalid package data: ${validation.errors.join(', ')}`);
+  }
+  
+  // Deleted packages are found too, so a package that reappears on the tenant is restored
+  const [packageRecord, created] = await models.Package.findOrCreate({
+    where: {
+      tenant_id: tenantId,
+      artifact_id: processedPackage.artifact_id
+    },
+    defaults: processedPackage,
+    paranoid: false
+  });
+  
+  if (!created) {
+    if (packageRecord.isSoftDeleted()) {
+      logger.info(`Restoring deleted package ${packageRecord.package_id}`);
+      await packageRecord.restore();
+    }
+    
+    // Update existing package
+    await packageRecord.update(processedPackage);
+  }
+  
+  return packageRecord;
+};
+
+/**
+ * Check whether a listing is too suspicious to soft-delete the stored artifacts it no longer returns
+ * An empty listing while artifacts are stored is more likely a failed SAP response than a tenant that
+ * removed all of them, so the deletion is skipped and recorded as an error of the run.
+ * Listings that could not be read to their end never get here: the fetch throws ODataTruncatedError
+ * @param {number} listedCount - Number of artifacts the listing returned
+ * @param {number} storedCount - Number of stored, not deleted artifacts the listing covers
+ * @param {Object} runContext - Sync run context (optional)
+ * @param {Object} details - Error details
+ * @param {string} details.phase - Sync phase
+ * @param {string|null} details.packageId - Stored package ID (optional)
+ * @param {string} details.artifacts - What the listing holds, for the error message
+ * @returns {Promise<boolean>} True if nothing must be deleted
+ */
+const isListingUnexpectedlyEmpty = async (listedCount, storedCount, runContext, { phase, packageId = null, artifacts }) => {
+  if (listedCount > 0 || storedCount === 0) {
+    return false;
+  }
+  
+  const message = `SAP listed no ${artifacts} while ${storedCount} are stored, so none were marked as deleted`;
+  logger.warn(message, { packageId });
+  await syncRunService.recordError(runContext, { phase, packageId, error: message });
+  return true;
+};
+
+/**
+ * Soft-delete iFlows that were removed from the tenant and record the deletion in their history
+ * @param {Array<Object>} iflowRecords - iFlow records to delete
+ * @param {Object} runContext - Sync run context (optional)
+ * @returns {Promise<number>} Number of deleted iFlows
+ */
+const deleteIntegrationFlows = async (iflowRecords, runContext = null) => {
+  for (const iflowRecord of iflowRecords) {
+    const previousState = iflowRecord.toJSON();
+    
+    // Adapter, security, deployment and runtime rows stay attached to the deleted iFlow
+    await iflowRecord.destroy();
+    
+    await models.IflowHistory.create({
+      iflow_id: iflowRecord.iflow_id,
+      change_timestamp: new Date(),
+      changed_by: 'system',
+      change_type: 'Delete',
+      previous_state: previousState,
+      new_state: null
     });
     
-    if (created) {
-      logger.info(`Created new tenant: ${tenantName}`);
+    logger.info(`Marked iFlow ${iflowRecord.iflow_id} as deleted`, { packageId: iflowRecord.package_id });
+  }
+  
+  syncRunService.incrementCount(runContext, 'iflowsDeleted', iflowRecords.length);
+  return iflowRecords.length;
+};
+
+/**
+ * Soft-delete the stored packages of a tenant that the package listing no longer returns, with their iFlows
+ * @param {string} tenantId - Tenant ID
+ * @param {Array<string>} listedPackageIds - SAP IDs of the packages the tenant returned
+ * @param {Object} runContext - Sync run context (optional)
+ * @returns {Promise<number>} Number of deleted packages
+ */
+const deleteRemovedPackages = async (tenantId, listedPackageIds, runContext = null) => {
+  const listedIds = new Set(listedPackageIds);
+  const storedPackages = await models.Package.findAll({ where: { tenant_id: tenantId } });
+  if (await isListingUnexpectedlyEmpty(listedIds.size, storedPackages.length, runContext, { phase: 'packages', artifacts: 'packages' })) {
+    return 0;
+  }
+  
+  const removedPackages = storedPackages.filter(packageRecord => !listedIds.has(packageRecord.artifact_id));
+  
+  for (const packageRecord of removedPackages) {
+    const iflowRecords = await models.Iflow.findAll({
+      where: { package_id: packageRecord.package_id }
+    });
+    await deleteIntegrationFlows(iflowRecords, runContext);
+    for (const artifactType of PACKAGE_ARTIFACT_TYPES) {
+      await models[artifactType.model].destroy({ where: { package_id: packageRecord.package_id } });
     }
+    await packageRecord.destroy();
     
-    return tenant;
-  } catch (error) {
-    logger.error('Error finding or creating tenant', { error: error.message });
-    throw error;
+    logger.info(`Marked package ${packageRecord.package_id} as deleted`, { iflows: iflowRecords.length });
   }
+  
+  syncRunService.incrementCount(runContext, 'packagesDeleted', removedPackages.length);
+  return removedPackages.length;
 };
 
 /**
  * Sync integration packages
  * @param {string} tenantId - Tenant ID
+ * @param {Object} runContext - Sync run context (optional)
  * @returns {Promise<Array>} Array of package records
  */
-const syncIntegrationPackages = async (tenantId) => {
+const syncIntegrationPackages = async (tenantId, runContext = null) => {
   try {
     logger.info('Syncing integration packages');
     
     // Fetch packages from API
-    const packagesData = await dataFetchService.fetchIntegrationPackages();
+    const packagesData = await dataFetchService.fetchIntegrationPackages(getConnection(runContext));
+    syncProgressService.reportProgress(runContext, { phase: 'packages', packageTotal: packagesData.length });
     
     // Process and upsert packages
     const packageRecords = [];
     
     for (const packageData of packagesData) {
-      const processedPackage = dataProcessService.processPackageData(packageData);
-      processedPackage.tenant_id = tenantId;
-      
-      // Validate processed data
-      const validation = dataProcessService.validateProcessedData(processedPackage, 'package');
-      if (!validation.isValid) {
+      let packageRecord;
+      try {
+        packageRecord = await upsertPackage(packageData, tenantId, runContext);
+      } catch (error) {
         logger.error('Invalid package data', { 
-          packageId: processedPackage.package_id,
-          errors: validation.errors 
+          packageId: packageData.Id,
+          error: error.message 
+        });
+        await syncRunService.recordError(runContext, {
+          phase: 'packages',
+          packageId: packageData.Id,
+          error
         });
         continue;
       }
       
-      const [packageRecord, created] = await models.Package.findOrCreate({
-        where: {
-          package_id: processedPackage.package_id
-        },
-        defaults: processedPackage
-      });
-      
-      if (!created) {
-        // Update existing package
-        await packageRecord.update(processedPackage);
-      }
-      
       packageRecords.push(packageRecord);
+      syncRunService.incrementCount(runContext, 'packages');
+    }
+    
+    // Packages that failed validation were still listed, so they are not treated as removed
+    const listedPackageIds = packagesData
+      .filter(packageData => packageData.Id)
+      .map(packageData => packageData.Id);
+    try {
+      await deleteRemovedPackages(tenantId, listedPackageIds, runContext);
+    } catch (error) {
+      logger.error('Error marking removed packages as deleted', { error: error.message });
+      await syncRunService.recordError(runContext, { phase: 'packages', error });
     }
     
     logger.info(`Synced ${packageRecords.length} integration packages`);
@@ -98,7 +258,7 @@ const syncIntegrationPackages = async (tenantId) => {
 const sanitizeFlowData = (processedFlow) => {
   // Define max lengths based on database schema
   const limits = {
-    iflow_id: 255,
+    artifact_id: 255,
     package_id: 255,
     iflow_name: 255,
     iflow_description: null, // TEXT field, no limit
@@ -118,7 +278,7 @@ const sanitizeFlowData = (processedFlow) => {
   Object.keys(limits).forEach(field => {
     if (limits[field] && sanitized[field] && sanitized[field].length > limits[field]) {
       logger.warn(`Truncating ${field} from ${sanitized[field].length} to ${limits[field]} characters`, {
-        iflowId: sanitized.iflow_id,
+        iflowId: sanitized.artifact_id,
         originalValue: sanitized[field]
       });
       sanitized[field] = sanitized[field].substring(0, limits[field]);
@@ -140,7 +300,7 @@ const sanitizeFlowData = (processedFlow) => {
       }
     } catch (error) {
       logger.warn('Invalid JSON in additional_attributes, setting to empty object', {
-        iflowId: sanitized.iflow_id,
+        iflowId: sanitized.artifact_id,
         error: error.message
       });
       sanitized.additional_attributes = {};
@@ -158,7 +318,7 @@ const sanitizeFlowData = (processedFlow) => {
 const debugDatabaseOperation = (data, operation = 'UPDATE') => {
   logger.debug(`${operation} operation details:`, {
     operation,
-    iflowId: data.iflow_id,
+    iflowId: data.artifact_id,
     packageId: data.package_id,
     dataKeys: Object.keys(data),
     fieldLengths: Object.keys(data).map(key => ({
@@ -169,180 +329,436 @@ const debugDatabaseOperation = (data, operation = 'UPDATE') => {
   });
 };
 
+/**
+ * Build the change-detection signature of a flow from its design-time metadata
+ * @param {Object} flowData - Raw flow metadata from API
+ * @returns {string} Signature combining version and modification metadata
+ */
+const buildSyncSignature = (flowData) => {
+  return [
+    flowData.Version || '',
+    flowData.ModifiedAt || '',
+    flowData.ModifiedBy || ''
+  ].join('|');
+};
+
+/**
+ * Check whether a flow is unchanged since it was last synced successfully
+ * @param {Object} flowData - Raw flow metadata from API
+ * @param {Object|undefined} existingFlow - Stored iFlow record (iflow_id, package_id, sync_signature)
+ * @param {string} packageId - Package ID being synced
+ * @returns {boolean} True if the stored artifact is up to date
+ */
+const isFlowUnchanged = (flowData, existingFlow, packageId) => {
+  if (!existingFlow || !existingFlow.sync_signature) {
+    return false;
+  }
+  
+  return existingFlow.package_id === packageId &&
+    existingFlow.sync_signature === buildSyncSignature(flowData);
+};
+
+/**
+ * Load all deployed runtime artifacts once for the run
+ * Falls back to per-flow lookups when the list cannot be fetched
+ * @param {Object} runContext - Sync run context
+ * @returns {Promise<void>}
+ */
+const loadRuntimeArtifacts = async (runContext) => {
+  try {
+    const runtimeArtifacts = await dataFetchService.fetchRuntimeArtifacts(getConnection(runContext));
+    runContext.runtimeArtifacts = new Map(
+      runtimeArtifacts.map(artifact => [artifact.Id, artifact])
+    );
+    logger.info(`Loaded ${runContext.runtimeArtifacts.size} runtime artifacts`, { runId: runContext.runId });
+  } catch (error) {
+    logger.warn('Could not load runtime artifacts, falling back to per-flow lookups', { error: error.message });
+    runContext.runtimeArtifacts = null;
+  }
+};
+
+/**
+ * Get the runtime (deployment) status of a flow
+ * @param {string} flowId - Flow ID
+ * @param {Object} runContext - Sync run context (optional)
+ * @returns {Promise<Object>} Runtime artifact data, with Status 'Not Deployed' if the flow is not deployed
+ */
+const getRuntimeStatus = async (flowId, runContext = null) => {
+  const runtimeArtifact = runContext && runContext.runtimeArtifacts
+    ? runContext.runtimeArtifacts.get(flowId) || null
+    : await dataFetchService.fetchRuntimeArtifact(flowId, getConnection(runContext));
+  
+  if (!runtimeArtifact) {
+    return { Status: 'Not Deployed' };
+  }
+  
+  // ErrorInformation is a navigation property, only worth resolving for failed deployments
+  let errorInformation = null;
+  if (runtimeArtifact.Status === 'ERROR') {
+    try {
+      errorInformation = await dataFetchService.fetchRuntimeArtifactErrorInformation(flowId, getConnection(runContext));
+    } catch (error) {
+      logger.warn(`Could not fetch deployment error information for flow ${flowId}`, { error: error.message });
+    }
+  }
+  
+  return {
+    ...runtimeArtifact,
+    ErrorInformation: errorInformation
+  };
+};
+
+/**
+ * Sync the deployment status of a flow without re-downloading its artifact
+ * @param {string} packageId - Package ID the flow belongs to
+ * @param {Object} flowData - Raw flow metadata from API
+ * @param {string} iflowId - Stored iFlow ID
+ * @param {Object} runContext - Sync run context (optional)
+ * @returns {Promise<void>}
+ */
+const syncFlowDeploymentStatus = async (packageId, flowData, iflowId, runContext = null) => {
+  try {
+    const runtimeStatus = await getRuntimeStatus(flowData.Id, runContext);
+    const deploymentInfo = dataProcessService.processDeploymentInfo({ ...flowData, id: iflowId }, runtimeStatus);
+    await syncDeploymentInfo(iflowId, deploymentInfo);
+  } catch (error) {
+    logger.error(`Error syncing deployment status for flow ${flowData.Id}`, { error: error.message });
+    await syncRunService.recordError(runContext, {
+      phase: 'deployment',
+      packageId,
+      iflowId: flowData.Id,
+      error
+    });
+  }
+};
+
+/**
+ * Run the registered analyzers over the parsed XML of an integration flow
+ * @param {Object} flowData - Flow metadata, keyed by the SAP iFlow ID in `id`
+ * @param {Object} flowDetails - Flow details (id, parsedXml, scripts, parameterFiles)
+ * @param {Object|null} runtimeStatus - Runtime artifact status (optional)
+ * @returns {Object} Processed flow, the result of every analyzer by name (security mechanisms, adapters,
+ *   error handling, persistence, scripts, parameters, step graph, step inventory and custom analyzers)
+ *   and the analyzers that failed
+ */
+const analyzeIntegrationFlow = (flowData, flowDetails, runtimeStatus = null) => {
+  const { results, failures } = analyzerRegistry.runAnalyzers(flowDetails);
+  
+  return {
+    flow: dataProcessService.processIntegrationFlowData(flowData, runtimeStatus || {}),
+    ...results,
+    analyzerErrors: failures
+  };
+};
+
+/**
+ * Persist the components extracted from the XML of an analysed integration flow
+ * @param {string} iflowId - Stored iFlow ID
+ * @param {Object} analysis - Result of analyzeIntegrationFlow
+ * @param {Object} runContext - Sync run context (optional)
+ * @returns {Promise<void>}
+ */
+const storeIntegrationFlowComponents = async (iflowId, analysis, runContext = null) => {
+  await analyzerRegistry.storeAnalyses(iflowId, analysis, runContext);
+};
+
+/**
+ * Persist an analysed integration flow and its components
+ * @param {Object} packageRecord - Package the flow belongs to
+ * @param {Object} flowData - Flow metadata (used for the change-detection signature)
+ * @param {Object} analysis - Result of analyzeIntegrationFlow
+ * @param {Object|null} runtimeStatus - Runtime artifact status; null leaves deployment info untouched
+ * @param {Object} runContext - Sync run context (optional)
+ * @returns {Promise<Object|null>} iFlow record, or null if the flow could not be stored
+ */
+const storeIntegrationFlow = async (packageRecord, flowData, analysis, runtimeStatus = null, runContext = null) => {
+  const packageId = packageRecord.package_id;
+  const processedFlow = { ...analysis.flow };
+  
+  // Ensure processedFlow has required fields
+  if (!processedFlow.artifact_id) {
+    logger.warn(`Processed flow missing artifact_id`, { processedFlow });
+    syncProgressService.reportWarning(runContext, 'Processed flow is missing its iFlow ID', { packageId, iflowId: flowData.Id });
+    return null;
+  }
+  
+  // IMPORTANT: Ensure the package_id matches the one we're syncing
+  processedFlow.package_id = packageId;
+  processedFlow.tenant_id = packageRecord.tenant_id;
+  
+  // Sanitize data for database
+  const sanitizedFlow = sanitizeFlowData(processedFlow);
+  
+  // Debug log the sanitized data
+  debugDatabaseOperation(sanitizedFlow, 'UPDATE');
+  
+  // Find or create iFlow record, including deleted ones
+  const [iflowRecord, created] = await models.Iflow.findOrCreate({
+    where: {
+      tenant_id: sanitizedFlow.tenant_id,
+      artifact_id: sanitizedFlow.artifact_id
+    },
+    defaults: sanitizedFlow,
+    paranoid: false
+  });
+  
+  if (!created) {
+    // Store previous state for history
+    const previousState = iflowRecord.toJSON();
+    
+    // An iFlow that reappears on the tenant is restored and recorded as created again
+    const restored = iflowRecord.isSoftDeleted();
+    
+    try {
+      if (restored) {
+        await iflowRecord.restore();
+      }
+      
+      // Update existing iFlow
+      await iflowRecord.update(sanitizedFlow);
+      
+      // Create history record for the update
+      await models.IflowHistory.create({
+        iflow_id: iflowRecord.iflow_id,
+        change_timestamp: new Date(),
+        changed_by: 'system',
+        change_type: restored ? 'Create' : 'Update',
+        previous_state: previousState,
+        new_state: sanitizedFlow
+      });
+    } catch (updateError) {
+      logger.error(`Error updating iFlow ${iflowRecord.iflow_id}`, {
+        error: updateError.message,
+        flowId: sanitizedFlow.artifact_id,
+        sanitizedFlow
+      });
+      await syncRunService.recordError(runContext, {
+        phase: 'iflows',
+        packageId,
+        iflowId: iflowRecord.iflow_id,
+        error: updateError
+      });
+      return null;
+    }
+  } else {
+    // Create history record for the creation
+    await models.IflowHistory.create({
+      iflow_id: iflowRecord.iflow_id,
+      change_timestamp: new Date(),
+      changed_by: 'system',
+      change_type: 'Create',
+      previous_state: null,
+      new_state: sanitizedFlow
+    });
+  }
+  
+  await storeIntegrationFlowComponents(iflowRecord.iflow_id, analysis, runContext);
+  
+  // Process and sync deployment info
+  if (runtimeStatus) {
+    const deploymentInfo = dataProcessService.processDeploymentInfo({ ...flowData, id: iflowRecord.iflow_id }, runtimeStatus);
+    await syncDeploymentInfo(iflowRecord.iflow_id, deploymentInfo);
+  }
+  
+  // Make sure runtime info exists; metrics are filled from message processing logs
+  await syncRuntimeInfo(iflowRecord.iflow_id);
+  
+  // Remember what was synced so unchanged artifacts can be skipped next time;
+  // a flow whose analysis was incomplete keeps no signature, so the next sync analyses it again
+  const analysisComplete = !analysis.analyzerErrors || analysis.analyzerErrors.length === 0;
+  await iflowRecord.update({
+    sync_signature: analysisComplete ? buildSyncSignature(flowData) : null,
+    last_synced_at: new Date()
+  });
+  
+  syncRunService.incrementCount(runContext, 'iflows');
+  return iflowRecord;
+};
+
+/**
+ * Sync a single integration flow: download, extract, process and persist it
+ * @param {Object} packageRecord - Package the flow belongs to
+ * @param {Object} flowData - Raw flow metadata from API
+ * @param {Object} runContext - Sync run context (optional)
+ * @returns {Promise<Object|null>} iFlow record, or null if the flow was skipped
+ */
+const syncIntegrationFlow = async (packageRecord, flowData, runContext = null) => {
+  const packageId = packageRecord.package_id;
+  
+  // Skip flows with missing required data
+  if (!flowData.Id) {
+    logger.warn('Skipping flow with missing ID', { flowData });
+    syncProgressService.reportWarning(runContext, 'Skipped a flow without ID', { packageId });
+    return null;
+  }
+  
+  logger.info(`Processing flow: ${flowData.Id} (version: ${flowData.Version})`);
+  
+  // Fetch detailed flow information (returns parsed XML)
+  const flowDetails = await dataFetchService.fetchIntegrationFlowDetails(
+    flowData.Id,
+    flowData.Version,
+    true,
+    getConnection(runContext)
+  );
+  
+  // Check if flow details contain errors
+  if (!flowDetails || flowDetails.error) {
+    logger.warn(`Skipping flow ${flowData.Id} due to fetch error`, { 
+      error: flowDetails?.error,
+      flowId: flowData.Id,
+      version: flowData.Version
+    });
+    await syncRunService.recordError(runContext, {
+      phase: 'iflows',
+      packageId,
+      iflowId: flowData.Id,
+      error: flowDetails?.error || 'No flow details returned'
+    });
+    return null;
+  }
+  
+  // Ensure we have a valid iflow_id and parsed XML
+  if (!flowDetails.id || !flowDetails.parsedXml) {
+    logger.warn(`Skipping flow without valid ID or parsed XML`, { flowDetails });
+    syncProgressService.reportWarning(runContext, 'Skipped a flow without valid ID or parsed XML', { packageId, iflowId: flowData.Id });
+    return null;
+  }
+  
+  // Create flow data object with basic flow information
+  const enhancedFlowData = {
+    ...flowData,
+    id: flowDetails.id
+  };
+  
+  // Fetch runtime status; null leaves the stored deployment info untouched
+  let runtimeStatus = null;
+  try {
+    runtimeStatus = await getRuntimeStatus(flowData.Id, runContext);
+  } catch (error) {
+    logger.warn(`Could not fetch runtime status for flow ${flowData.Id} (version ${flowData.Version})`, { error: error.message });
+    await syncRunService.recordError(runContext, {
+      phase: 'deployment',
+      packageId,
+      iflowId: flowData.Id,
+      error
+    });
+  }
+  
+  // Extract and process the flow
+  let analysis;
+  try {
+    analysis = analyzeIntegrationFlow(enhancedFlowData, flowDetails, runtimeStatus);
+  } catch (error) {
+    logger.error(`Error processing flow data for ${flowData.Id}`, {
+      error: error.message,
+      stack: error.stack,
+      flowId: flowData.Id,
+      version: flowData.Version
+    });
+    await syncRunService.recordError(runContext, {
+      phase: 'iflows',
+      packageId,
+      iflowId: flowData.Id,
+      error
+    });
+    return null;
+  }
+  
+  const iflowRecord = await storeIntegrationFlow(packageRecord, flowData, analysis, runtimeStatus, runContext);
+  
+  // Keep every distinct version of the ZIP so versions can be compared later
+  if (iflowRecord) {
+    await archiveIflowVersion(iflowRecord.iflow_id, {
+      version: flowData.Version,
+      zipBuffer: flowDetails.zipBuffer,
+      contentHash: flowDetails.contentHash
+    }, runContext);
+  }
+  
+  return iflowRecord;
+};
+
 /**
  * Sync integration flows for a package
- * @param {string} packageId - Package ID
+ * @param {Object} packageRecord - Package record
+ * @param {Object} runContext - Sync run context (optional)
  * @returns {Promise<Array>} Array of iFlow records
  */
-const syncPackageIntegrationFlows = async (packageId) => {
+const syncPackageIntegrationFlows = async (packageRecord, runContext = null) => {
+  const packageId = packageRecord.package_id;
+  
   try {
-    logger.info(`Syncing integration flows for package: ${packageId}`);
+    logger.info(`Syncing integration flows for package: ${packageRecord.artifact_id}`, { packageId });
     
-    // First, verify the package exists in the database
-    const packageExists = await models.Package.findByPk(packageId);
-    if (!packageExists) {
-      logger.error(`Package ${packageId} not found in database. Cannot sync flows.`);
-      throw new Error(`Package ${packageId} does not exist. Sync packages first.`);
+    // Fetch iFlows from API
+    const flowsData = await dataFetchService.fetchPackageIntegrationFlows(
+      packageRecord.artifact_id,
+      getConnection(runContext)
+    );
+    
+    syncProgressService.advanceProgress(runContext, 'iflowTotal', flowsData.length, { packageId, iflowId: null });
+    
+    const listedFlowIds = flowsData.filter(flow => flow.Id).map(flow => flow.Id);
+    
+    // Stored flows the package no longer lists were deleted on the tenant
+    try {
+      const storedPackageFlows = await models.Iflow.findAll({ where: { package_id: packageId } });
+      if (!await isListingUnexpectedlyEmpty(flowsData.length, storedPackageFlows.length, runContext, {
+        phase: 'iflows',
+        packageId,
+        artifacts: 'iFlows'
+      })) {
+        await deleteIntegrationFlows(
+          storedPackageFlows.filter(flow => !listedFlowIds.includes(flow.artifact_id)),
+          runContext
+        );
+      }
+    } catch (error) {
+      logger.error(`Error marking removed flows of package ${packageId} as deleted`, { error: error.message });
+      await syncRunService.recordError(runContext, { phase: 'iflows', packageId, error });
     }
     
-    // Fetch iFlows from API
-    const flowsData = await dataFetchService.fetchPackageIntegrationFlows(packageId);
+    // Load stored signatures for change detection unless a full refresh was requested
+    // Deleted flows are not loaded, so a flow that reappears is synced again
+    const fullRefresh = runContext ? runContext.fullRefresh : false;
+    const existingFlows = new Map();
+    if (!fullRefresh) {
+      const storedFlows = await models.Iflow.findAll({
+        where: { tenant_id: packageRecord.tenant_id, artifact_id: listedFlowIds },
+        attributes: ['iflow_id', 'artifact_id', 'package_id', 'sync_signature']
+      });
+      storedFlows.forEach(flow => existingFlows.set(flow.artifact_id, flow));
+    }
+    
+    // Only changed flows are downloaded and re-extracted
+    const unchangedFlows = [];
+    const changedFlows = fullRefresh ? flowsData : flowsData.filter(flowData => {
+      if (isFlowUnchanged(flowData, existingFlows.get(flowData.Id), packageId)) {
+        logger.debug(`Skipping unchanged flow: ${flowData.Id} (version: ${flowData.Version})`);
+        syncRunService.incrementCount(runContext, 'skipped');
+        unchangedFlows.push(flowData);
+        return false;
+      }
+      return true;
+    });
+    const skippedCount = unchangedFlows.length;
+    syncProgressService.advanceProgress(runContext, 'iflowsDone', skippedCount, { packageId });
     
-    // Process and upsert iFlows
-    const iflowRecords = [];
+    // Deployment status changes independently of the design-time artifact
+    await mapWithConcurrency(unchangedFlows, IFLOW_CONCURRENCY, flowData =>
+      syncFlowDeploymentStatus(packageId, flowData, existingFlows.get(flowData.Id).iflow_id, runContext)
+    );
     
-    for (const flowData of flowsData) {
+    // Download, extract and persist iFlows in parallel, keeping results in listing order
+    const results = await mapWithConcurrency(changedFlows, IFLOW_CONCURRENCY, async (flowData) => {
+      // A cancelled run stops between flows
+      if (await syncRunService.isCancelRequested(runContext)) {
+        return null;
+      }
+      
       try {
-        // Skip flows with missing required data
-        if (!flowData.Id) {
-          logger.warn('Skipping flow with missing ID', { flowData });
-          continue;
-        }
-        
-        logger.info(`Processing flow: ${flowData.Id} (version: ${flowData.Version})`);
-        
-        // Fetch detailed flow information (returns parsed XML)
-        const flowDetails = await dataFetchService.fetchIntegrationFlowDetails(
-          flowData.Id,
-          flowData.Version,
-          true
-        );
-        
-        // Check if flow details contain errors
-        if (!flowDetails || flowDetails.error) {
-          logger.warn(`Skipping flow ${flowData.Id} due to fetch error`, { 
-            error: flowDetails?.error,
-            flowId: flowData.Id,
-            version: flowData.Version
-          });
-          continue;
-        }
-        
-        // Ensure we have a valid iflow_id and parsed XML
-        if (!flowDetails.id || !flowDetails.parsedXml) {
-          logger.warn(`Skipping flow without valid ID or parsed XML`, { flowDetails });
-          continue;
-        }
-        
-        // Extract individual components from parsed XML
-        const adapters = dataFetchService.extractAdaptersFromXml(flowDetails.parsedXml, flowDetails.id);
-        const securityMechanisms = dataFetchService.extractSecurityFromXml(flowDetails.parsedXml, flowDetails.id);
-        const errorHandling = dataFetchService.extractErrorHandlingFromXml(flowDetails.parsedXml, flowDetails.id);
-        const persistence = dataFetchService.extractPersistenceFromXml(flowDetails.parsedXml, flowDetails.id);
-        
-        // Create flow data object with basic flow information
-        const enhancedFlowData = {
-          ...flowData,
-          id: flowDetails.id
-        };
-        
-        // Fetch runtime status if available
-        let runtimeStatus = {};
-        try {
-          // Note: fetchRuntimeStatus is commented out in the original code
-          // runtimeStatus = await dataFetchService.fetchRuntimeStatus(flowData.Id, flowData.Version);
-        } catch (error) {
-          logger.warn(`Could not fetch runtime status for flow ${flowData.Id} (version ${flowData.Version})`, { error: error.message });
-        }
-        
-        // Process main flow data
-        let processedFlow;
-        try {
-          processedFlow = dataProcessService.processIntegrationFlowData(enhancedFlowData, runtimeStatus);
-        } catch (error) {
-          logger.error(`Error processing flow data for ${flowData.Id}`, {
-            error: error.message,
-            stack: error.stack,
-            flowId: flowData.Id,
-            version: flowData.Version
-          });
-          continue;
-        }
-        
-        // Ensure processedFlow has required fields
-        if (!processedFlow.iflow_id) {
-          logger.warn(`Processed flow missing iflow_id`, { processedFlow });
-          continue;
-        }
-        
-        // IMPORTANT: Ensure the package_id matches the one we're syncing
-        processedFlow.package_id = packageId;
-        
-        // Sanitize data for database
-        const sanitizedFlow = sanitizeFlowData(processedFlow);
-        
-        // Debug log the sanitized data
-        debugDatabaseOperation(sanitizedFlow, 'UPDATE');
-        
-        // Find or create iFlow record
-        const [iflowRecord, created] = await models.Iflow.findOrCreate({
-          where: {
-            iflow_id: sanitizedFlow.iflow_id
-          },
-          defaults: sanitizedFlow
-        });
-        
-        if (!created) {
-          // Store previous state for history
-          const previousState = iflowRecord.toJSON();
-          
-          try {
-            // Update existing iFlow
-            await iflowRecord.update(sanitizedFlow);
-            
-            // Create history record for the update
-            await models.IflowHistory.create({
-              iflow_id: iflowRecord.iflow_id,
-              change_timestamp: new Date(),
-              changed_by: 'system',
-              change_type: 'Update',
-              previous_state: previousState,
-              new_state: sanitizedFlow
-            });
-          } catch (updateError) {
-            logger.error(`Error updating iFlow ${sanitizedFlow.iflow_id}`, {
-              error: updateError.message,
-              flowId: sanitizedFlow.iflow_id,
-              sanitizedFlow
-            });
-            continue;
-          }
-        } else {
-          // Create history record for the creation
-          await models.IflowHistory.create({
-            iflow_id: iflowRecord.iflow_id,
-            change_timestamp: new Date(),
-            changed_by: 'system',
-            change_type: 'Create',
-            previous_state: null,
-            new_state: sanitizedFlow
-          });
-        }
-        
-        // Process and sync security mechanisms
-        const processedSecurity = dataProcessService.processSecurityMechanisms(flowDetails, securityMechanisms);
-        await syncSecurityMechanisms(iflowRecord.iflow_id, processedSecurity);
-        
-        // Process and sync adapters
-        const processedAdapters = dataProcessService.processAdapters(flowDetails, adapters);
-        await syncAdapters(iflowRecord.iflow_id, processedAdapters);
-        
-        // Process and sync error handling
-        const processedErrorHandling = dataProcessService.processErrorHandling(flowDetails, errorHandling);
-        await syncErrorHandling(iflowRecord.iflow_id, processedErrorHandling);
-        
-        // Process and sync persistence
-        const processedPersistence = dataProcessService.processPersistence(flowDetails, persistence);
-        await syncPersistence(iflowRecord.iflow_id, processedPersistence);
-        
-        // Process and sync deployment info
-        const deploymentInfo = dataProcessService.processDeploymentInfo(enhancedFlowData, runtimeStatus);
-        await syncDeploymentInfo(iflowRecord.iflow_id, deploymentInfo);
-        
-        // Fetch and sync runtime info
-        await syncRuntimeInfo(iflowRecord.iflow_id, flowData.Name);
-        
-        iflowRecords.push(iflowRecord);
+        return await syncIntegrationFlow(packageRecord, flowData, runContext);
       } catch (error) {
         logger.error(`Error processing flow ${flowData.Id}`, { 
           error: error.message, 
@@ -350,12 +766,24 @@ const syncPackageIntegrationFlows = async (packageId) => {
           flowId: flowData.Id,
           version: flowData.Version 
         });
+        await syncRunService.recordError(runContext, {
+          phase: 'iflows',
+          packageId,
+          iflowId: flowData.Id,
+          error
+        });
         // Continue processing other flows instead of failing completely
-        continue;
+        return null;
+      } finally {
+        syncProgressService.advanceProgress(runContext, 'iflowsDone', 1, { packageId, iflowId: flowData.Id });
       }
-    }
+    });
+    const iflowRecords = results.filter(Boolean);
     
-    logger.info(`Synced ${iflowRecords.length} integration flows for package ${packageId}`);
+    logger.info(`Synced ${iflowRecords.length} integration flows for package ${packageId}`, {
+      skippedUnchanged: skippedCount,
+      fullRefresh
+    });
     return iflowRecords;
   } catch (error) {
     logger.error(`Error syncing integration flows for package ${packageId}`, { error: error.message });
@@ -363,6 +791,79 @@ const syncPackageIntegrationFlows = async (packageId) => {
   }
 };
 
+/**
+ * Sync the value mappings, message mappings and script collections of a package
+ * Artifacts the package no longer lists are soft-deleted; a failing artifact type does not stop the others
+ * @param {Object} packageRecord - Package record
+ * @param {Object} runContext - Sync run context (optional)
+ * @returns {Promise<number>} Number of artifacts synced
+ */
+const syncPackageArtifacts = async (packageRecord, runContext = null) => {
+  const packageId = packageRecord.package_id;
+  let syncedCount = 0;
+  
+  for (const artifactType of PACKAGE_ARTIFACT_TYPES) {
+    const Model = models[artifactType.model];
+    
+    try {
+      const artifactsData = await dataFetchService[artifactType.fetch](
+        packageRecord.artifact_id,
+        getConnection(runContext)
+      );
+      
+      const listedIds = new Set();
+      for (const artifactData of artifactsData.filter(artifact => artifact.Id)) {
+        const processedArtifact = dataProcessService.processPackageArtifactData(artifactData, artifactType.fieldPrefix);
+        processedArtifact.package_id = packageId;
+        processedArtifact.last_synced_at = new Date();
+        listedIds.add(processedArtifact.artifact_id);
+        
+        // Deleted artifacts are found too, so an artifact that reappears is restored
+        const [artifactRecord, created] = await Model.findOrCreate({
+          where: { package_id: packageId, artifact_id: processedArtifact.artifact_id },
+          defaults: processedArtifact,
+          paranoid: false
+        });
+        
+        if (!created) {
+          if (artifactRecord.isSoftDeleted()) {
+            await artifactRecord.restore();
+          }
+          await artifactRecord.update(processedArtifact);
+        }
+      }
+      
+      // Stored artifacts the package no longer lists were deleted on the tenant
+      const storedArtifacts = await Model.findAll({ where: { package_id: packageId } });
+      const removedArtifacts = await isListingUnexpectedlyEmpty(artifactsData.length, storedArtifacts.length, runContext, {
+        phase: 'artifacts',
+        packageId,
+        artifacts: artifactType.name
+      })
+        ? []
+        : storedArtifacts.filter(artifactRecord => !listedIds.has(artifactRecord.artifact_id));
+      for (const artifactRecord of removedArtifacts) {
+        await artifactRecord.destroy();
+      }
+      
+      syncedCount += listedIds.size;
+      syncRunService.incrementCount(runContext, 'artifacts', listedIds.size);
+      logger.info(`Synced ${listedIds.size} ${artifactType.name} for package ${packageId}`, {
+        deleted: removedArtifacts.length
+      });
+    } catch (error) {
+      logger.error(`Error syncing ${artifactType.name} for package ${packageId}`, { error: error.message });
+      await syncRunService.recordError(runContext, {
+        phase: 'artifacts',
+        packageId,
+        error
+      });
+    }
+  }
+  
+  return syncedCount;
+};
+
 /**
  * Sync security mechanisms for an iFlow
  * @param {string} iflowId - iFlow ID
@@ -408,15 +909,18 @@ const syncSecurityMechanisms = async (iflowId, securityMechanisms) => {
           direction: mechanism.direction 
         });
         
-        // Find or create security mechanism
-        const [securityMechanism, created] = await models.SecurityMechanism.findOrCreate({
-          where: {
-            mechanism_name: mechanism.mechanism_name
-          },
-          defaults: {
-            mechanism_type: mechanism.mechanism_type
-          }
-        });
+        // Find or create security mechanism (shared between iFlows synced in parallel)
+        const [securityMechanism, created] = await withSharedRecordLock(
+          `security:${mechanism.mechanism_name}`,
+          () => models.SecurityMechanism.findOrCreate({
+            where: {
+              mechanism_name: mechanism.mechanism_name
+            },
+            defaults: {
+              mechanism_type: mechanism.mechanism_type
+            }
+          })
+        );
         
         if (!created && securityMechanism.mechanism_type !== mechanism.mechanism_type) {
           // Update the mechanism type if it has changed
@@ -508,6 +1012,11 @@ const syncAdapters = async (iflowId, adapters) => {
     
     logger.debug('Starting adapter sync', { iflowId, adapterCount: adapters.length });
     
+    // Clear existing adapter relationships so adapters removed from the iFlow do not linger
+    await models.IflowAdapter.destroy({
+      where: { iflow_id: iflowId }
+    });
+    
     for (const adapter of adapters) {
       // Validate adapter data
       const validation = dataProcessService.validateProcessedData(adapter, 'adapter');
@@ -527,16 +1036,19 @@ const syncAdapters = async (iflowId, adapters) => {
         direction: adapter.direction 
       });
       
-      // Find or create adapter
-      const [adapterRecord, created] = await models.Adapter.findOrCreate({
-        where: {
-          adapter_name: adapter.adapter_name
-        },
-        defaults: {
-          adapter_type: adapter.adapter_type,
-          adapter_category: adapter.adapter_category
-        }
-      });
+      // Find or create adapter (shared between iFlows synced in parallel)
+      const [adapterRecord, created] = await withSharedRecordLock(
+        `adapter:${adapter.adapter_name}`,
+        () => models.Adapter.findOrCreate({
+          where: {
+            adapter_name: adapter.adapter_name
+          },
+          defaults: {
+            adapter_type: adapter.adapter_type,
+            adapter_category: adapter.adapter_category
+          }
+        })
+      );
       
       logger.debug('Adapter record processed', { 
         iflowId, 
@@ -556,6 +1068,13 @@ const syncAdapters = async (iflowId, adapters) => {
         }
       });
       
+      if (!iflowCreated) {
+        // The same adapter can occur twice in one direction; keep the configuration of the last one
+        await iflowAdapterRecord.update({
+          configuration: adapter.configuration
+        });
+      }
+      
       logger.debug('IflowAdapter record processed', { 
         iflowId, 
         iflowAdapterId: iflowAdapterRecord.iflow_adapter_id, 
@@ -660,6 +1179,264 @@ const syncPersistence = async (iflowId, persistence) => {
   }
 };
 
+/**
+ * Sync the scripts of an iFlow and the findings of their static checks
+ * Both are replaced as a whole, so scripts removed from the iFlow and fixed findings disappear
+ * @param {string} iflowId - iFlow ID
+ * @param {Object} scripts - Processed scripts and findings
+ * @returns {Promise<void>}
+ */
+const syncScripts = async (iflowId, scripts) => {
+  try {
+    if (!iflowId) {
+      logger.warn('Cannot sync scripts: iflowId is undefined');
+      return;
+    }
+    
+    await models.IflowScript.destroy({ where: { iflow_id: iflowId } });
+    await models.ScriptFinding.destroy({ where: { iflow_id: iflowId } });
+    
+    await models.IflowScript.bulkCreate(scripts.scripts.map(script => ({ ...script, iflow_id: iflowId })));
+    await models.ScriptFinding.bulkCreate(scripts.findings.map(finding => ({ ...finding, iflow_id: iflowId })));
+    
+    logger.debug('Script sync completed', {
+      iflowId,
+      scriptCount: scripts.scripts.length,
+      findingCount: scripts.findings.length
+    });
+  } catch (error) {
+    logger.error(`Error syncing scripts for iFlow ${iflowId}`, { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Sync the externalized parameters of an iFlow
+ * @param {string} iflowId - iFlow ID
+ * @param {Array} parameters - Processed parameters
+ * @returns {Promise<void>}
+ */
+const syncParameters = async (iflowId, parameters) => {
+  try {
+    if (!iflowId) {
+      logger.warn('Cannot sync parameters: iflowId is undefined');
+      return;
+    }
+    
+    // Parameters no longer in the iFlow are removed, the others are updated in place
+    const parameterNames = parameters.map(parameter => parameter.parameter_name);
+    const existingParameters = await models.IflowParameter.findAll({ where: { iflow_id: iflowId } });
+    
+    for (const existingParameter of existingParameters) {
+      if (!parameterNames.includes(existingParameter.parameter_name)) {
+        await existingParameter.destroy();
+      }
+    }
+    
+    for (const parameter of parameters) {
+      const [parameterRecord, created] = await models.IflowParameter.findOrCreate({
+        where: {
+          iflow_id: iflowId,
+          parameter_name: parameter.parameter_name
+        },
+        defaults: parameter
+      });
+      
+      if (!created) {
+        await parameterRecord.update(parameter);
+      }
+    }
+    
+    logger.debug('Parameter sync completed', { iflowId, parameterCount: parameters.length });
+  } catch (error) {
+    logger.error(`Error syncing parameters for iFlow ${iflowId}`, { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Sync the step graph of an iFlow
+ * The graph is replaced as a whole, as element IDs are only stable within one version of the iFlow
+ * @param {string} iflowId - iFlow ID
+ * @param {Object} graph - Processed graph nodes and edges
+ * @returns {Promise<void>}
+ */
+const syncGraph = async (iflowId, graph) => {
+  try {
+    if (!iflowId) {
+      logger.warn('Cannot sync step graph: iflowId is undefined');
+      return;
+    }
+    
+    await models.IflowEdge.destroy({ where: { iflow_id: iflowId } });
+    await models.IflowNode.destroy({ where: { iflow_id: iflowId } });
+    
+    await models.IflowNode.bulkCreate(graph.nodes.map(node => ({ ...node, iflow_id: iflowId })));
+    await models.IflowEdge.bulkCreate(graph.edges.map(edge => ({ ...edge, iflow_id: iflowId })));
+    
+    logger.debug('Step graph sync completed', {
+      iflowId,
+      nodeCount: graph.nodes.length,
+      edgeCount: graph.edges.length
+    });
+  } catch (error) {
+    logger.error(`Error syncing step graph for iFlow ${iflowId}`, { error: error.message });
+    throw error;
+  }
+};
+
+// Built-in analyzers, in the order their results are stored
+analyzerRegistry.registerAnalyzer({
+  name: 'securityMechanisms',
+  reads: ['parsedXml'],
+  produces: 'Security mechanisms of the sender and receiver channels',
+  extract: ({ parsedXml }, flowId) => dataFetchService.extractSecurityFromXml(parsedXml, flowId),
+  process: (flowDetails, extracted) => dataProcessService.processSecurityMechanisms(flowDetails, extracted),
+  persist: async (iflowId, securityMechanisms, runContext) => {
+    await syncSecurityMechanisms(iflowId, securityMechanisms);
+    syncRunService.incrementCount(runContext, 'security', securityMechanisms.length);
+  },
+  stores: 'security_mechanism, iflow_security'
+});
+
+analyzerRegistry.registerAnalyzer({
+  name: 'adapters',
+  reads: ['parsedXml'],
+  produces: 'Sender and receiver adapters with their configuration',
+  extract: ({ parsedXml }, flowId) => dataFetchService.extractAdaptersFromXml(parsedXml, flowId),
+  process: (flowDetails, extracted) => dataProcessService.processAdapters(flowDetails, extracted),
+  persist: async (iflowId, adapters, runContext) => {
+    await syncAdapters(iflowId, adapters);
+    syncRunService.incrementCount(runContext, 'adapters', adapters.length);
+  },
+  stores: 'adapter, iflow_adapter'
+});
+
+analyzerRegistry.registerAnalyzer({
+  name: 'errorHandling',
+  reads: ['parsedXml'],
+  produces: 'Error detection, logging, classification and reporting',
+  extract: ({ parsedXml }, flowId) => dataFetchService.extractErrorHandlingFromXml(parsedXml, flowId),
+  process: (flowDetails, extracted) => dataProcessService.processErrorHandling(flowDetails, extracted),
+  persist: (iflowId, errorHandling) => syncErrorHandling(iflowId, errorHandling),
+  stores: 'error_handling'
+});
+
+analyzerRegistry.registerAnalyzer({
+  name: 'persistence',
+  reads: ['parsedXml'],
+  produces: 'JMS, data store, variable and message persistence',
+  extract: ({ parsedXml }, flowId) => dataFetchService.extractPersistenceFromXml(parsedXml, flowId),
+  process: (flowDetails, extracted) => dataProcessService.processPersistence(flowDetails, extracted),
+  persist: (iflowId, persistence) => syncPersistence(iflowId, persistence),
+  stores: 'persistence'
+});
+
+analyzerRegistry.registerAnalyzer({
+  name: 'scripts',
+  reads: ['parsedXml', 'scripts'],
+  produces: 'Groovy and JavaScript scripts with their calling steps and findings',
+  extract: ({ parsedXml, scripts }, flowId) => dataFetchService.extractScriptsFromXml(parsedXml, scripts, flowId),
+  process: (flowDetails, extracted) => dataProcessService.processScripts(flowDetails, extracted),
+  persist: (iflowId, scripts) => syncScripts(iflowId, scripts),
+  stores: 'iflow_script, script_finding'
+});
+
+analyzerRegistry.registerAnalyzer({
+  name: 'parameters',
+  reads: ['parsedXml', 'parameterFiles'],
+  produces: 'Externalized parameters with their usages',
+  extract: ({ parsedXml, parameterFiles }, flowId) => dataFetchService.extractParametersFromXml(parsedXml, parameterFiles, flowId),
+  process: (flowDetails, extracted) => dataProcessService.processParameters(flowDetails, extracted),
+  persist: (iflowId, parameters) => syncParameters(iflowId, parameters),
+  stores: 'iflow_parameter'
+});
+
+analyzerRegistry.registerAnalyzer({
+  name: 'graph',
+  reads: ['parsedXml'],
+  produces: 'Step graph (nodes and edges)',
+  extract: ({ parsedXml }, flowId) => dataFetchService.extractGraphFromXml(parsedXml, flowId),
+  process: (flowDetails, extracted) => dataProcessService.processGraph(flowDetails, extracted),
+  persist: (iflowId, graph) => syncGraph(iflowId, graph),
+  stores: 'iflow_node, iflow_edge'
+});
+
+analyzerRegistry.registerAnalyzer({
+  name: 'stepInventory',
+  reads: ['graph'],
+  produces: 'Steps by step type and the weighted complexity score',
+  extract: ({ graph }) => graph,
+  process: (flowDetails, graph) => dataProcessService.processStepInventory(flowDetails, graph),
+  persist: (iflowId, stepInventory) => models.Iflow.update(stepInventory, { where: { iflow_id: iflowId } }),
+  stores: 'iflow'
+});
+
+analyzerRegistry.loadCustomAnalyzers(process.env.CUSTOM_ANALYZERS);
+
+/**
+ * Add the ZIP of an iFlow version to the artifact archive, unless the same content is already archived
+ * @param {string} iflowId - iFlow ID
+ * @param {Object} artifact - Archived artifact
+ * @param {string} artifact.version - Version of the design-time artifact
+ * @param {Buffer} artifact.zipBuffer - ZIP file buffer
+ * @param {string} artifact.contentHash - Hash of the files in the ZIP
+ * @param {string} artifact.source - Where the ZIP came from ('sync' or 'upload')
+ * @param {Object} runContext - Sync run context (optional)
+ * @returns {Promise<Object|null>} Archived version, or null if it could not be archived
+ */
+const archiveIflowVersion = async (iflowId, { version, zipBuffer, contentHash, source = 'sync' }, runContext = null) => {
+  try {
+    const [versionRecord, created] = await models.IflowVersion.findOrCreate({
+      where: {
+        iflow_id: iflowId,
+        content_hash: contentHash
+      },
+      defaults: {
+        version: version || 'unknown',
+        zip_size: zipBuffer.length,
+        zip_content: zipBuffer,
+        source
+      },
+      attributes: ['version_id', 'iflow_id', 'version', 'content_hash']
+    });
+    
+    if (created) {
+      logger.info(`Archived version ${versionRecord.version} of iFlow ${iflowId}`, { contentHash });
+      syncRunService.incrementCount(runContext, 'versions');
+    } else {
+      // The content may have come back after another version (e.g. a reverted change)
+      await versionRecord.update({ last_seen_at: new Date() });
+    }
+    
+    return versionRecord;
+  } catch (error) {
+    // The archive is a by-product of the sync; a failure must not lose the analysed iFlow
+    logger.error(`Error archiving version ${version} of iFlow ${iflowId}`, { error: error.message });
+    await syncRunService.recordError(runContext, {
+      phase: 'archive',
+      iflowId,
+      error
+    });
+    return null;
+  }
+};
+
+/**
+ * Check whether the deployment of an iFlow changed (status, deployed version or redeployment)
+ * @param {Object} deploymentRecord - Stored DeploymentInfo record
+ * @param {Object} deploymentInfo - Processed deployment information
+ * @returns {boolean} True if the deployment changed
+ */
+const hasDeploymentChanged = (deploymentRecord, deploymentInfo) => {
+  const storedDeployedOn = deploymentRecord.deployed_on ? new Date(deploymentRecord.deployed_on).getTime() : null;
+  const newDeployedOn = deploymentInfo.deployed_on ? new Date(deploymentInfo.deployed_on).getTime() : null;
+  
+  return deploymentRecord.status !== deploymentInfo.status ||
+    deploymentRecord.version !== deploymentInfo.version ||
+    storedDeployedOn !== newDeployedOn;
+};
+
 /**
  * Sync deployment info for an iFlow
  * @param {string} iflowId - iFlow ID
@@ -685,8 +1462,8 @@ const syncDeploymentInfo = async (iflowId, deploymentInfo) => {
       // Store previous state for history
       const previousState = deploymentRecord.toJSON();
       
-      // Check if status has changed
-      const statusChanged = deploymentRecord.status !== deploymentInfo.status;
+      // Check if status or deployed version has changed
+      const statusChanged = hasDeploymentChanged(deploymentRecord, deploymentInfo);
       
       // Update existing record
       await deploymentRecord.update(deploymentInfo);
@@ -717,7 +1494,7 @@ const syncDeploymentInfo = async (iflowId, deploymentInfo) => {
     logger.debug('Deployment info sync completed', { 
       iflowId, 
       created, 
-      statusChanged: !created && deploymentRecord.status !== deploymentInfo.status 
+      status: deploymentInfo.status
     });
   } catch (error) {
     logger.error(`Error syncing deployment info for iFlow ${iflowId}`, { error: error.message });
@@ -727,36 +1504,33 @@ const syncDeploymentInfo = async (iflowId, deploymentInfo) => {
 
 /**
  * Sync runtime info for an iFlow
+ * Metrics of the given message logs are added to the stored metrics
  * @param {string} iflowId - iFlow ID
- * @param {string} iflowName - iFlow name
+ * @param {Array} messageLogs - Newly ingested message processing logs (optional)
+ * @param {Array|null} endpoints - Service entry points, or null to keep the stored endpoint
  * @returns {Promise<void>}
  */
-const syncRuntimeInfo = async (iflowId, iflowName) => {
+const syncRuntimeInfo = async (iflowId, messageLogs = [], endpoints = null) => {
   try {
     if (!iflowId) {
       logger.warn('Cannot sync runtime info: iflowId is undefined');
       return;
     }
     
-    // Fetch message logs and endpoints
-    let messageLogs = [];
-    let endpoints = [];
-    
-    try {
-      // Note: These functions are commented out in the original implementation
-      // messageLogs = await dataFetchService.fetchMessageLogs(iflowName, 7);
-    } catch (error) {
-      logger.warn(`Could not fetch message logs for iFlow ${iflowName}`, { error: error.message });
-    }
+    // Process runtime info of the new message logs
+    const batchInfo = dataProcessService.processRuntimeInfo(iflowId, messageLogs, endpoints || []);
     
-    try {
-      // endpoints = await dataFetchService.fetchServiceEndpoints(iflowName);
-    } catch (error) {
-      logger.warn(`Could not fetch service endpoints for iFlow ${iflowName}`, { error: error.message });
-    }
+    const existingRecord = await models.RuntimeInfo.findOne({
+      where: {
+        iflow_id: iflowId
+      }
+    });
     
-    // Process runtime info
-    const runtimeInfo = dataProcessService.processRuntimeInfo(iflowId, messageLogs, endpoints);
+    const runtimeInfo = dataProcessService.mergeRuntimeInfo(
+      existingRecord ? existingRecord.toJSON() : {},
+      batchInfo,
+      endpoints !== null
+    );
     
     // Find or create runtime info record
     const [runtimeRecord, created] = await models.RuntimeInfo.findOrCreate({
@@ -774,7 +1548,7 @@ const syncRuntimeInfo = async (iflowId, iflowName) => {
       const significantChanges = 
         runtimeRecord.success_count !== runtimeInfo.success_count ||
         runtimeRecord.failure_count !== runtimeInfo.failure_count ||
-        Math.abs(runtimeRecord.avg_processing_time - runtimeInfo.avg_processing_time) > 100; // 100ms threshold
+        Math.abs((runtimeRecord.avg_processing_time || 0) - (runtimeInfo.avg_processing_time || 0)) > 100; // 100ms threshold
       
       // Update existing record
       await runtimeRecord.update(runtimeInfo);
@@ -802,7 +1576,7 @@ const syncRuntimeInfo = async (iflowId, iflowName) => {
       });
     }
     
-    logger.debug('Runtime info sync completed', { iflowId, created });
+    logger.debug('Runtime info sync completed', { iflowId, created, messageCount: messageLogs.length });
   } catch (error) {
     logger.error(`Error syncing runtime info for iFlow ${iflowId}`, { error: error.message });
     throw error;
@@ -810,191 +1584,399 @@ const syncRuntimeInfo = async (iflowId, iflowName) => {
 };
 
 /**
- * Sync all data from SAP Integration Suite
- * @returns {Promise<void>}
+ * Get the iFlow ID a message processing log belongs to
+ * @param {Object} log - Message processing log
+ * @returns {string|undefined} iFlow ID
  */
-const syncAllData = async () => {
-  try {
-    logger.info('Starting full data synchronization');
+const getMessageLogIflowId = (log) => {
+  return (log.IntegrationArtifact && log.IntegrationArtifact.Id) || log.IntegrationFlowName;
+};
+
+/**
+ * Group service entry points by the iFlow that exposes them
+ * Service endpoint IDs have the form "<iFlow ID>$endpointAddress=<path>"
+ * @param {Array} serviceEndpoints - Service endpoints from API
+ * @returns {Map<string, Array>} Entry points by iFlow ID
+ */
+const groupEntryPointsByIflow = (serviceEndpoints) => {
+  const entryPoints = new Map();
+  
+  serviceEndpoints.forEach(serviceEndpoint => {
+    const iflowId = (serviceEndpoint.Id || '').split('$')[0];
+    if (!iflowId) {
+      return;
+    }
     
-    // Create default tenant
-    const tenant = await findOrCreateTenant(
-      'SAP Integration Suite',
-      process.env.SAP_API_BASE_URL
-    );
+    const points = (serviceEndpoint.EntryPoints && serviceEndpoint.EntryPoints.results) || [];
+    entryPoints.set(iflowId, [...(entryPoints.get(iflowId) || []), ...points]);
+  });
+  
+  return entryPoints;
+};
+
+/**
+ * Get the latest whole second before the end of a message log
+ * Log filters compare whole seconds, so logs up to this point never match a filter starting after it
+ * @param {Date} logEnd - End of the message log
+ * @returns {Date} Whole second before logEnd
+ */
+const getSecondBefore = (logEnd) => {
+  return new Date(Math.ceil(logEnd.getTime() / 1000) * 1000 - 1000);
+};
+
+/**
+ * Ingest message processing logs into RuntimeInfo
+ * Logs are fetched in time windows starting at the tenant's high-water mark,
+ * which is advanced after each window so an interrupted run resumes where it stopped.
+ * A log of an iFlow that is not stored yet stops the high-water mark before it, so the log is read again
+ * by the next run; after MPL_UNKNOWN_IFLOW_GRACE_HOURS such logs are dropped
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} runContext - Sync run context (optional)
+ * @returns {Promise<number>} Number of message logs ingested
+ */
+const syncMessageProcessingLogs = async (tenantId, runContext = null) => {
+  const tenant = await models.Tenant.findByPk(tenantId);
+  if (!tenant) {
+    throw new Error(`Tenant ${tenantId} not found`);
+  }
+  
+  // Leave recent messages alone until their log entries are final
+  const windowEnd = new Date(Date.now() - MESSAGE_LOG_SETTLE_TIME);
+  let windowStart = tenant.message_log_high_water_mark
+    ? new Date(tenant.message_log_high_water_mark)
+    : new Date(windowEnd.getTime() - MESSAGE_LOG_INITIAL_LOOKBACK);
+  
+  // Logs and service endpoints name iFlows by their SAP ID; deleted iFlows still take the logs they wrote
+  const storedIflowIds = new Map(
+    (await models.Iflow.scope({ method: ['tenant', tenantId] }).findAll({ attributes: ['iflow_id', 'artifact_id'], paranoid: false }))
+      .map(iflow => [iflow.artifact_id, iflow.iflow_id])
+  );
+  
+  let ingestedCount = 0;
+  let windowSize = MESSAGE_LOG_WINDOW;
+  
+  while (windowStart < windowEnd) {
+    // The high-water mark is kept per window, so a cancelled run continues from here next time
+    if (await syncRunService.isCancelRequested(runContext)) {
+      break;
+    }
+    
+    const windowStop = new Date(Math.min(windowStart.getTime() + windowSize, windowEnd.getTime()));
+    const graceStart = Date.now() - MESSAGE_LOG_UNKNOWN_IFLOW_GRACE;
+    
+    try {
+      // Group logs by iFlow page by page; old logs of iFlows that were never synced are dropped right away
+      const logsByIflow = new Map();
+      const logEnds = [];
+      let heldBackFrom = null;
+      let heldBackCount = 0;
+      
+      const pages = dataFetchService.iterateMessageProcessingLogs(
+        windowStart,
+        windowStop,
+        MESSAGE_LOG_PAGE_SIZE,
+        getConnection(runContext)
+      );
+      
+      for await (const page of pages) {
+        page.forEach(log => {
+          const logEnd = dataProcessService.parseODataDate(log.LogEnd) || windowStop;
+          logEnds.push(logEnd);
+          
+          const iflowId = storedIflowIds.get(getMessageLogIflowId(log));
+          if (!iflowId) {
+            // The iFlow may be stored by the next sync, e.g. if it was deployed during this one
+            if (logEnd.getTime() > graceStart) {
+              heldBackCount++;
+              if (!heldBackFrom || logEnd < heldBackFrom) {
+                heldBackFrom = logEnd;
+              }
+            }
+            return;
+          }
+          if (!logsByIflow.has(iflowId)) {
+            logsByIflow.set(iflowId, []);
+          }
+          logsByIflow.get(iflowId).push(log);
+        });
+      }
+      
+      // Logs from the first held back log on are left for the next run, so none is merged twice
+      const highWaterMark = heldBackFrom ? getSecondBefore(heldBackFrom) : windowStop;
+      
+      if (highWaterMark > windowStart) {
+        // Metrics are only merged once the whole window was read, so a failed window can be retried
+        for (const [iflowId, logs] of logsByIflow) {
+          const mergedLogs = heldBackFrom
+            ? logs.filter(log => (dataProcessService.parseODataDate(log.LogEnd) || windowStop) <= highWaterMark)
+            : logs;
+          if (mergedLogs.length > 0) {
+            await syncRuntimeInfo(iflowId, mergedLogs);
+          }
+        }
+        
+        const messageCount = logEnds.filter(logEnd => logEnd <= highWaterMark).length;
+        await tenant.update({ message_log_high_water_mark: highWaterMark });
+        ingestedCount += messageCount;
+        
+        logger.debug('Ingested message processing log window', {
+          from: windowStart.toISOString(),
+          to: highWaterMark.toISOString(),
+          messageCount,
+          iflowCount: logsByIflow.size
+        });
+      }
+      
+      if (heldBackFrom) {
+        logger.info(`Holding back ${heldBackCount} message processing logs of iFlows that are not stored yet`, {
+          from: heldBackFrom.toISOString()
+        });
+        break;
+      }
+    } catch (error) {
+      // Nothing of a window that was not read to its end is merged; a smaller window may fit the paging limits
+      if (error instanceof dataFetchService.ODataTruncatedError && windowStop - windowStart > MESSAGE_LOG_MIN_WINDOW) {
+        windowSize = Math.max(Math.floor((windowStop - windowStart) / 2), MESSAGE_LOG_MIN_WINDOW);
+        logger.warn('Message processing log window could not be read completely, retrying with a smaller window', {
+          from: windowStart.toISOString(),
+          to: windowStop.toISOString(),
+          windowMinutes: windowSize / 60000
+        });
+        continue;
+      }
+      
+      logger.error('Error ingesting message processing logs', {
+        error: error.message,
+        from: windowStart.toISOString(),
+        to: windowStop.toISOString()
+      });
+      await syncRunService.recordError(runContext, { phase: 'runtime', error });
+      // The next run resumes from the last completed window
+      break;
+    }
+    
+    windowStart = windowStop;
+  }
+  
+  // Refresh service endpoints of all known iFlows
+  try {
+    const entryPoints = groupEntryPointsByIflow(await dataFetchService.fetchServiceEndpoints(getConnection(runContext)));
+    for (const [artifactId, points] of entryPoints) {
+      const iflowId = storedIflowIds.get(artifactId);
+      if (iflowId) {
+        await syncRuntimeInfo(iflowId, [], points);
+      }
+    }
+  } catch (error) {
+    logger.error('Error syncing service endpoints', { error: error.message });
+    await syncRunService.recordError(runContext, { phase: 'runtime', error });
+  }
+  
+  logger.info(`Ingested ${ingestedCount} message processing logs`, { highWaterMark: tenant.message_log_high_water_mark });
+  return ingestedCount;
+};
+
+/**
+ * Sync all data of a tenant from SAP Integration Suite
+ * @param {Object} options - Sync options
+ * @param {string} options.trigger - What started the sync (Cron, API, Initial)
+ * @param {boolean} options.fullRefresh - Re-download artifacts even if unchanged
+ * @param {string} options.tenantId - Tenant to sync (optional, defaults to the environment tenant)
+ * @param {Object} options.runContext - Existing run context (optional, created if missing)
+ * @returns {Promise<Object>} Run context with final counts
+ */
+const syncAllData = async ({ trigger = 'API', fullRefresh = false, tenantId = null, runContext = null } = {}) => {
+  const tenant = await tenantService.resolveSyncTenant(runContext ? runContext.tenantId : tenantId);
+  const run = attachTenant(
+    runContext || await syncRunService.startSyncRun({ trigger, syncType: 'Full', fullRefresh, tenantId: tenant.tenant_id }),
+    tenant
+  );
+  
+  try {
+    logger.info('Starting full data synchronization', { runId: run.runId, tenant: tenant.tenant_name });
     
     // Sync packages
-    const packages = await syncIntegrationPackages(tenant.tenant_id);
+    const packages = await syncIntegrationPackages(tenant.tenant_id, run);
     
-    // Sync iFlows for each package
-    for (const pkg of packages) {
+    // Deployment status of all flows is resolved from a single runtime artifact listing
+    await loadRuntimeArtifacts(run);
+    
+    // Sync iFlows for each package, several packages at a time
+    syncProgressService.reportProgress(run, { phase: 'iflows', packageTotal: packages.length });
+    await mapWithConcurrency(packages, PACKAGE_CONCURRENCY, async (pkg) => {
+      // A cancelled run stops between packages
+      if (await syncRunService.isCancelRequested(run)) {
+        return;
+      }
+      
       try {
-        await syncPackageIntegrationFlows(pkg.package_id);
+        await syncPackageIntegrationFlows(pkg, run);
+        await syncPackageArtifacts(pkg, run);
       } catch (error) {
         logger.error(`Error syncing flows for package ${pkg.package_id}`, { error: error.message });
+        await syncRunService.recordError(run, {
+          phase: 'iflows',
+          packageId: pkg.package_id,
+          error
+        });
         // Continue with other packages instead of failing completely
-        continue;
+      } finally {
+        syncProgressService.advanceProgress(run, 'packagesDone', 1, { packageId: pkg.package_id });
       }
+    });
+    
+    // Ingest message processing logs since the last run into runtime metrics
+    if (!(await syncRunService.isCancelRequested(run))) {
+      syncProgressService.reportProgress(run, { phase: 'messageLogs', packageId: null, iflowId: null });
+      await syncMessageProcessingLogs(tenant.tenant_id, run);
     }
     
-    logger.info('Full data synchronization completed successfully');
+    await syncRunService.finishSyncRun(run);
+    logger.info('Full data synchronization completed successfully', { runId: run.runId, counts: run.counts });
+    return run;
   } catch (error) {
-    logger.error('Error during full data synchronization', { error: error.message });
+    logger.error('Error during full data synchronization', { error: error.message, runId: run.runId });
+    await syncRunService.finishSyncRun(run, error);
     throw error;
   }
 };
 
 /**
  * Sync specific package and its flows
- * @param {string} packageId - Package ID to sync
- * @returns {Promise<void>}
+ * @param {string} packageId - Package ID in SAP
+ * @param {Object} options - Sync options
+ * @param {string} options.trigger - What started the sync (Cron, API, Initial)
+ * @param {boolean} options.fullRefresh - Re-download artifacts even if unchanged
+ * @param {string} options.tenantId - Tenant of the package (optional, defaults to the environment tenant)
+ * @param {Object} options.runContext - Existing run context (optional, created if missing)
+ * @returns {Promise<Object>} Run context with final counts
  */
-const syncSpecificPackage = async (packageId) => {
+const syncSpecificPackage = async (packageId, { trigger = 'API', fullRefresh = false, tenantId = null, runContext = null } = {}) => {
+  const tenant = await tenantService.resolveSyncTenant(runContext ? runContext.tenantId : tenantId);
+  const run = attachTenant(runContext || await syncRunService.startSyncRun({
+    trigger,
+    syncType: 'Package',
+    scope: { packageId },
+    fullRefresh,
+    tenantId: tenant.tenant_id
+  }), tenant);
+  
   try {
-    logger.info(`Starting sync for specific package: ${packageId}`);
-    
-    // Fetch and process the specific package
-    const packageData = await dataFetchService.fetchIntegrationPackage(packageId);
-    const processedPackage = dataProcessService.processPackageData(packageData);
+    logger.info(`Starting sync for specific package: ${packageId}`, { runId: run.runId, tenant: tenant.tenant_name });
     
-    // Find or create tenant
-    const tenant = await findOrCreateTenant(
-      'SAP Integration Suite',
-      process.env.SAP_API_BASE_URL
-    );
-    
-    processedPackage.tenant_id = tenant.tenant_id;
-    
-    // Validate and upsert package
-    const validation = dataProcessService.validateProcessedData(processedPackage, 'package');
-    if (!validation.isValid) {
-      throw new Error(`Invalid package data: ${validation.errors.join(', ')}`);
-    }
+    // Fetch the specific package
+    const packageData = await dataFetchService.fetchIntegrationPackage(packageId, getConnection(run));
     
-    const [packageRecord, created] = await models.Package.findOrCreate({
-      where: {
-        package_id: processedPackage.package_id
-      },
-      defaults: processedPackage
-    });
+    const packageRecord = await upsertPackage(packageData, tenant.tenant_id, run);
+    syncRunService.incrementCount(run, 'packages');
     
-    if (!created) {
-      await packageRecord.update(processedPackage);
-    }
+    await loadRuntimeArtifacts(run);
     
     // Sync flows for this package
-    await syncPackageIntegrationFlows(packageId);
-    
-    logger.info(`Sync completed for package: ${packageId}`);
+    syncProgressService.reportProgress(run, { phase: 'iflows', packageTotal: 1 });
+    await syncPackageIntegrationFlows(packageRecord, run);
+    await syncPackageArtifacts(packageRecord, run);
+    syncProgressService.advanceProgress(run, 'packagesDone', 1, { packageId: packageRecord.package_id });
+    
+    await syncRunService.finishSyncRun(run);
+    logger.info(`Sync completed for package: ${packageId}`, { runId: run.runId, counts: run.counts });
+    return run;
   } catch (error) {
-    logger.error(`Error syncing specific package ${packageId}`, { error: error.message });
+    logger.error(`Error syncing specific package ${packageId}`, { error: error.message, runId: run.runId });
+    await syncRunService.finishSyncRun(run, error);
     throw error;
   }
 };
 
 /**
  * Sync specific iFlow
- * @param {string} packageId - Package ID
- * @param {string} flowId - Flow ID to sync
- * @param {string} version - Flow version
- * @returns {Promise<void>}
- */
-/**
- * Sync specific iFlow
- * @param {string} packageId - Package ID
+ * @param {string|null} packageId - Package ID in SAP (resolved from the flow metadata if not given)
  * @param {string} flowId - Flow ID to sync
- * @param {string} version - Flow version
- * @returns {Promise<void>}
+ * @param {string} version - Flow version (defaults to the active version)
+ * @param {Object} options - Sync options
+ * @param {string} options.trigger - What started the sync (Cron, API, Initial)
+ * @param {string} options.tenantId - Tenant to sync (optional, defaults to the environment tenant)
+ * @param {Object} options.runContext - Existing run context (optional, created if missing)
+ * @returns {Promise<Object>} Run context with final counts
  */
-const syncSpecificIflow = async (packageId, flowId, version) => {
+const syncSpecificIflow = async (packageId, flowId, version = 'active', { trigger = 'API', tenantId = null, runContext = null } = {}) => {
+  const tenant = await tenantService.resolveSyncTenant(runContext ? runContext.tenantId : tenantId);
+  
+  // A single iFlow is always downloaded, so the run is recorded as a full refresh
+  const run = attachTenant(runContext || await syncRunService.startSyncRun({
+    trigger,
+    syncType: 'Iflow',
+    scope: { packageId, iflowId: flowId, version },
+    fullRefresh: true,
+    tenantId: tenant.tenant_id
+  }), tenant);
+  
   try {
-    logger.info(`Starting sync for specific iFlow: ${flowId} (version: ${version})`);
-    
-    // Ensure package exists
-    const packageExists = await models.Package.findByPk(packageId);
-    if (!packageExists) {
-      throw new Error(`Package ${packageId} does not exist. Sync package first.`);
-    }
-    
-    // Fetch flow details
-    const flowDetails = await dataFetchService.fetchIntegrationFlowDetails(flowId, version, true);
+    logger.info(`Starting sync for specific iFlow: ${flowId} (version: ${version})`, { runId: run.runId, tenant: tenant.tenant_name });
     
-    if (!flowDetails || flowDetails.error) {
-      throw new Error(`Failed to fetch flow details: ${flowDetails?.error}`);
-    }
+    // Fetch flow metadata (name, description, version, package)
+    const flowData = await dataFetchService.fetchIntegrationFlow(flowId, version, getConnection(run));
+    const targetPackageId = packageId || flowData.PackageId;
     
-    if (!flowDetails.id || !flowDetails.parsedXml) {
-      throw new Error('Invalid flow details: missing ID or parsed XML');
+    if (!targetPackageId) {
+      throw new Error(`Cannot determine package for iFlow ${flowId}`);
     }
     
-    // Extract all components from parsed XML
-    const adapters = dataFetchService.extractAdaptersFromXml(flowDetails.parsedXml, flowDetails.id);
-    const securityMechanisms = dataFetchService.extractSecurityFromXml(flowDetails.parsedXml, flowDetails.id);
-    const errorHandling = dataFetchService.extractErrorHandlingFromXml(flowDetails.parsedXml, flowDetails.id);
-    const persistence = dataFetchService.extractPersistenceFromXml(flowDetails.parsedXml, flowDetails.id);
-    
-    // Create enhanced flow data
-    const enhancedFlowData = {
-      Id: flowId,
-      Version: version,
-      Name: flowId, // Fallback if Name is not available
-      id: flowDetails.id
-    };
-    
-    // Process and sync all components
-    const processedFlow = dataProcessService.processIntegrationFlowData(enhancedFlowData);
-    processedFlow.package_id = packageId;
-    
-    const sanitizedFlow = sanitizeFlowData(processedFlow);
-    
-    // Upsert iFlow
-    const [iflowRecord, created] = await models.Iflow.findOrCreate({
-      where: { iflow_id: sanitizedFlow.iflow_id },
-      defaults: sanitizedFlow
+    // Ensure package exists, syncing the package record itself if needed
+    let packageRecord = await models.Package.findOne({
+      where: { tenant_id: tenant.tenant_id, artifact_id: targetPackageId }
     });
-    
-    if (!created) {
-      await iflowRecord.update(sanitizedFlow);
+    if (!packageRecord) {
+      logger.info(`Package ${targetPackageId} not found in database, syncing package record`);
+      const packageData = await dataFetchService.fetchIntegrationPackage(targetPackageId, getConnection(run));
+      packageRecord = await upsertPackage(packageData, tenant.tenant_id, run);
+      syncRunService.incrementCount(run, 'packages');
     }
     
-    // Sync all related components
-    const processedSecurity = dataProcessService.processSecurityMechanisms(flowDetails, securityMechanisms);
-    await syncSecurityMechanisms(iflowRecord.iflow_id, processedSecurity);
-    
-    const processedAdapters = dataProcessService.processAdapters(flowDetails, adapters);
-    await syncAdapters(iflowRecord.iflow_id, processedAdapters);
-    
-    const processedErrorHandling = dataProcessService.processErrorHandling(flowDetails, errorHandling);
-    await syncErrorHandling(iflowRecord.iflow_id, processedErrorHandling);
-    
-    const processedPersistence = dataProcessService.processPersistence(flowDetails, persistence);
-    await syncPersistence(iflowRecord.iflow_id, processedPersistence);
-    
-    const deploymentInfo = dataProcessService.processDeploymentInfo(enhancedFlowData);
-    await syncDeploymentInfo(iflowRecord.iflow_id, deploymentInfo);
+    const iflowRecord = await syncIntegrationFlow(packageRecord, flowData, run);
+    if (!iflowRecord) {
+      throw new Error(`Failed to sync iFlow ${flowId}`);
+    }
     
-    logger.info(`Sync completed for iFlow: ${flowId}`);
+    await syncRunService.finishSyncRun(run);
+    logger.info(`Sync completed for iFlow: ${flowId}`, { runId: run.runId });
+    return run;
   } catch (error) {
-    logger.error(`Error syncing specific iFlow ${flowId}`, { error: error.message });
+    logger.error(`Error syncing specific iFlow ${flowId}`, { error: error.message, runId: run.runId });
+    await syncRunService.finishSyncRun(run, error);
     throw error;
   }
 };
 
 /**
  * Get sync statistics
+ * @param {string|null} tenantId - Restrict package, iFlow, package artifact and deployment counts to a tenant (optional)
  * @returns {Promise<Object>} Sync statistics
  */
-const getSyncStatistics = async () => {
+const getSyncStatistics = async (tenantId = null) => {
   try {
+    const Package = tenantId ? models.Package.scope({ method: ['tenant', tenantId] }) : models.Package;
+    const Iflow = tenantId ? models.Iflow.scope({ method: ['tenant', tenantId] }) : models.Iflow;
+    
+    // Mappings and script collections are restricted through their package
+    const countPackageArtifacts = (Model) => Model.count({
+      include: tenantId ? [{ model: models.Package, attributes: [], where: { tenant_id: tenantId } }] : []
+    });
+    
     const stats = {
-      packages: await models.Package.count(),
-      iflows: await models.Iflow.count(),
+      packages: await Package.count(),
+      iflows: await Iflow.count(),
+      valueMappings: await countPackageArtifacts(models.ValueMapping),
+      messageMappings: await countPackageArtifacts(models.MessageMapping),
+      scriptCollections: await countPackageArtifacts(models.ScriptCollection),
       adapters: await models.Adapter.count(),
       securityMechanisms: await models.SecurityMechanism.count(),
+      // Joining the iFlow also leaves out deployments of deleted iFlows
       deployedFlows: await models.DeploymentInfo.count({
-        where: { status: 'STARTED' }
+        where: { status: 'STARTED' },
+        include: [{ model: Iflow, attributes: [], required: true }]
       }),
-      lastSyncTime: await getLastSyncTime()
+      lastSyncTime: await getLastSyncTime(tenantId)
     };
     
     return stats;
@@ -1005,17 +1987,15 @@ const getSyncStatistics = async () => {
 };
 
 /**
- * Get last sync time from database
- * @returns {Promise<Date|null>} Last sync timestamp
+ * Get last sync time from the sync run log
+ * @param {string|null} tenantId - Restrict to runs of a tenant (optional)
+ * @returns {Promise<Date|null>} Finish time of the last completed sync run
  */
-const getLastSyncTime = async () => {
+const getLastSyncTime = async (tenantId = null) => {
   try {
-    const lastSync = await models.IflowHistory.findOne({
-      order: [['change_timestamp', 'DESC']],
-      attributes: ['change_timestamp']
-    });
+    const lastRun = await syncRunService.getLastFinishedRun(tenantId);
     
-    return lastSync ? lastSync.change_timestamp : null;
+    return lastRun ? lastRun.finished_at : null;
   } catch (error) {
     logger.error('Error getting last sync time', { error: error.message });
     return null;
@@ -1023,15 +2003,26 @@ const getLastSyncTime = async () => {
 };
 
 module.exports = {
-  findOrCreateTenant,
+  attachTenant,
+  upsertPackage,
   syncIntegrationPackages,
   syncPackageIntegrationFlows,
+  syncPackageArtifacts,
+  syncIntegrationFlow,
+  analyzeIntegrationFlow,
+  storeIntegrationFlow,
+  storeIntegrationFlowComponents,
   syncSecurityMechanisms,
   syncAdapters,
   syncErrorHandling,
   syncPersistence,
+  syncScripts,
+  syncParameters,
+  syncGraph,
+  archiveIflowVersion,
   syncDeploymentInfo,
   syncRuntimeInfo,
+  syncMessageProcessingLogs,
   syncAllData,
   syncSpecificPackage,
   syncSpecificIflow,
@@ -0,0 +1,210 @@
+// services/iflowGraphService.js - Step graphs of iFlows as JSON, Mermaid and Graphviz DOT
+const logger = require('../utils/logger');
+const models = require('../models');
+
+// Output formats of a step graph
+const GRAPH_FORMATS = ['json', 'mermaid', 'dot'];
+
+// Nodes that hold other nodes and are drawn as groups
+const CONTAINER_TYPES = ['process', 'subProcess'];
+
+/**
+ * Load the stored step graph of an iFlow
+ * @param {string} iflowId - iFlow ID
+ * @returns {Promise<Object|null>} iFlow ID and name with the graph nodes and edges, or null if the iFlow does not exist
+ */
+const getIflowGraph = async (iflowId) => {
+  try {
+    const iflow = await models.Iflow.findByPk(iflowId, { attributes: ['iflow_id', 'iflow_name'] });
+    if (!iflow) {
+      return null;
+    }
+
+    const nodes = await models.IflowNode.findAll({
+      where: { iflow_id: iflowId },
+      attributes: ['element_id', 'element_type', 'name', 'activity_type', 'parent_id', 'properties'],
+      order: [['position', 'ASC']],
+      raw: true
+    });
+
+    const edges = await models.IflowEdge.findAll({
+      where: { iflow_id: iflowId },
+      attributes: ['element_id', 'edge_type', 'source_id', 'target_id', 'name', 'condition'],
+      order: [['position', 'ASC']],
+      raw: true
+    });
+
+    return {
+      iflow_id: iflow.iflow_id,
+      iflow_name: iflow.iflow_name,
+      nodes,
+      edges
+    };
+  } catch (error) {
+    logger.error(`Error loading step graph of iFlow ${iflowId}`, { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Get the label of a node or edge, on one line
+ * @param {string|null} text - Name, condition or element ID
+ * @returns {string} Label
+ */
+const toLabel = (text) => {
+  return (text || '').replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Get the child nodes of every node, with the top-level nodes under null
+ * @param {Array} nodes - Graph nodes
+ * @returns {Map} Child nodes by parent element ID
+ */
+const groupByParent = (nodes) => {
+  const nodeIds = new Set(nodes.map(node => node.element_id));
+  const children = new Map();
+  nodes.forEach(node => {
+    const parentId = nodeIds.has(node.parent_id) ? node.parent_id : null;
+    if (!children.has(parentId)) {
+      children.set(parentId, []);
+    }
+    children.get(parentId).push(node);
+  });
+  return children;
+};
+
+/**
+ * Render a step graph as a Mermaid flowchart
+ * Processes and sub-processes become subgraphs
+ * @param {Object} graph - Graph from getIflowGraph
+ * @returns {string} Mermaid source
+ */
+const toMermaid = (graph) => {
+  const toId = (elementId) => `n_${elementId.replace(/[^A-Za-z0-9_]/g, '_')}`;
+  const quote = (text) => `"${toLabel(text).replace(/"/g, '#quot;')}"`;
+  const children = groupByParent(graph.nodes);
+  const lines = ['flowchart LR'];
+
+  const renderNode = (node, indent) => {
+    const id = toId(node.element_id);
+    const label = quote(node.name || node.element_id);
+
+    if (CONTAINER_TYPES.includes(node.element_type)) {
+      lines.push(`${indent}subgraph ${id}[${label}]`);
+      lines.push(`${indent}  direction LR`);
+      (children.get(node.element_id) || []).forEach(child => renderNode(child, `${indent}  `));
+      lines.push(`${indent}end`);
+    } else if (/Event$/.test(node.element_type)) {
+      lines.push(`${indent}${id}((${label}))`);
+    } else if (/Gateway$/.test(node.element_type)) {
+      lines.push(`${indent}${id}{${label}}`);
+    } else if (node.element_type === 'participant') {
+      lines.push(`${indent}${id}[/${label}/]`);
+    } else {
+      lines.push(`${indent}${id}[${label}]`);
+    }
+  };
+
+  (children.get(null) || []).forEach(node => renderNode(node, '  '));
+
+  const arrows = { sequence: '-->', message: '-.->', 'process-call': '==>' };
+  graph.edges.forEach(edge => {
+    const label = toLabel(edge.condition || edge.name);
+    const arrow = arrows[edge.edge_type] || '-->';
+    lines.push(`  ${toId(edge.source_id)} ${arrow}${label ? `|${quote(label)}|` : ''} ${toId(edge.target_id)}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Render a step graph as a Graphviz DOT digraph
+ * Processes and sub-processes with steps become clusters; edges to them point at their first step
+ * @param {Object} graph - Graph from getIflowGraph
+ * @returns {string} DOT source
+ */
+const toDot = (graph) => {
+  const quote = (text) => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const children = groupByParent(graph.nodes);
+  const isCluster = (node) => CONTAINER_TYPES.includes(node.element_type) && (children.get(node.element_id) || []).length > 0;
+  const clusters = new Map();
+  const lines = [
+    `digraph ${quote(graph.iflow_name || graph.iflow_id)} {`,
+    '  rankdir=LR;',
+    '  compound=true;',
+    '  node [fontname="Helvetica", fontsize=10];',
+    '  edge [fontname="Helvetica", fontsize=9];'
+  ];
+
+  const getShape = (node) => {
+    if (node.element_type === 'endEvent') {
+      return 'shape=doublecircle';
+    }
+    if (/Event$/.test(node.element_type)) {
+      return 'shape=circle';
+    }
+    if (/Gateway$/.test(node.element_type)) {
+      return 'shape=diamond';
+    }
+    if (node.element_type === 'participant') {
+      return 'shape=component';
+    }
+    return 'shape=box, style=rounded';
+  };
+
+  const renderNode = (node, indent) => {
+    const label = quote(toLabel(node.name || node.element_id));
+
+    if (isCluster(node)) {
+      const nodeChildren = children.get(node.element_id);
+      clusters.set(node.element_id, nodeChildren[0].element_id);
+      lines.push(`${indent}subgraph ${quote(`cluster_${node.element_id}`)} {`);
+      lines.push(`${indent}  label=${label};`);
+      nodeChildren.forEach(child => renderNode(child, `${indent}  `));
+      lines.push(`${indent}}`);
+    } else {
+      lines.push(`${indent}${quote(node.element_id)} [label=${label}, ${getShape(node)}];`);
+    }
+  };
+
+  (children.get(null) || []).forEach(node => renderNode(node, '  '));
+
+  // Nested clusters point at the first step of their first child
+  const resolveEndpoint = (elementId) => {
+    let nodeId = elementId;
+    while (clusters.has(nodeId)) {
+      nodeId = clusters.get(nodeId);
+    }
+    return nodeId;
+  };
+
+  const styles = { message: 'style=dashed', 'process-call': 'style=bold' };
+  graph.edges.forEach(edge => {
+    const attributes = [];
+    const label = toLabel(edge.condition || edge.name);
+    if (label) {
+      attributes.push(`label=${quote(label)}`);
+    }
+    if (styles[edge.edge_type]) {
+      attributes.push(styles[edge.edge_type]);
+    }
+    if (clusters.has(edge.source_id)) {
+      attributes.push(`ltail=${quote(`cluster_${edge.source_id}`)}`);
+    }
+    if (clusters.has(edge.target_id)) {
+      attributes.push(`lhead=${quote(`cluster_${edge.target_id}`)}`);
+    }
+    const attributeList = attributes.length > 0 ? ` [${attributes.join(', ')}]` : '';
+    lines.push(`  ${quote(resolveEndpoint(edge.source_id))} -> ${quote(resolveEndpoint(edge.target_id))}${attributeList};`);
+  });
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  GRAPH_FORMATS,
+  getIflowGraph,
+  toMermaid,
+  toDot
+};
@@ -0,0 +1,282 @@
+// services/iflowVersionService.js - Archived iFlow versions and the differences between them
+const logger = require('../utils/logger');
+const models = require('../models');
+const dataFetchService = require('./dataFetchService');
+const dataSyncService = require('./dataSyncService');
+
+// Columns of an archived version without the ZIP itself
+const VERSION_ATTRIBUTES = ['version_id', 'iflow_id', 'version', 'content_hash', 'zip_size', 'source', 'last_seen_at', 'created_at'];
+
+/**
+ * List the archived versions of an iFlow, newest first
+ * @param {string} iflowId - iFlow ID
+ * @returns {Promise<Array>} Archived versions (without ZIP content)
+ */
+const listIflowVersions = async (iflowId) => {
+  try {
+    return await models.IflowVersion.findAll({
+      where: { iflow_id: iflowId },
+      attributes: VERSION_ATTRIBUTES,
+      order: [['created_at', 'DESC']]
+    });
+  } catch (error) {
+    logger.error(`Error listing archived versions of iFlow ${iflowId}`, { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Get the archived version an iFlow currently holds: the one a sync or upload delivered last
+ * @param {string} iflowId - iFlow ID
+ * @returns {Promise<Object|null>} Archived version (without ZIP content), or null if nothing is archived
+ */
+const getCurrentIflowVersion = async (iflowId) => {
+  try {
+    return await models.IflowVersion.findOne({
+      where: { iflow_id: iflowId },
+      attributes: VERSION_ATTRIBUTES,
+      order: [['last_seen_at', 'DESC']]
+    });
+  } catch (error) {
+    logger.error(`Error loading current archived version of iFlow ${iflowId}`, { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Find an archived version in a list of versions
+ * A version number that was archived more than once (e.g. edited drafts) resolves to the newest ZIP
+ * @param {Array} versions - Archived versions from listIflowVersions, newest first
+ * @param {string} reference - Version number (e.g. 1.0.3) or version ID
+ * @returns {Object|null} Archived version or null if there is no such version
+ */
+const findIflowVersion = (versions, reference) => {
+  return versions.find(version => version.version === reference || version.version_id === reference) || null;
+};
+
+/**
+ * Load an archived version with its ZIP
+ * @param {string} iflowId - iFlow ID
+ * @param {string} versionId - Version ID
+ * @returns {Promise<Object|null>} Archived version with ZIP content, or null if not found
+ */
+const getIflowVersionZip = async (iflowId, versionId) => {
+  try {
+    return await models.IflowVersion.findOne({
+      where: { iflow_id: iflowId, version_id: versionId }
+    });
+  } catch (error) {
+    logger.error(`Error loading archived version ${versionId} of iFlow ${iflowId}`, { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Run the extractors and processors over the ZIP of an archived version
+ * @param {Object} version - Archived version
+ * @returns {Promise<Object>} Analysis as returned by dataSyncService.analyzeIntegrationFlow
+ */
+const analyzeIflowVersion = async (version) => {
+  const archived = await getIflowVersionZip(version.iflow_id, version.version_id);
+  const flowDetails = await dataFetchService.readIntegrationFlowZip(archived.zip_content, version.iflow_id);
+  if (flowDetails.error) {
+    throw new Error(`Archived version ${version.version} of iFlow ${version.iflow_id} could not be read: ${flowDetails.error}`);
+  }
+
+  return dataSyncService.analyzeIntegrationFlow(
+    { id: version.iflow_id, Id: version.iflow_id, Version: version.version },
+    flowDetails
+  );
+};
+
+/**
+ * Check whether a value is a plain object whose keys are compared one by one
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+/**
+ * Read a value stored as a JSON string (e.g. the content of an adapter configuration) as an object
+ * @param {*} value - Value to read
+ * @returns {*} Parsed object, or the value itself if it is no JSON object
+ */
+const parseJsonObject = (value) => {
+  if (typeof value !== 'string' || !value.trim().startsWith('{')) {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+/**
+ * Collect the differences between two values of a field, descending into objects
+ * @param {string} field - Field name, dotted for nested keys
+ * @param {*} beforeValue - Value in the older version
+ * @param {*} afterValue - Value in the newer version
+ * @param {Array} changes - Changes the differences are added to
+ */
+const collectChanges = (field, beforeValue, afterValue, changes) => {
+  const before = parseJsonObject(beforeValue);
+  const after = parseJsonObject(afterValue);
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    keys.forEach(key => collectChanges(`${field}.${key}`, before[key], after[key], changes));
+    return;
+  }
+
+  if (JSON.stringify(before ?? null) !== JSON.stringify(after ?? null)) {
+    changes.push({ field, from: before ?? null, to: after ?? null });
+  }
+};
+
+/**
+ * Key the items of a section; items sharing a key are numbered (#2, #3, ...)
+ * @param {Array} items - Items of one version
+ * @param {Function} getKey - Returns the key of an item
+ * @returns {Map} Items by key
+ */
+const keyItems = (items, getKey) => {
+  const keyed = new Map();
+  (items || []).forEach(item => {
+    const key = getKey(item);
+    let uniqueKey = key;
+    for (let count = 2; keyed.has(uniqueKey); count++) {
+      uniqueKey = `${key} #${count}`;
+    }
+    keyed.set(uniqueKey, item);
+  });
+  return keyed;
+};
+
+/**
+ * Compare one section (adapters, security, parameters or steps) of two versions
+ * @param {Array} beforeItems - Items of the older version
+ * @param {Array} afterItems - Items of the newer version
+ * @param {Object} section - How the section is compared
+ * @param {Function} section.getKey - Returns the key that identifies an item across versions
+ * @param {Array} section.fields - Fields that are compared
+ * @param {Function} section.describe - Returns the summary of an added or removed item
+ * @returns {Object} Added, removed and changed items
+ */
+const diffSection = (beforeItems, afterItems, { getKey, fields, describe }) => {
+  const before = keyItems(beforeItems, getKey);
+  const after = keyItems(afterItems, getKey);
+  const diff = { added: [], removed: [], changed: [] };
+
+  after.forEach((item, key) => {
+    if (!before.has(key)) {
+      diff.added.push({ key, ...describe(item) });
+    }
+  });
+
+  before.forEach((item, key) => {
+    if (!after.has(key)) {
+      diff.removed.push({ key, ...describe(item) });
+      return;
+    }
+
+    const changes = [];
+    fields.forEach(field => collectChanges(field, item[field], after.get(key)[field], changes));
+    if (changes.length > 0) {
+      diff.changed.push({ key, changes });
+    }
+  });
+
+  return diff;
+};
+
+// How the sections of two analysed versions are compared
+const DIFF_SECTIONS = {
+  adapters: {
+    select: (analysis) => analysis.adapters || [],
+    getKey: (adapter) => `${adapter.direction} ${adapter.adapter_type} ${adapter.adapter_name}`,
+    fields: ['adapter_category', 'configuration'],
+    describe: ({ adapter_name, adapter_type, direction }) => ({ adapter_name, adapter_type, direction })
+  },
+  security: {
+    select: (analysis) => analysis.securityMechanisms || [],
+    getKey: (mechanism) => `${mechanism.direction} ${mechanism.mechanism_type} ${mechanism.mechanism_name}`,
+    fields: ['configuration'],
+    describe: ({ mechanism_name, mechanism_type, direction }) => ({ mechanism_name, mechanism_type, direction })
+  },
+  parameters: {
+    select: (analysis) => analysis.parameters || [],
+    getKey: (parameter) => parameter.parameter_name,
+    fields: ['parameter_type', 'default_value', 'is_required', 'description', 'usages'],
+    describe: ({ parameter_name, default_value }) => ({ parameter_name, default_value })
+  },
+  steps: {
+    // Participants are covered by the adapters
+    select: (analysis) => (analysis.graph || { nodes: [] }).nodes.filter(node => node.element_type !== 'participant'),
+    getKey: (node) => node.element_id,
+    fields: ['name', 'element_type', 'activity_type', 'parent_id', 'properties'],
+    describe: ({ element_id, element_type, name, activity_type }) => ({ element_id, element_type, name, activity_type })
+  }
+};
+
+/**
+ * Compare two archived versions of an iFlow by their adapters, security mechanisms, parameters and steps
+ * @param {Object} fromVersion - Older archived version
+ * @param {Object} toVersion - Newer archived version
+ * @returns {Promise<Object>} Both versions, the added, removed and changed items of every section
+ *   and the analyzers that failed on either version
+ */
+const diffIflowVersions = async (fromVersion, toVersion) => {
+  try {
+    const describeVersion = ({ version_id, version, content_hash, created_at }) => ({ version_id, version, content_hash, archived_at: created_at });
+    const diff = {
+      iflow_id: toVersion.iflow_id,
+      from: describeVersion(fromVersion),
+      to: describeVersion(toVersion),
+      identical: fromVersion.content_hash === toVersion.content_hash
+    };
+
+    const before = await analyzeIflowVersion(fromVersion);
+    const after = await analyzeIflowVersion(toVersion);
+
+    // A section whose analyzer failed compares as empty
+    diff.analyzerErrors = {
+      from: before.analyzerErrors || [],
+      to: after.analyzerErrors || []
+    };
+
+    diff.summary = {};
+    Object.entries(DIFF_SECTIONS).forEach(([name, section]) => {
+      diff[name] = diffSection(section.select(before), section.select(after), section);
+      diff.summary[name] = {
+        added: diff[name].added.length,
+        removed: diff[name].removed.length,
+        changed: diff[name].changed.length
+      };
+    });
+
+    logger.info('Compared archived iFlow versions', {
+      iflowId: toVersion.iflow_id,
+      from: fromVersion.version,
+      to: toVersion.version,
+      summary: diff.summary
+    });
+
+    return diff;
+  } catch (error) {
+    logger.error(`Error comparing versions of iFlow ${toVersion.iflow_id}`, { error: error.message });
+    throw error;
+  }
+};
+
+module.exports = {
+  listIflowVersions,
+  getCurrentIflowVersion,
+  findIflowVersion,
+  getIflowVersionZip,
+  analyzeIflowVersion,
+  diffSection,
+  diffIflowVersions
+};
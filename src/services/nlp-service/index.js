@@ -17,12 +17,22 @@ const openai = new OpenAI({
  * NLP Service for processing natural language queries about SAP Integration Suite
  */
 class NLPService {
+  /**
+   * Get the iFlow model, restricted to a tenant if one is given
+   * @param {string|null} tenantId - Tenant ID (optional)
+   * @returns {Object} - The iFlow model or scoped model
+   */
+  getIflowModel(tenantId) {
+    return tenantId ? models.Iflow.scope({ method: ['tenant', tenantId] }) : models.Iflow;
+  }
+  
   /**
    * Process a natural language query and return relevant data
    * @param {string} query - The natural language query
+   * @param {string|null} tenantId - Restrict the answer to the iFlows of a tenant (optional)
    * @returns {Promise<Object>} - The processed response
    */
-  async processQuery(query) {
+  async processQuery(query, tenantId = null) {
     try {
       logger.info(`Processing NLP query: ${query}`);
       
@@ -34,7 +44,7 @@ class NLPService {
       const doc = nlp(normalizedQuery);
       
       // Try to match the query to predefined patterns
-      const patternMatch = await this.matchQueryPattern(normalizedQuery, doc);
+      const patternMatch = await this.matchQueryPattern(normalizedQuery, doc, tenantId);
       
       if (patternMatch) {
         logger.info(`Pattern matched: ${patternMatch.type}`);
@@ -43,7 +53,7 @@ class NLPService {
       
       // If no pattern matches, use OpenAI to generate a structured query
       logger.info('No pattern matched, using OpenAI for query understanding');
-      return await this.processWithOpenAI(query);
+      return await this.processWithOpenAI(query, tenantId);
     } catch (error) {
       logger.error('Error processing NLP query', { error: error.message, stack: error.stack });
       throw new Error(`Failed to process query: ${error.message}`);
@@ -54,39 +64,40 @@ class NLPService {
    * Match the query to predefined patterns
    * @param {string} normalizedQuery - The normalized query text
    * @param {Object} doc - The compromise document
+   * @param {string|null} tenantId - Tenant ID (optional)
    * @returns {Promise<Object|null>} - The matched pattern response or null
    */
-  async matchQueryPattern(normalizedQuery, doc) {
+  async matchQueryPattern(normalizedQuery, doc, tenantId = null) {
     try {
       // Pattern 1: Authentication/Security related queries
       if (this.matchesSecurityPattern(normalizedQuery)) {
-        return await this.getSecurityInfo(normalizedQuery);
+        return await this.getSecurityInfo(normalizedQuery, tenantId);
       }
       
       // Pattern 2: Error handling related queries
       if (this.matchesErrorPattern(normalizedQuery)) {
-        return await this.getErrorInfo(normalizedQuery);
+        return await this.getErrorInfo(normalizedQuery, tenantId);
       }
       
       // Pattern 3: Performance/Processing time related queries
       if (this.matchesPerformancePattern(normalizedQuery)) {
-        return await this.getPerformanceInfo(normalizedQuery);
+        return await this.getPerformanceInfo(normalizedQuery, tenantId);
       }
       
       // Pattern 4: System composition related queries
       if (this.matchesSystemCompositionPattern(normalizedQuery)) {
-        return await this.getSystemCompositionInfo(normalizedQuery);
+        return await this.getSystemCompositionInfo(normalizedQuery, tenantId);
       }
       
       // Pattern 5: Adapter related queries
       if (this.matchesAdapterPattern(normalizedQuery)) {
-        return await this.getAdapterInfo(normalizedQuery);
+        return await this.getAdapterInfo(normalizedQuery, tenantId);
       }
       
       // Pattern 6: Specific iFlow queries
       const iflowName = this.extractIflowName(normalizedQuery, doc);
       if (iflowName) {
-        return await this.getIflowInfo(iflowName);
+        return await this.getIflowInfo(iflowName, tenantId);
       }
       
       // No pattern matched
@@ -224,7 +235,7 @@ class NLPService {
 /**
  * Get security information based on the query (with enhanced debugging)
  */
-async getSecurityInfo(query) {
+async getSecurityInfo(query, tenantId = null) {
   try {
     logger.info('🔍 Starting getSecurityInfo with query:', { query });
     
@@ -295,7 +306,7 @@ async getSecurityInfo(query) {
       queryStructure: JSON.stringify(iflowsWithSecurityQuery, null, 2)
     });
     
-    const iflowsWithSecurity = await models.Iflow.findAll(iflowsWithSecurityQuery);
+    const iflowsWithSecurity = await this.getIflowModel(tenantId).findAll(iflowsWithSecurityQuery);
     
     logger.info('🎯 iFlows with security result:', { 
       count: iflowsWithSecurity.length, 
@@ -357,9 +368,10 @@ async getSecurityInfo(query) {
   /**
    * Get error handling information based on the query
    * @param {string} query - The normalized query
+   * @param {string|null} tenantId - Tenant ID (optional)
    * @returns {Promise<Object>} - The error handling information
    */
-  async getErrorInfo(query) {
+  async getErrorInfo(query, tenantId = null) {
     try {
       // Check if query is about iFlows with error handling issues
       const isAboutIssues = query.includes('issue') || 
@@ -368,7 +380,7 @@ async getSecurityInfo(query) {
       
       if (isAboutIssues) {
         // Find iFlows with error handling issues
-        const iflowsWithIssues = await models.Iflow.findAll({
+        const iflowsWithIssues = await this.getIflowModel(tenantId).findAll({
           include: [
             {
               model: models.ErrorHandling,
@@ -407,7 +419,7 @@ async getSecurityInfo(query) {
         };
       } else {
         // Get failed iFlows
-        const failedIflows = await models.Iflow.findAll({
+        const failedIflows = await this.getIflowModel(tenantId).findAll({
           include: [
             {
               model: models.DeploymentInfo,
@@ -445,9 +457,10 @@ async getSecurityInfo(query) {
   /**
    * Get performance information based on the query
    * @param {string} query - The normalized query
+   * @param {string|null} tenantId - Tenant ID (optional)
    * @returns {Promise<Object>} - The performance information
    */
-  async getPerformanceInfo(query) {
+  async getPerformanceInfo(query, tenantId = null) {
     try {
       // Check if query is about average processing time
       const isAboutAverage = query.includes('average') || query.includes('avg');
@@ -481,7 +494,7 @@ async getSecurityInfo(query) {
         performanceQuery.include[0].required = true;
       }
       
-      const performanceInfo = await models.Iflow.findAll(performanceQuery);
+      const performanceInfo = await this.getIflowModel(tenantId).findAll(performanceQuery);
       
       // Calculate average processing time across all iFlows if requested
       let averageProcessingTime = null;
@@ -530,9 +543,10 @@ async getSecurityInfo(query) {
   /**
    * Get system composition information based on the query
    * @param {string} query - The normalized query
+   * @param {string|null} tenantId - Tenant ID (optional)
    * @returns {Promise<Object>} - The system composition information
    */
-  async getSystemCompositionInfo(query) {
+  async getSystemCompositionInfo(query, tenantId = null) {
     try {
       // Extract specific composition type if mentioned
       const compositionTypes = ['sap2sap', 'sap to sap', 'sap2nonsap', 'sap to non-sap', 'nonsap2nonsap', 'non-sap to non-sap'];
@@ -549,7 +563,7 @@ async getSecurityInfo(query) {
       }
       
       // Count iFlows by system composition - FIXED QUERY
-      const compositionCounts = await models.Iflow.findAll({
+      const compositionCounts = await this.getIflowModel(tenantId).findAll({
         attributes: [
           'systems_composition',
           [Sequelize.fn('COUNT', Sequelize.col('iflow_id')), 'count']
@@ -580,7 +594,7 @@ async getSecurityInfo(query) {
         iflowsQuery.where.systems_composition = { [Op.iLike]: `%${specificComposition}%` };
       }
       
-      const iflows = await models.Iflow.findAll(iflowsQuery);
+      const iflows = await this.getIflowModel(tenantId).findAll(iflowsQuery);
       
       // Format the response
       let message = 'Here is the system composition information for integration flows:';
@@ -610,9 +624,10 @@ async getSecurityInfo(query) {
   /**
    * Get adapter information based on the query
    * @param {string} query - The normalized query
+   * @param {string|null} tenantId - Tenant ID (optional)
    * @returns {Promise<Object>} - The adapter information
    */
-  async getAdapterInfo(query) {
+  async getAdapterInfo(query, tenantId = null) {
     try {
       // Extract specific adapter type if mentioned
       const adapterTypes = ['http', 'soap', 'rest', 'odata', 'jdbc', 'jms', 'sftp', 'file', 'mail', 'idoc', 'rfc'];
@@ -667,7 +682,7 @@ async getSecurityInfo(query) {
         order: [['iflow_name', 'ASC']]
       };
       
-      const iflowsWithAdapters = await models.Iflow.findAll(iflowsWithAdaptersQuery);
+      const iflowsWithAdapters = await this.getIflowModel(tenantId).findAll(iflowsWithAdaptersQuery);
       
       // Format the response
       let message = 'Here is the adapter usage information:';
@@ -701,11 +716,12 @@ async getSecurityInfo(query) {
   /**
    * Get information about a specific iFlow
    * @param {string} iflowName - The name of the iFlow
+   * @param {string|null} tenantId - Tenant ID (optional)
    * @returns {Promise<Object>} - The iFlow information
    */
-  async getIflowInfo(iflowName) {
+  async getIflowInfo(iflowName, tenantId = null) {
     try {
-      const iflow = await models.Iflow.findOne({
+      const iflow = await this.getIflowModel(tenantId).findOne({
         where: {
           iflow_name: { [Op.iLike]: `%${iflowName}%` }
         },
@@ -769,9 +785,10 @@ async getSecurityInfo(query) {
   /**
    * Process the query using OpenAI for more complex queries
    * @param {string} query - The original query
+   * @param {string|null} tenantId - Tenant ID (optional)
    * @returns {Promise<Object>} - The processed response
    */
-  async processWithOpenAI(query) {
+  async processWithOpenAI(query, tenantId = null) {
     try {
       // Define the system message to guide the AI
       const systemMessage = `
@@ -816,12 +833,12 @@ async getSecurityInfo(query) {
       }
       
       // Execute the appropriate query based on the parsed response
-      return await this.executeStructuredQuery(parsedResponse, query);
+      return await this.executeStructuredQuery(parsedResponse, query, tenantId);
     } catch (error) {
       logger.error('Error processing with OpenAI', { error: error.message, stack: error.stack });
       
       // Fallback to a generic search
-      return await this.fallbackSearch(query);
+      return await this.fallbackSearch(query, tenantId);
     }
   }
   
@@ -829,9 +846,10 @@ async getSecurityInfo(query) {
    * Execute a structured query based on the parsed OpenAI response
    * @param {Object} parsedQuery - The parsed query structure
    * @param {string} originalQuery - The original query text
+   * @param {string|null} tenantId - Tenant ID (optional)
    * @returns {Promise<Object>} - The query results
    */
-  async executeStructuredQuery(parsedQuery, originalQuery) {
+  async executeStructuredQuery(parsedQuery, originalQuery, tenantId = null) {
     try {
       const { entity, attribute, filters, queryType } = parsedQuery;
       
@@ -906,7 +924,7 @@ async getSecurityInfo(query) {
             });
           }
           
-          queryResult = await models.Iflow.findAll({
+          queryResult = await this.getIflowModel(tenantId).findAll({
             where,
             include: includes,
             order: [['iflow_name', 'ASC']]
@@ -936,7 +954,7 @@ async getSecurityInfo(query) {
           
         default:
           // Default to searching iFlows
-          queryResult = await models.Iflow.findAll({
+          queryResult = await this.getIflowModel(tenantId).findAll({
             where: {
               [Op.or]: [
                 { iflow_name: { [Op.iLike]: `%${originalQuery}%` } },
@@ -959,16 +977,17 @@ async getSecurityInfo(query) {
       };
     } catch (error) {
       logger.error('Error executing structured query', { error: error.message, stack: error.stack });
-      return await this.fallbackSearch(originalQuery);
+      return await this.fallbackSearch(originalQuery, tenantId);
     }
   }
   
   /**
    * Fallback search when other methods fail
    * @param {string} query - The original query
+   * @param {string|null} tenantId - Tenant ID (optional)
    * @returns {Promise<Object>} - The search results
    */
-  async fallbackSearch(query) {
+  async fallbackSearch(query, tenantId = null) {
     try {
       // Extract search terms
       const terms = query.split(/\s+/).filter(term => term.length > 2);
@@ -990,7 +1009,7 @@ async getSecurityInfo(query) {
       }));
       
       // Search iFlows
-      const iflows = await models.Iflow.findAll({
+      const iflows = await this.getIflowModel(tenantId).findAll({
         where: {
           [Op.and]: searchConditions
         },
@@ -0,0 +1,156 @@
+// services/processing/complexityProcessor.js
+const BaseProcessor = require('./baseProcessor');
+const logger = require('../../utils/logger');
+
+// Step types by activity type of the step
+const STEP_TYPES = {
+  Enricher: 'Content Modifier',
+  Variables: 'Write Variables',
+  ExclusiveGateway: 'Router',
+  Multicast: 'Multicast',
+  SequentialMulticast: 'Multicast',
+  Join: 'Join',
+  Splitter: 'Splitter',
+  Gather: 'Gather',
+  Aggregator: 'Aggregator',
+  Filter: 'Filter',
+  Mapping: 'Mapping',
+  XSLTMapping: 'Mapping',
+  OperationMapping: 'Mapping',
+  Script: 'Script',
+  ExternalCall: 'Request Reply',
+  Send: 'Send',
+  ContentEnricher: 'Content Enricher',
+  DBstorage: 'Data Store',
+  Persist: 'Persist',
+  XmlValidator: 'Validator',
+  Encoder: 'Encoder',
+  Decoder: 'Decoder',
+  ErrorEventSubProcessTemplate: 'Exception Subprocess',
+  StartTimerEvent: 'Timer'
+};
+
+// Effort of a step of each type; step types not listed weigh DEFAULT_STEP_WEIGHT
+const STEP_WEIGHTS = {
+  Event: 0,
+  'Content Modifier': 1,
+  'Write Variables': 1,
+  Filter: 1,
+  Converter: 1,
+  Validator: 1,
+  Encoder: 1,
+  Decoder: 1,
+  Persist: 1,
+  Timer: 1,
+  'Request Reply': 2,
+  Send: 2,
+  'Data Store': 2,
+  Join: 2,
+  'Process Call': 2,
+  'Local Process': 2,
+  'Exception Subprocess': 2,
+  Router: 3,
+  Multicast: 3,
+  Splitter: 3,
+  Gather: 3,
+  Mapping: 3,
+  'Content Enricher': 3,
+  Aggregator: 4,
+  Script: 4
+};
+const DEFAULT_STEP_WEIGHT = 1;
+
+// Complexity levels with their lowest score, highest level first
+const COMPLEXITY_LEVELS = [
+  { level: 'High', minScore: 40 },
+  { level: 'Medium', minScore: 15 },
+  { level: 'Low', minScore: 0 }
+];
+
+/**
+ * Step inventory and complexity score processing logic
+ */
+class ComplexityProcessor extends BaseProcessor {
+  /**
+   * Count the steps of an iFlow by step type and weigh them into a complexity score
+   * @param {Object} flowData - Flow data with parsed XML
+   * @param {Object} graph - Processed step graph
+   * @returns {Object} Step counts by type, total step count, complexity score and level
+   */
+  processStepInventory(flowData, graph) {
+    const counts = {};
+    (graph?.nodes || []).forEach(node => {
+      const stepType = this.getStepType(node);
+      if (stepType) {
+        counts[stepType] = (counts[stepType] || 0) + 1;
+      }
+    });
+
+    // Sort the step types so unchanged iFlows store identical inventories
+    const stepCounts = {};
+    Object.keys(counts).sort().forEach(stepType => {
+      stepCounts[stepType] = counts[stepType];
+    });
+
+    const complexityScore = Object.entries(stepCounts).reduce((score, [stepType, count]) => {
+      const weight = STEP_WEIGHTS[stepType] ?? DEFAULT_STEP_WEIGHT;
+      return score + weight * count;
+    }, 0);
+
+    const inventory = {
+      step_counts: stepCounts,
+      step_count: Object.values(stepCounts).reduce((total, count) => total + count, 0),
+      complexity_score: complexityScore,
+      complexity_level: COMPLEXITY_LEVELS.find(({ minScore }) => complexityScore >= minScore).level
+    };
+
+    logger.info('Step inventory processing completed', {
+      flowId: flowData.id,
+      stepCount: inventory.step_count,
+      complexityScore: inventory.complexity_score,
+      complexityLevel: inventory.complexity_level
+    });
+
+    return inventory;
+  }
+
+  /**
+   * Get the step type of a graph node
+   * @param {Object} node - Graph node (element type, activity type, properties)
+   * @returns {string|null} Step type, or null for nodes that are no steps
+   */
+  getStepType(node) {
+    const activityType = node.activity_type || '';
+
+    if (node.element_type === 'participant') {
+      return null;
+    }
+    if (node.element_type === 'process') {
+      return activityType === 'Local Integration Process' ? 'Local Process' : null;
+    }
+    if (node.properties?.processId) {
+      return 'Process Call';
+    }
+    if (STEP_TYPES[activityType]) {
+      return STEP_TYPES[activityType];
+    }
+    if (/Splitter$/.test(activityType)) {
+      return 'Splitter';
+    }
+    if (/Converter$/.test(activityType)) {
+      return 'Converter';
+    }
+    if (node.element_type === 'exclusiveGateway') {
+      return 'Router';
+    }
+    if (node.element_type === 'parallelGateway') {
+      return 'Multicast';
+    }
+    if (/Event$/.test(node.element_type)) {
+      return 'Event';
+    }
+    return activityType || node.element_type;
+  }
+}
+
+module.exports = ComplexityProcessor;
@@ -0,0 +1,65 @@
+// services/processing/graphProcessor.js
+const BaseProcessor = require('./baseProcessor');
+const logger = require('../../utils/logger');
+
+/**
+ * Step graph processing logic
+ */
+class GraphProcessor extends BaseProcessor {
+  /**
+   * Process the step graph of an iFlow
+   * @param {Object} flowData - Flow data with parsed XML
+   * @param {Object} graph - Extracted graph nodes and edges
+   * @returns {Object} Processed nodes and edges
+   */
+  processGraph(flowData, graph) {
+    if (!graph) {
+      return { nodes: [], edges: [] };
+    }
+
+    // Element IDs are unique within an iFlow; keep the first element of a duplicate ID
+    const nodeIds = new Set();
+    const nodes = graph.nodes
+      .filter(node => node.element_id && !nodeIds.has(node.element_id) && nodeIds.add(node.element_id))
+      .map((node, index) => ({
+        element_id: this.sanitizeString(node.element_id, 255),
+        element_type: this.sanitizeString(node.element_type, 100),
+        name: this.sanitizeString(node.name, 255) || null,
+        activity_type: this.sanitizeString(node.activity_type, 100) || null,
+        parent_id: node.parent_id,
+        properties: this.validateJson(node.properties, 'graphNodeProperties'),
+        position: index
+      }));
+
+    const edges = graph.edges
+      .filter(edge => edge.source_id && edge.target_id)
+      .map((edge, index) => ({
+        element_id: this.sanitizeString(edge.element_id, 255) || null,
+        edge_type: edge.edge_type,
+        source_id: this.sanitizeString(edge.source_id, 255),
+        target_id: this.sanitizeString(edge.target_id, 255),
+        name: this.sanitizeString(edge.name, 255) || null,
+        condition: edge.condition,
+        position: index
+      }));
+
+    // Edges to elements outside the graph (e.g. a process call to a missing process) are kept for display
+    const danglingEdges = edges.filter(edge => !nodeIds.has(edge.source_id) || !nodeIds.has(edge.target_id));
+    if (danglingEdges.length > 0) {
+      logger.warn('Step graph has edges to unknown elements', {
+        flowId: flowData.id,
+        edges: danglingEdges.map(edge => edge.element_id)
+      });
+    }
+
+    logger.info('Step graph processing completed', {
+      flowId: flowData.id,
+      nodeCount: nodes.length,
+      edgeCount: edges.length
+    });
+
+    return { nodes, edges };
+  }
+}
+
+module.exports = GraphProcessor;
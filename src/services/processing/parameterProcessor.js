@@ -0,0 +1,59 @@
+// services/processing/parameterProcessor.js
+const BaseProcessor = require('./baseProcessor');
+const logger = require('../../utils/logger');
+
+/**
+ * Externalized parameter processing logic
+ */
+class ParameterProcessor extends BaseProcessor {
+  /**
+   * Process the externalized parameters of an iFlow
+   * @param {Object} flowData - Flow data with parsed XML
+   * @param {Array} parameters - Extracted parameters
+   * @returns {Array} Processed parameters, sorted by name
+   */
+  processParameters(flowData, parameters) {
+    if (!Array.isArray(parameters)) {
+      return [];
+    }
+
+    const processed = parameters
+      .filter(parameter => parameter && parameter.name)
+      .map(parameter => ({
+        parameter_name: this.sanitizeString(parameter.name, 255),
+        parameter_type: this.sanitizeString(parameter.type, 100) || null,
+        default_value: parameter.default_value,
+        is_required: this.ensureBoolean(parameter.required),
+        description: parameter.description,
+        usages: this.processUsages(parameter.usages)
+      }))
+      .sort((first, second) => first.parameter_name.localeCompare(second.parameter_name));
+
+    logger.info('Parameter processing completed', {
+      flowId: flowData.id,
+      parameterCount: processed.length,
+      unusedCount: processed.filter(parameter => parameter.usages.length === 0).length
+    });
+
+    return processed;
+  }
+
+  /**
+   * Remove duplicate usages (the same property referencing a parameter twice)
+   * @param {Array} usages - Extracted usages
+   * @returns {Array} Unique usages
+   */
+  processUsages(usages = []) {
+    const seen = new Set();
+    return usages.filter(usage => {
+      const key = [usage.kind, usage.id, usage.property].join('|');
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+}
+
+module.exports = ParameterProcessor;
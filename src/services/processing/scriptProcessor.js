@@ -0,0 +1,181 @@
+// services/processing/scriptProcessor.js
+const crypto = require('crypto');
+const BaseProcessor = require('./baseProcessor');
+const logger = require('../../utils/logger');
+
+// Scripts longer than this are reported as too large
+const SCRIPT_MAX_LINES = parseInt(process.env.SCRIPT_MAX_LINES, 10) || 300;
+
+// URL prefixes that are XML namespaces rather than endpoints
+const NAMESPACE_URL_PREFIXES = [
+  'http://www.w3.org/',
+  'http://schemas.xmlsoap.org/',
+  'http://sap.com/xi/'
+];
+
+// Deprecated APIs by script language
+const DEPRECATED_APIS = {
+  groovy: [
+    { pattern: /ITApiFactory\.getApi\s*\(/, message: 'ITApiFactory.getApi is deprecated, use ITApiFactory.getService' },
+    { pattern: /groovy\.util\.(XmlSlurper|XmlParser)\b/, message: 'groovy.util XML classes are deprecated since Groovy 3, use the groovy.xml package' },
+    { pattern: /groovy\.util\.slurpersupport\./, message: 'groovy.util.slurpersupport is deprecated since Groovy 3, use groovy.xml.slurpersupport' }
+  ],
+  javascript: [
+    { pattern: /ITApiFactory\.getApi\s*\(/, message: 'ITApiFactory.getApi is deprecated, use ITApiFactory.getService' },
+    { pattern: /\bimport(Package|Class)\s*\(/, message: 'importPackage and importClass are Rhino compatibility functions, use Java.type' }
+  ]
+};
+
+/**
+ * Script processing logic: static checks of the Groovy and JavaScript files of an iFlow
+ */
+class ScriptProcessor extends BaseProcessor {
+  /**
+   * Process the scripts of an iFlow and run the static checks on them
+   * @param {Object} flowData - Flow data with parsed XML
+   * @param {Object} extracted - Result of ScriptExtractor.extractScripts
+   * @returns {Object} Processed scripts and their findings
+   */
+  processScripts(flowData, extracted) {
+    const processed = { scripts: [], findings: [] };
+
+    if (!extracted) {
+      return processed;
+    }
+
+    extracted.scripts.forEach(script => {
+      const lines = script.content.split(/\r?\n/);
+
+      processed.scripts.push({
+        script_name: this.sanitizeString(script.path, 255),
+        language: script.language,
+        size_bytes: Buffer.byteLength(script.content, 'utf8'),
+        line_count: lines.length,
+        content_hash: crypto.createHash('sha256').update(script.content).digest('hex'),
+        steps: script.steps
+      });
+
+      processed.findings.push(...this.checkScript(script, lines));
+    });
+
+    // Steps calling a script collection resolve their script outside of the iFlow
+    extracted.unresolvedSteps
+      .filter(step => !step.script_collection)
+      .forEach(step => {
+        processed.findings.push(this.buildFinding(step.script, 'missing-script', 'medium', null,
+          `Step "${step.step_name || step.step_id}" calls a script that is not part of the iFlow`));
+      });
+
+    logger.info('Script processing completed', {
+      flowId: flowData.id,
+      scriptCount: processed.scripts.length,
+      findingCount: processed.findings.length
+    });
+
+    return processed;
+  }
+
+  /**
+   * Run the static checks on a single script
+   * @param {Object} script - Script with its calling steps
+   * @param {Array<string>} lines - Script lines
+   * @returns {Array} Findings
+   */
+  checkScript(script, lines) {
+    const findings = [];
+    const usesMessageLog = script.content.includes('messageLogFactory');
+
+    lines.forEach((line, index) => {
+      const lineNumber = index + 1;
+
+      // Attaching the payload to the message processing log copies business data into the monitoring
+      if (usesMessageLog && /\.addAttachmentAs(String|Stream)\s*\(/.test(line)) {
+        findings.push(this.buildFinding(script.path, 'payload-logging', 'high', lineNumber,
+          'Attaches content to the message processing log via messageLogFactory'));
+      }
+
+      this.findHardcodedUrls(line).forEach(url => {
+        findings.push(this.buildFinding(script.path, 'hardcoded-url', 'medium', lineNumber,
+          `Hard-coded URL ${url}; use an externalized parameter`));
+      });
+
+      const credential = this.findHardcodedCredential(line);
+      if (credential) {
+        findings.push(this.buildFinding(script.path, 'hardcoded-credential', 'high', lineNumber,
+          `Possible hard-coded ${credential}; use the secure store`));
+      }
+
+      (DEPRECATED_APIS[script.language] || []).forEach(api => {
+        if (api.pattern.test(line)) {
+          findings.push(this.buildFinding(script.path, 'deprecated-api', 'medium', lineNumber, api.message));
+        }
+      });
+    });
+
+    if (lines.length > SCRIPT_MAX_LINES) {
+      findings.push(this.buildFinding(script.path, 'script-size', 'low', null,
+        `Script has ${lines.length} lines (limit ${SCRIPT_MAX_LINES})`));
+    }
+
+    if (script.steps.length === 0) {
+      findings.push(this.buildFinding(script.path, 'unused-script', 'low', null,
+        'Script is not called by any step of the iFlow'));
+    }
+
+    return findings;
+  }
+
+  /**
+   * Find URLs written into a script line
+   * @param {string} line - Script line
+   * @returns {Array<string>} URLs, without XML namespaces and parameterized URLs
+   */
+  findHardcodedUrls(line) {
+    const urls = line.match(/\b(?:https?|s?ftp):\/\/[^\s'"<>)]+/gi) || [];
+    return urls.filter(url =>
+      !url.includes('{{') &&
+      !url.includes('${') &&
+      !NAMESPACE_URL_PREFIXES.some(prefix => url.toLowerCase().startsWith(prefix))
+    );
+  }
+
+  /**
+   * Find a credential written into a script line
+   * @param {string} line - Script line
+   * @returns {string|null} Kind of credential, or null if none was found
+   */
+  findHardcodedCredential(line) {
+    const assignment = /\b(password|passwd|pwd|secret|client_?secret|api_?key|access_?token)\s*[:=]\s*['"]([^'"]{3,})['"]/i.exec(line);
+    if (assignment && !/\$\{|\{\{/.test(assignment[2])) {
+      return assignment[1].toLowerCase();
+    }
+
+    const header = /['"](Basic|Bearer)\s+[A-Za-z0-9+/=._-]{8,}['"]/.exec(line);
+    if (header) {
+      return `${header[1]} authorization header`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Build a script finding
+   * @param {string} scriptName - Script path below the script folder
+   * @param {string} rule - Rule that found it
+   * @param {string} severity - Severity (high, medium, low)
+   * @param {number|null} lineNumber - Line of the script (null for findings about the whole script)
+   * @param {string} message - Description of the finding
+   * @returns {Object} Finding
+   */
+  buildFinding(scriptName, rule, severity, lineNumber, message) {
+    return {
+      script_name: this.sanitizeString(scriptName, 255),
+      rule,
+      severity,
+      line_number: lineNumber,
+      message
+    };
+  }
+}
+
+module.exports = ScriptProcessor;
@@ -0,0 +1,266 @@
+// services/reprocessService.js - Re-run the extractors and processors over archived iFlow ZIPs
+const logger = require('../utils/logger');
+const models = require('../models');
+const dataSyncService = require('./dataSyncService');
+const iflowVersionService = require('./iflowVersionService');
+const syncRunService = require('./syncRunService');
+const tenantService = require('./tenantService');
+
+// Columns of the iFlow that hold its step inventory
+const STEP_INVENTORY_FIELDS = ['step_counts', 'step_count', 'complexity_score', 'complexity_level'];
+
+// Stored data of an iFlow that is derived from its ZIP, with how each section is compared
+const SNAPSHOT_SECTIONS = {
+  adapters: {
+    load: async (iflowId) => {
+      const rows = await models.IflowAdapter.findAll({
+        where: { iflow_id: iflowId },
+        include: [{ model: models.Adapter, attributes: ['adapter_name', 'adapter_type', 'adapter_category'] }]
+      });
+      return rows.map(row => ({
+        adapter_name: row.adapter.adapter_name,
+        adapter_type: row.adapter.adapter_type,
+        adapter_category: row.adapter.adapter_category,
+        direction: row.direction,
+        configuration: row.configuration
+      }));
+    },
+    getKey: (adapter) => `${adapter.direction} ${adapter.adapter_type} ${adapter.adapter_name}`,
+    fields: ['adapter_category', 'configuration'],
+    describe: ({ adapter_name, adapter_type, direction }) => ({ adapter_name, adapter_type, direction })
+  },
+  security: {
+    load: async (iflowId) => {
+      const rows = await models.IflowSecurity.findAll({
+        where: { iflow_id: iflowId },
+        include: [{ model: models.SecurityMechanism, attributes: ['mechanism_name', 'mechanism_type'] }]
+      });
+      return rows.map(row => ({
+        mechanism_name: row.security_mechanism.mechanism_name,
+        mechanism_type: row.security_mechanism.mechanism_type,
+        direction: row.direction,
+        configuration: row.configuration
+      }));
+    },
+    getKey: (mechanism) => `${mechanism.direction} ${mechanism.mechanism_type} ${mechanism.mechanism_name}`,
+    fields: ['configuration'],
+    describe: ({ mechanism_name, mechanism_type, direction }) => ({ mechanism_name, mechanism_type, direction })
+  },
+  errorHandling: {
+    load: (iflowId) => models.ErrorHandling.findAll({ where: { iflow_id: iflowId }, raw: true }),
+    getKey: () => 'error handling',
+    fields: ['detection_enabled', 'logging_enabled', 'classification_enabled', 'reporting_enabled', 'error_handling_details'],
+    describe: ({ detection_enabled }) => ({ detection_enabled })
+  },
+  persistence: {
+    load: (iflowId) => models.Persistence.findAll({ where: { iflow_id: iflowId }, raw: true }),
+    getKey: () => 'persistence',
+    fields: ['jms_enabled', 'data_store_enabled', 'variables_enabled', 'message_persistence_enabled', 'persistence_details'],
+    describe: ({ jms_enabled, data_store_enabled }) => ({ jms_enabled, data_store_enabled })
+  },
+  scripts: {
+    load: (iflowId) => models.IflowScript.findAll({ where: { iflow_id: iflowId }, raw: true }),
+    getKey: (script) => script.script_name,
+    fields: ['language', 'size_bytes', 'line_count', 'content_hash', 'steps'],
+    describe: ({ script_name, language }) => ({ script_name, language })
+  },
+  findings: {
+    load: (iflowId) => models.ScriptFinding.findAll({ where: { iflow_id: iflowId }, raw: true }),
+    getKey: (finding) => `${finding.script_name} ${finding.rule} ${finding.line_number ?? ''}`.trim(),
+    fields: ['severity', 'message'],
+    describe: ({ script_name, rule, severity, line_number }) => ({ script_name, rule, severity, line_number })
+  },
+  parameters: {
+    load: (iflowId) => models.IflowParameter.findAll({ where: { iflow_id: iflowId }, raw: true }),
+    getKey: (parameter) => parameter.parameter_name,
+    fields: ['parameter_type', 'default_value', 'is_required', 'description', 'usages'],
+    describe: ({ parameter_name, default_value }) => ({ parameter_name, default_value })
+  },
+  steps: {
+    load: (iflowId) => models.IflowNode.findAll({ where: { iflow_id: iflowId }, raw: true }),
+    getKey: (node) => node.element_id,
+    fields: ['name', 'element_type', 'activity_type', 'parent_id', 'properties'],
+    describe: ({ element_id, element_type, name }) => ({ element_id, element_type, name })
+  },
+  flows: {
+    load: (iflowId) => models.IflowEdge.findAll({ where: { iflow_id: iflowId }, raw: true }),
+    getKey: (edge) => `${edge.edge_type} ${edge.element_id || `${edge.source_id}->${edge.target_id}`}`,
+    fields: ['source_id', 'target_id', 'name', 'condition'],
+    describe: ({ element_id, edge_type, source_id, target_id }) => ({ element_id, edge_type, source_id, target_id })
+  },
+  analyses: {
+    load: (iflowId) => models.IflowAnalysis.findAll({ where: { iflow_id: iflowId }, raw: true }),
+    getKey: (analysis) => analysis.analyzer,
+    fields: ['result'],
+    describe: ({ analyzer }) => ({ analyzer })
+  },
+  complexity: {
+    load: (iflowId) => models.Iflow.findAll({
+      where: { iflow_id: iflowId },
+      attributes: STEP_INVENTORY_FIELDS,
+      raw: true
+    }),
+    getKey: () => 'complexity',
+    fields: STEP_INVENTORY_FIELDS,
+    describe: ({ complexity_score, complexity_level }) => ({ complexity_score, complexity_level })
+  }
+};
+
+/**
+ * Read the stored data of an iFlow that is derived from its ZIP
+ * @param {string} iflowId - Stored iFlow ID
+ * @returns {Promise<Object>} Stored rows by section
+ */
+const snapshotIflow = async (iflowId) => {
+  const snapshot = {};
+  for (const [name, section] of Object.entries(SNAPSHOT_SECTIONS)) {
+    snapshot[name] = await section.load(iflowId);
+  }
+  return snapshot;
+};
+
+/**
+ * Compare two snapshots of an iFlow
+ * @param {Object} before - Snapshot before reprocessing
+ * @param {Object} after - Snapshot after reprocessing
+ * @returns {Object} Added, removed and changed items of every section that changed
+ */
+const compareSnapshots = (before, after) => {
+  const changes = {};
+  Object.entries(SNAPSHOT_SECTIONS).forEach(([name, section]) => {
+    const diff = iflowVersionService.diffSection(before[name], after[name], section);
+    if (diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0) {
+      changes[name] = diff;
+    }
+  });
+  return changes;
+};
+
+/**
+ * Re-run the extractors and processors over the current archived ZIP of one iFlow and store the result
+ * @param {Object} iflow - Stored iFlow record
+ * @param {Object} runContext - Sync run context
+ * @returns {Promise<Object>} Result for the iFlow (version, changed sections, or why it was skipped)
+ */
+const reprocessIflow = async (iflow, runContext) => {
+  const result = { iflowId: iflow.iflow_id, iflowName: iflow.iflow_name, packageId: iflow.package_id };
+
+  const version = await iflowVersionService.getCurrentIflowVersion(iflow.iflow_id);
+  if (!version) {
+    syncRunService.incrementCount(runContext, 'skipped');
+    return { ...result, status: 'skipped', reason: 'No archived version' };
+  }
+  result.version = version.version;
+
+  const analysis = await iflowVersionService.analyzeIflowVersion(version);
+  const before = await snapshotIflow(iflow.iflow_id);
+
+  // Only the data derived from the ZIP (including the step inventory) is replaced; metadata and runtime data stay as synced
+  await dataSyncService.storeIntegrationFlowComponents(iflow.iflow_id, analysis, runContext);
+
+  if (analysis.analyzerErrors.length > 0) {
+    // Incomplete analysis: let the next sync analyse the iFlow again
+    await iflow.update({ sync_signature: null });
+  }
+
+  const changes = compareSnapshots(before, await snapshotIflow(iflow.iflow_id));
+  syncRunService.incrementCount(runContext, 'iflows');
+
+  return {
+    ...result,
+    status: Object.keys(changes).length > 0 ? 'changed' : 'unchanged',
+    changes
+  };
+};
+
+/**
+ * Re-run the extractors and processors over the archived ZIPs of stored iFlows, without calling SAP
+ * The reprocessing is recorded as a sync run of the tenant, so it never overlaps a sync
+ * @param {Object} options - Reprocess options
+ * @param {string} options.tenantId - Tenant whose iFlows are reprocessed (optional, defaults to the environment tenant)
+ * @param {string} options.packageId - Only reprocess the iFlows of this package (SAP package ID, optional)
+ * @param {string} options.iflowId - Only reprocess this iFlow (SAP iFlow ID, optional)
+ * @returns {Promise<Object|null>} Run ID, tenant, counts and per-iFlow results, or null if the package or iFlow does not exist
+ * @throws {TenantError} If the tenant does not exist or is retired
+ * @throws {SyncInProgressError} If the tenant is syncing
+ */
+const reprocessArchivedIflows = async ({ tenantId = null, packageId = null, iflowId = null } = {}) => {
+  const tenant = await tenantService.resolveTenant(tenantId);
+
+  const where = {};
+  if (iflowId) {
+    where.artifact_id = iflowId;
+  }
+  if (packageId) {
+    const packageRecord = await models.Package.findOne({
+      where: { tenant_id: tenant.tenant_id, artifact_id: packageId },
+      attributes: ['package_id']
+    });
+    if (!packageRecord) {
+      return null;
+    }
+    where.package_id = packageRecord.package_id;
+  }
+
+  if (iflowId && !await models.Iflow.findOne({ where: { tenant_id: tenant.tenant_id, artifact_id: iflowId }, attributes: ['iflow_id'] })) {
+    return null;
+  }
+
+  const runContext = dataSyncService.attachTenant(
+    await syncRunService.startSyncRun({
+      trigger: 'Reprocess',
+      syncType: iflowId ? 'Iflow' : (packageId ? 'Package' : 'Full'),
+      scope: iflowId || packageId ? { packageId, iflowId } : null,
+      tenantId: tenant.tenant_id
+    }),
+    tenant
+  );
+
+  try {
+    const iflows = await models.Iflow.scope({ method: ['tenant', tenant.tenant_id] }).findAll({
+      where,
+      order: [['artifact_id', 'ASC']]
+    });
+    logger.info(`Reprocessing ${iflows.length} iFlow(s) of tenant ${tenant.tenant_name} from the artifact archive`, { packageId, iflowId });
+
+    const results = [];
+    for (const iflow of iflows) {
+      // A cancelled reprocessing stops between iFlows
+      if (await syncRunService.isCancelRequested(runContext)) {
+        break;
+      }
+
+      try {
+        results.push(await reprocessIflow(iflow, runContext));
+      } catch (error) {
+        logger.error(`Error reprocessing iFlow ${iflow.iflow_id}`, { error: error.message, stack: error.stack });
+        await syncRunService.recordError(runContext, {
+          phase: 'iflows',
+          packageId: iflow.package_id,
+          iflowId: iflow.iflow_id,
+          error
+        });
+        results.push({ iflowId: iflow.iflow_id, iflowName: iflow.iflow_name, packageId: iflow.package_id, status: 'error', error: error.message });
+      }
+    }
+
+    await syncRunService.finishSyncRun(runContext);
+
+    return {
+      runId: runContext.runId,
+      tenantId: tenant.tenant_id,
+      tenantName: tenant.tenant_name,
+      counts: runContext.counts,
+      changedCount: results.filter(result => result.status === 'changed').length,
+      iflows: results
+    };
+  } catch (error) {
+    logger.error('Error reprocessing archived iFlows', { tenantId: tenant.tenant_id, error: error.message });
+    await syncRunService.finishSyncRun(runContext, error);
+    throw error;
+  }
+};
+
+module.exports = {
+  reprocessArchivedIflows
+};
@@ -0,0 +1,114 @@
+// services/syncLockService.js - Cluster-wide sync locks backed by Postgres advisory locks
+const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
+
+// First key of every sync lock, so the locks cannot clash with advisory locks of other applications
+const SYNC_LOCK_NAMESPACE = 0x53594e43;
+
+// Lock key of runs that are not bound to a tenant
+const GLOBAL_LOCK_KEY = 'global';
+
+/**
+ * Error raised when a tenant already has a sync run in progress
+ */
+class SyncInProgressError extends Error {
+  constructor(tenantId, runId = null) {
+    super(`A sync run is already in progress for tenant ${tenantId}`);
+    this.name = this.constructor.name;
+    this.statusCode = 409;
+    this.tenantId = tenantId;
+    this.runId = runId;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Open a database connection outside the pool, with the settings of the pool connections
+ * Locks are held for a whole sync run, so they must not take connections the sync itself needs
+ * @returns {Promise<Object>} Database connection
+ */
+const openLockConnection = () => {
+  return sequelize.connectionManager.connect(sequelize.connectionManager.config);
+};
+
+/**
+ * Close a lock connection, logging instead of throwing if it is already broken
+ * Postgres drops the advisory locks of a session when its connection closes
+ * @param {Object} connection - Database connection from openLockConnection
+ * @param {string} key - Lock key, for logging
+ * @returns {Promise<void>}
+ */
+const closeLockConnection = async (connection, key) => {
+  try {
+    await sequelize.connectionManager.disconnect(connection);
+  } catch (error) {
+    logger.error('Error closing sync lock connection', { key, error: error.message });
+  }
+};
+
+/**
+ * Try to take the sync lock of a tenant without waiting
+ * The lock is a session-level advisory lock, so it is held on a dedicated connection outside the pool
+ * until it is released; Postgres drops it by itself if the process dies
+ * @param {string|null} tenantId - Tenant ID (null for runs not bound to a tenant)
+ * @returns {Promise<Object|null>} Lock handle, or null if another run holds the lock
+ */
+const acquireSyncLock = async (tenantId) => {
+  const key = tenantId || GLOBAL_LOCK_KEY;
+  const connection = await openLockConnection();
+  let locked = false;
+
+  try {
+    const result = await connection.query(
+      'SELECT pg_try_advisory_lock($1, hashtext($2)) AS locked',
+      [SYNC_LOCK_NAMESPACE, key]
+    );
+    locked = result.rows[0].locked === true;
+  } catch (error) {
+    logger.error('Error acquiring sync lock', { key, error: error.message });
+    throw error;
+  } finally {
+    // Only a connection that holds the lock is kept open
+    if (!locked) {
+      await closeLockConnection(connection, key);
+    }
+  }
+
+  if (!locked) {
+    return null;
+  }
+
+  logger.debug(`Acquired sync lock for ${key}`);
+  return { key, connection };
+};
+
+/**
+ * Release a sync lock and close its connection
+ * Releasing a lock twice is a no-op
+ * @param {Object|null} lock - Lock handle from acquireSyncLock
+ * @returns {Promise<void>}
+ */
+const releaseSyncLock = async (lock) => {
+  if (!lock || !lock.connection) {
+    return;
+  }
+
+  const { key, connection } = lock;
+  lock.connection = null;
+
+  try {
+    await connection.query('SELECT pg_advisory_unlock($1, hashtext($2))', [SYNC_LOCK_NAMESPACE, key]);
+    logger.debug(`Released sync lock for ${key}`);
+  } catch (error) {
+    // Closing the connection below drops the lock anyway
+    logger.error('Error releasing sync lock', { key, error: error.message });
+  } finally {
+    await closeLockConnection(connection, key);
+  }
+};
+
+module.exports = {
+  SyncInProgressError,
+  acquireSyncLock,
+  releaseSyncLock
+};
@@ -0,0 +1,169 @@
+// services/syncProgressService.js - Live progress of the sync runs of this process
+const EventEmitter = require('events');
+
+// Progress events by run ID; every open event stream listens on its run
+const progressEvents = new EventEmitter();
+progressEvents.setMaxListeners(0);
+
+// Progress snapshots of the runs active in this process, by run ID
+const activeRuns = new Map();
+
+/**
+ * Counters of the progress snapshot that can be advanced
+ */
+const PROGRESS_COUNTERS = ['packageTotal', 'packagesDone', 'iflowTotal', 'iflowsDone'];
+
+/**
+ * Get the tracked entry of a run context
+ * @param {Object|null} runContext - Run context from startSyncRun
+ * @returns {Object|undefined} Tracked entry (run context and progress snapshot)
+ */
+const getEntry = (runContext) => {
+  return runContext ? activeRuns.get(runContext.runId) : undefined;
+};
+
+/**
+ * Send an event to the listeners of a run
+ * @param {string} runId - Sync run ID
+ * @param {string} type - Event type (progress, warning, sync-error, finished)
+ * @param {Object} data - Event payload
+ */
+const emit = (runId, type, data) => {
+  progressEvents.emit(runId, { type, data: { runId, ...data, timestamp: new Date().toISOString() } });
+};
+
+/**
+ * Start tracking the progress of a run
+ * @param {Object} runContext - Run context from startSyncRun
+ */
+const trackRun = (runContext) => {
+  activeRuns.set(runContext.runId, {
+    runContext,
+    progress: {
+      tenantId: runContext.tenantId,
+      syncType: runContext.syncType,
+      phase: 'starting',
+      packageId: null,
+      iflowId: null,
+      packageTotal: 0,
+      packagesDone: 0,
+      iflowTotal: 0,
+      iflowsDone: 0
+    }
+  });
+};
+
+/**
+ * Get the current progress of a run active in this process
+ * @param {string} runId - Sync run ID
+ * @returns {Object|null} Progress snapshot with the run counts, or null if the run is not active here
+ */
+const getProgress = (runId) => {
+  const entry = activeRuns.get(runId);
+  if (!entry) {
+    return null;
+  }
+  return { ...entry.progress, counts: { ...entry.runContext.counts } };
+};
+
+/**
+ * Get the run context of a run active in this process
+ * @param {string} runId - Sync run ID
+ * @returns {Object|null} Run context, or null if the run is not active here
+ */
+const getActiveRunContext = (runId) => {
+  const entry = activeRuns.get(runId);
+  return entry ? entry.runContext : null;
+};
+
+/**
+ * Update the progress of a run and notify its listeners
+ * @param {Object|null} runContext - Run context from startSyncRun
+ * @param {Object} update - Progress fields to set (phase, packageId, iflowId, totals)
+ */
+const reportProgress = (runContext, update = {}) => {
+  const entry = getEntry(runContext);
+  if (!entry) {
+    return;
+  }
+  Object.assign(entry.progress, update);
+  emit(runContext.runId, 'progress', getProgress(runContext.runId));
+};
+
+/**
+ * Advance a progress counter of a run and notify its listeners
+ * @param {Object|null} runContext - Run context from startSyncRun
+ * @param {string} counter - Counter name (packageTotal, packagesDone, iflowTotal, iflowsDone)
+ * @param {number} amount - Amount to add
+ * @param {Object} update - Other progress fields to set (packageId, iflowId)
+ */
+const advanceProgress = (runContext, counter, amount = 1, update = {}) => {
+  const entry = getEntry(runContext);
+  if (!entry || !PROGRESS_COUNTERS.includes(counter)) {
+    return;
+  }
+  entry.progress[counter] += amount;
+  reportProgress(runContext, update);
+};
+
+/**
+ * Report a warning of a run to its listeners
+ * @param {Object|null} runContext - Run context from startSyncRun
+ * @param {string} message - Warning message
+ * @param {Object} details - Additional details (packageId, iflowId)
+ */
+const reportWarning = (runContext, message, details = {}) => {
+  if (!getEntry(runContext)) {
+    return;
+  }
+  emit(runContext.runId, 'warning', { message, ...details });
+};
+
+/**
+ * Report an error recorded for a run to its listeners
+ * @param {Object|null} runContext - Run context from startSyncRun
+ * @param {Object} details - Error details (phase, packageId, iflowId, message)
+ */
+const reportError = (runContext, details) => {
+  if (!getEntry(runContext)) {
+    return;
+  }
+  emit(runContext.runId, 'sync-error', details);
+};
+
+/**
+ * Stop tracking a run and send the final event to its listeners
+ * @param {Object|null} runContext - Run context from startSyncRun
+ * @param {string} status - Final run status
+ */
+const finishRun = (runContext, status) => {
+  if (!getEntry(runContext)) {
+    return;
+  }
+  const progress = getProgress(runContext.runId);
+  activeRuns.delete(runContext.runId);
+  emit(runContext.runId, 'finished', { ...progress, phase: 'finished', status });
+};
+
+/**
+ * Listen to the events of a run
+ * @param {string} runId - Sync run ID
+ * @param {Function} listener - Called with { type, data } for every event
+ * @returns {Function} Function that removes the listener
+ */
+const subscribe = (runId, listener) => {
+  progressEvents.on(runId, listener);
+  return () => progressEvents.off(runId, listener);
+};
+
+module.exports = {
+  trackRun,
+  getProgress,
+  getActiveRunContext,
+  reportProgress,
+  advanceProgress,
+  reportWarning,
+  reportError,
+  finishRun,
+  subscribe
+};
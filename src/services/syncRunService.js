@@ -0,0 +1,464 @@
+// services/syncRunService.js - Persistent tracking of sync runs
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const models = require('../models');
+const syncLockService = require('./syncLockService');
+const syncProgressService = require('./syncProgressService');
+
+// How often a running sync looks for a cancel request made on another server instance
+const CANCEL_CHECK_INTERVAL = 5000;
+
+// Run IDs are UUIDs; anything else cannot match a run
+const RUN_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Map of in-memory counter names to SyncRun columns
+ */
+const COUNT_COLUMNS = {
+  packages: 'packages_synced',
+  iflows: 'iflows_synced',
+  skipped: 'iflows_skipped',
+  adapters: 'adapters_synced',
+  security: 'security_synced',
+  artifacts: 'artifacts_synced',
+  versions: 'versions_archived',
+  packagesDeleted: 'packages_deleted',
+  iflowsDeleted: 'iflows_deleted',
+  errors: 'error_count'
+};
+
+/**
+ * Read the per-phase counts of a stored sync run
+ * @param {Object} run - SyncRun record
+ * @returns {Object} Counts by counter name, as in the run context
+ */
+const getRunCounts = (run) => {
+  const counts = {};
+  Object.keys(COUNT_COLUMNS).forEach(counter => {
+    counts[counter] = run[COUNT_COLUMNS[counter]];
+  });
+  return counts;
+};
+
+/**
+ * Mark runs of a tenant that are still in Running state as failed
+ * Only called while holding the tenant's sync lock, so no process is working on these runs
+ * @param {string|null} tenantId - Tenant ID
+ * @param {string} reason - Error message stored on the runs
+ * @returns {Promise<number>} Number of runs marked as failed
+ */
+const failStaleRuns = async (tenantId, reason) => {
+  const [count] = await models.SyncRun.update({
+    status: 'Failed',
+    finished_at: new Date(),
+    error_message: reason
+  }, {
+    where: { status: 'Running', tenant_id: tenantId }
+  });
+
+  if (count > 0) {
+    logger.warn(`Marked ${count} interrupted sync run(s) as failed`, { tenantId });
+  }
+
+  return count;
+};
+
+/**
+ * Start a new sync run and return its tracking context
+ * The run holds the tenant's sync lock until finishSyncRun, so runs of a tenant never overlap,
+ * not even across server instances
+ * @param {Object} options - Run options
+ * @param {string} options.trigger - What started the run (Cron, API, Initial, Import, Reprocess, Upload)
+ * @param {string} options.syncType - Type of sync (Full, Package, Iflow)
+ * @param {Object} options.scope - Optional scope of the run (package, iFlow)
+ * @param {boolean} options.fullRefresh - Re-download artifacts even if unchanged
+ * @param {string} options.tenantId - Tenant the run syncs (optional)
+ * @returns {Promise<Object>} Run context used by the sync service
+ * @throws {SyncInProgressError} If another run of the tenant is in progress
+ */
+const startSyncRun = async ({ trigger, syncType = 'Full', scope = null, fullRefresh = false, tenantId = null }) => {
+  const lock = await syncLockService.acquireSyncLock(tenantId);
+  if (!lock) {
+    const activeRun = await getActiveRun(tenantId);
+    logger.info('Sync run not started, another run of the tenant is in progress', {
+      trigger,
+      syncType,
+      tenantId,
+      activeRunId: activeRun ? activeRun.sync_run_id : null
+    });
+    throw new syncLockService.SyncInProgressError(tenantId, activeRun ? activeRun.sync_run_id : null);
+  }
+
+  try {
+    // Whoever left runs of this tenant running no longer holds the lock
+    await failStaleRuns(tenantId, 'Sync run interrupted before it finished');
+
+    const run = await models.SyncRun.create({
+      tenant_id: tenantId,
+      trigger,
+      sync_type: syncType,
+      scope,
+      full_refresh: fullRefresh,
+      status: 'Running',
+      started_at: new Date()
+    });
+
+    logger.info(`Started sync run ${run.sync_run_id}`, { trigger, syncType, scope, fullRefresh, tenantId });
+
+    const runContext = {
+      runId: run.sync_run_id,
+      tenantId,
+      trigger,
+      syncType,
+      scope,
+      fullRefresh,
+      startedAt: run.started_at,
+      lock,
+      // Deployed runtime artifacts by iFlow ID, loaded once per run by the sync service
+      runtimeArtifacts: null,
+      counts: {
+        packages: 0,
+        iflows: 0,
+        skipped: 0,
+        adapters: 0,
+        security: 0,
+        artifacts: 0,
+        versions: 0,
+        packagesDeleted: 0,
+        iflowsDeleted: 0,
+        errors: 0
+      },
+      // Set once a cancel request is seen; the sync stops between artifacts
+      cancelled: false,
+      cancelCheckedAt: 0
+    };
+
+    syncProgressService.trackRun(runContext);
+    return runContext;
+  } catch (error) {
+    logger.error('Error starting sync run', { error: error.message, trigger, syncType });
+    await syncLockService.releaseSyncLock(lock);
+    throw error;
+  }
+};
+
+/**
+ * Increment a phase counter on the run context
+ * @param {Object|null} runContext - Run context from startSyncRun
+ * @param {string} counter - Counter name (packages, iflows, skipped, adapters, security, artifacts, packagesDeleted, iflowsDeleted)
+ * @param {number} amount - Amount to add
+ */
+const incrementCount = (runContext, counter, amount = 1) => {
+  if (!runContext || !(counter in runContext.counts)) {
+    return;
+  }
+  runContext.counts[counter] += amount;
+};
+
+/**
+ * Record an error that occurred during a sync run
+ * @param {Object|null} runContext - Run context from startSyncRun
+ * @param {Object} details - Error details
+ * @param {string} details.phase - Phase in which the error occurred
+ * @param {string} details.packageId - Package ID (optional)
+ * @param {string} details.iflowId - iFlow ID (optional)
+ * @param {Error|string} details.error - Error or message
+ * @returns {Promise<void>}
+ */
+const recordError = async (runContext, { phase, packageId = null, iflowId = null, error }) => {
+  if (!runContext) {
+    return;
+  }
+
+  runContext.counts.errors++;
+
+  const errorMessage = error instanceof Error ? error.message : String(error);
+  syncProgressService.reportError(runContext, { phase, packageId, iflowId, message: errorMessage });
+
+  try {
+    await models.SyncRunError.create({
+      sync_run_id: runContext.runId,
+      phase,
+      package_id: packageId,
+      iflow_id: iflowId,
+      error_message: errorMessage,
+      error_details: error instanceof Error ? {
+        name: error.name,
+        status: error.response?.status || null
+      } : null
+    });
+  } catch (dbError) {
+    // Never let error bookkeeping break the sync itself
+    logger.error('Error recording sync run error', {
+      runId: runContext.runId,
+      error: dbError.message,
+      originalError: errorMessage
+    });
+  }
+};
+
+/**
+ * Finish a sync run, persist its counters and release its sync lock
+ * @param {Object|null} runContext - Run context from startSyncRun
+ * @param {Error} error - Fatal error if the run failed (optional)
+ * @returns {Promise<Object|null>} Updated SyncRun record
+ */
+const finishSyncRun = async (runContext, error = null) => {
+  if (!runContext) {
+    return null;
+  }
+
+  let status = 'Completed';
+  if (error) {
+    status = 'Failed';
+  } else if (runContext.cancelled) {
+    status = 'Cancelled';
+  } else if (runContext.counts.errors > 0) {
+    status = 'Partial';
+  }
+
+  const update = {
+    status,
+    finished_at: new Date(),
+    error_message: error ? error.message : null
+  };
+
+  Object.keys(COUNT_COLUMNS).forEach(counter => {
+    update[COUNT_COLUMNS[counter]] = runContext.counts[counter];
+  });
+
+  try {
+    const run = await models.SyncRun.findByPk(runContext.runId);
+    if (!run) {
+      logger.warn(`Sync run ${runContext.runId} not found while finishing`);
+      return null;
+    }
+
+    await run.update(update);
+
+    logger.info(`Finished sync run ${runContext.runId}`, { status, counts: runContext.counts });
+    return run;
+  } catch (dbError) {
+    logger.error('Error finishing sync run', { runId: runContext.runId, error: dbError.message });
+    return null;
+  } finally {
+    syncProgressService.finishRun(runContext, status);
+    await syncLockService.releaseSyncLock(runContext.lock);
+  }
+};
+
+/**
+ * Request the cancellation of a running sync run
+ * The run stops between artifacts; runs of other server instances see the request within a few seconds
+ * @param {string} runId - Sync run ID
+ * @returns {Promise<boolean>} False if the run is not running
+ */
+const requestCancel = async (runId) => {
+  try {
+    const [count] = await models.SyncRun.update(
+      { cancel_requested: true },
+      { where: { sync_run_id: runId, status: 'Running' } }
+    );
+
+    if (count === 0) {
+      return false;
+    }
+
+    const runContext = syncProgressService.getActiveRunContext(runId);
+    if (runContext) {
+      runContext.cancelled = true;
+    }
+
+    logger.info(`Cancellation of sync run ${runId} requested`);
+    return true;
+  } catch (error) {
+    logger.error('Error requesting sync run cancellation', { runId, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Check whether a run was asked to stop
+ * @param {Object|null} runContext - Run context from startSyncRun
+ * @returns {Promise<boolean>} True if the run should stop
+ */
+const isCancelRequested = async (runContext) => {
+  if (!runContext) {
+    return false;
+  }
+
+  if (runContext.cancelled) {
+    return true;
+  }
+
+  // The request may have been stored by another instance
+  if (Date.now() - runContext.cancelCheckedAt >= CANCEL_CHECK_INTERVAL) {
+    runContext.cancelCheckedAt = Date.now();
+    try {
+      const run = await models.SyncRun.findByPk(runContext.runId, { attributes: ['cancel_requested'] });
+      if (run && run.cancel_requested) {
+        logger.info(`Sync run ${runContext.runId} was cancelled from another instance`);
+        runContext.cancelled = true;
+      }
+    } catch (error) {
+      logger.warn('Could not check for sync run cancellation', { runId: runContext.runId, error: error.message });
+    }
+  }
+
+  return runContext.cancelled;
+};
+
+/**
+ * Mark runs left in Running state by a previous process as failed
+ * Runs whose tenant lock is held are still in progress on another server instance and are left alone
+ * @returns {Promise<number>} Number of runs marked as interrupted
+ */
+const markInterruptedRuns = async () => {
+  try {
+    const runningRuns = await models.SyncRun.findAll({
+      where: { status: 'Running' },
+      attributes: ['tenant_id']
+    });
+    const tenantIds = [...new Set(runningRuns.map(run => run.tenant_id))];
+
+    let count = 0;
+    for (const tenantId of tenantIds) {
+      const lock = await syncLockService.acquireSyncLock(tenantId);
+      if (!lock) {
+        logger.info('Sync run of tenant is still in progress on another instance', { tenantId });
+        continue;
+      }
+
+      try {
+        count += await failStaleRuns(tenantId, 'Sync run interrupted by server restart');
+      } finally {
+        await syncLockService.releaseSyncLock(lock);
+      }
+    }
+
+    return count;
+  } catch (error) {
+    logger.error('Error marking interrupted sync runs', { error: error.message });
+    return 0;
+  }
+};
+
+/**
+ * Find a sync run by ID
+ * @param {string} runId - Sync run ID
+ * @returns {Promise<Object|null>} SyncRun record, or null if the ID matches no run
+ */
+const findRun = async (runId) => {
+  if (!RUN_ID_PATTERN.test(runId || '')) {
+    return null;
+  }
+  return models.SyncRun.findByPk(runId);
+};
+
+/**
+ * Get the most recent sync run
+ * @param {Object} where - Optional filter conditions
+ * @returns {Promise<Object|null>} Latest SyncRun record
+ */
+const getLatestRun = async (where = {}) => {
+  return models.SyncRun.findOne({
+    where,
+    order: [['started_at', 'DESC']]
+  });
+};
+
+/**
+ * Get the currently running sync run, if any
+ * @param {string|null} tenantId - Restrict to runs of a tenant (optional)
+ * @returns {Promise<Object|null>} Running SyncRun record
+ */
+const getActiveRun = async (tenantId = null) => {
+  const where = { status: 'Running' };
+  if (tenantId) {
+    where.tenant_id = tenantId;
+  }
+  return getLatestRun(where);
+};
+
+/**
+ * Get the last successfully finished sync run
+ * @param {string|null} tenantId - Restrict to runs of a tenant (optional)
+ * @returns {Promise<Object|null>} Last finished SyncRun record
+ */
+const getLastFinishedRun = async (tenantId = null) => {
+  const where = { status: { [Op.in]: ['Completed', 'Partial'] } };
+  if (tenantId) {
+    where.tenant_id = tenantId;
+  }
+  return getLatestRun(where);
+};
+
+/**
+ * List sync runs with optional filtering
+ * @param {Object} filters - Filters (tenantId, status, trigger, limit, offset)
+ * @returns {Promise<Object>} Total count and runs
+ */
+const listRuns = async ({ tenantId, status, trigger, limit = 20, offset = 0 } = {}) => {
+  const where = {};
+
+  if (tenantId) {
+    where.tenant_id = tenantId;
+  }
+
+  if (status) {
+    where.status = status;
+  }
+
+  if (trigger) {
+    where.trigger = trigger;
+  }
+
+  const { count, rows } = await models.SyncRun.findAndCountAll({
+    where,
+    limit: parseInt(limit),
+    offset: parseInt(offset),
+    order: [['started_at', 'DESC']]
+  });
+
+  return { total: count, runs: rows };
+};
+
+/**
+ * Get the errors recorded for a sync run
+ * @param {string} runId - Sync run ID
+ * @param {Object} filters - Filters (phase, limit, offset)
+ * @returns {Promise<Object>} Total count and errors
+ */
+const getRunErrors = async (runId, { phase, limit = 100, offset = 0 } = {}) => {
+  const where = { sync_run_id: runId };
+
+  if (phase) {
+    where.phase = phase;
+  }
+
+  const { count, rows } = await models.SyncRunError.findAndCountAll({
+    where,
+    limit: parseInt(limit),
+    offset: parseInt(offset),
+    order: [['created_at', 'ASC']]
+  });
+
+  return { total: count, errors: rows };
+};
+
+module.exports = {
+  startSyncRun,
+  incrementCount,
+  recordError,
+  finishSyncRun,
+  requestCancel,
+  isCancelRequested,
+  getRunCounts,
+  markInterruptedRuns,
+  findRun,
+  getLatestRun,
+  getActiveRun,
+  getLastFinishedRun,
+  listRuns,
+  getRunErrors
+};
@@ -0,0 +1,473 @@
+// services/tenantService.js - Tenant lookup, registration and connection settings
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const secretCipher = require('../utils/secretCipher');
+const models = require('../models');
+const authService = require('./authService');
+const dataFetchService = require('./dataFetchService');
+
+// Name of the tenant configured through environment variables
+const DEFAULT_TENANT_NAME = 'SAP Integration Suite';
+
+// Name of the tenant that holds imported archives with no SAP connection
+const OFFLINE_TENANT_NAME = 'Offline';
+
+// Tenant IDs are UUIDs; anything else cannot match a tenant
+const TENANT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Error raised when a tenant does not exist or cannot be used for a request
+ */
+class TenantError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Find or create a tenant record
+ * @param {string} tenantName - Tenant name
+ * @param {string} tenantUrl - Tenant URL
+ * @param {Object} options - Additional tenant attributes used on creation
+ * @returns {Promise<Object>} Tenant record
+ */
+const findOrCreateTenant = async (tenantName, tenantUrl, options = {}) => {
+  try {
+    const [tenant, created] = await models.Tenant.findOrCreate({
+      where: { tenant_name: tenantName },
+      defaults: {
+        tenant_url: tenantUrl,
+        oauth_config: {
+          client_id: process.env.SAP_CLIENT_ID,
+          token_url: process.env.SAP_TOKEN_URL
+        },
+        ...options
+      }
+    });
+
+    if (created) {
+      logger.info(`Created new tenant: ${tenantName}`);
+    }
+
+    return tenant;
+  } catch (error) {
+    logger.error('Error finding or creating tenant', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Get the tenant configured through environment variables, creating it if needed
+ * @returns {Promise<Object>} Default tenant record
+ */
+const getDefaultTenant = async () => {
+  // The default tenant may have been renamed through the tenant API
+  const flaggedTenant = await models.Tenant.findOne({ where: { is_default: true } });
+  if (flaggedTenant) {
+    return flaggedTenant;
+  }
+
+  const tenant = await findOrCreateTenant(DEFAULT_TENANT_NAME, process.env.SAP_API_BASE_URL, { is_default: true });
+
+  // Tenants created before multi-tenant support are not flagged yet
+  if (!tenant.is_default) {
+    await tenant.update({ is_default: true });
+  }
+
+  return tenant;
+};
+
+/**
+ * Find a tenant by ID
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<Object|null>} Tenant record, or null if the ID matches no tenant
+ */
+const findTenant = async (tenantId) => {
+  if (!TENANT_ID_PATTERN.test(tenantId || '')) {
+    return null;
+  }
+  return models.Tenant.findByPk(tenantId);
+};
+
+/**
+ * Get a tenant by ID
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<Object>} Tenant record
+ * @throws {TenantError} With status 404 if the tenant does not exist
+ */
+const getTenant = async (tenantId) => {
+  const tenant = await findTenant(tenantId);
+  if (!tenant) {
+    throw new TenantError(`Tenant ${tenantId} not found`, 404);
+  }
+  return tenant;
+};
+
+/**
+ * Resolve the tenant a sync or request applies to
+ * Without a tenant ID the environment tenant is used, or the only active tenant
+ * @param {string|null} tenantId - Tenant ID (optional)
+ * @returns {Promise<Object>} Tenant record
+ * @throws {TenantError} With status 404 if the tenant does not exist, 400 if it is retired or none can be chosen
+ */
+const resolveTenant = async (tenantId = null) => {
+  if (tenantId) {
+    const tenant = await getTenant(tenantId);
+    if (!tenant.is_active) {
+      throw new TenantError(`Tenant ${tenant.tenant_name} is retired`);
+    }
+    return tenant;
+  }
+
+  if (process.env.SAP_API_BASE_URL) {
+    return getDefaultTenant();
+  }
+
+  const tenants = await models.Tenant.findAll({ where: { is_active: true, is_offline: false }, limit: 2 });
+  if (tenants.length === 1) {
+    return tenants[0];
+  }
+
+  throw new TenantError('No tenant specified and no default tenant configured');
+};
+
+/**
+ * Resolve the tenant a sync applies to, rejecting tenants without an SAP connection
+ * @param {string|null} tenantId - Tenant ID (optional)
+ * @returns {Promise<Object>} Tenant record
+ * @throws {TenantError} As resolveTenant, or with status 400 for an offline tenant
+ */
+const resolveSyncTenant = async (tenantId = null) => {
+  const tenant = await resolveTenant(tenantId);
+  if (tenant.is_offline) {
+    throw new TenantError(`Tenant ${tenant.tenant_name} is an offline tenant and cannot be synced`);
+  }
+  return tenant;
+};
+
+/**
+ * Get the offline tenant imported archives are stored in, creating it if needed
+ * @param {string} tenantName - Tenant name (defaults to OFFLINE_TENANT_NAME)
+ * @returns {Promise<Object>} Offline tenant record
+ * @throws {TenantError} If the tenant is connected to SAP or retired
+ */
+const getOfflineTenant = async (tenantName = OFFLINE_TENANT_NAME) => {
+  const tenant = await findOrCreateTenant(tenantName, 'offline', { oauth_config: null, is_offline: true });
+
+  // Imports must never mix with content synced from SAP
+  if (!tenant.is_offline) {
+    throw new TenantError(`Tenant ${tenantName} is connected to SAP and cannot hold imported archives`);
+  }
+  if (!tenant.is_active) {
+    throw new TenantError(`Tenant ${tenantName} is retired`);
+  }
+
+  return tenant;
+};
+
+/**
+ * List tenants
+ * @param {Object} options - List options
+ * @param {boolean} options.includeRetired - Also return retired tenants
+ * @returns {Promise<Array>} Tenant records
+ */
+const listTenants = async ({ includeRetired = false } = {}) => {
+  return models.Tenant.findAll({
+    where: includeRetired ? {} : { is_active: true },
+    order: [['tenant_name', 'ASC']]
+  });
+};
+
+/**
+ * Validate tenant settings received from the API
+ * @param {Object} settings - Tenant settings (name, url, tokenUrl, clientId, clientSecret, syncSchedule)
+ * @param {boolean} isUpdate - Whether the settings update an existing tenant (all fields optional)
+ * @returns {Array<string>} Validation errors (empty if the settings are valid)
+ */
+const validateTenantSettings = (settings, isUpdate = false) => {
+  const errors = [];
+  const requiredFields = ['name', 'url', 'tokenUrl', 'clientId', 'clientSecret'];
+
+  requiredFields.forEach(field => {
+    const value = settings[field];
+    if ((!isUpdate && !value) || (isUpdate && value !== undefined && !value)) {
+      errors.push(`${field} is required`);
+    }
+  });
+
+  ['url', 'tokenUrl'].forEach(field => {
+    if (settings[field]) {
+      try {
+        new URL(settings[field]);
+      } catch (error) {
+        errors.push(`${field} is not a valid URL: ${settings[field]}`);
+      }
+    }
+  });
+
+  if (settings.syncSchedule && !cron.validate(settings.syncSchedule)) {
+    errors.push(`syncSchedule is not a valid cron expression: ${settings.syncSchedule}`);
+  }
+
+  return errors;
+};
+
+/**
+ * Map tenant settings received from the API to tenant attributes
+ * @param {Object} settings - Tenant settings
+ * @param {Object|null} tenant - Existing tenant record (optional)
+ * @returns {Object} Tenant attributes
+ */
+const getTenantAttributes = (settings, tenant = null) => {
+  const attributes = {};
+
+  if (settings.name !== undefined) {
+    attributes.tenant_name = settings.name;
+  }
+  if (settings.url !== undefined) {
+    attributes.tenant_url = settings.url;
+  }
+  if (settings.syncSchedule !== undefined) {
+    attributes.sync_schedule = settings.syncSchedule || null;
+  }
+  if (settings.isActive !== undefined) {
+    attributes.is_active = settings.isActive === true || settings.isActive === 'true';
+  }
+
+  // Client secrets are only stored encrypted
+  const oauthSettings = {
+    token_url: settings.tokenUrl,
+    client_id: settings.clientId,
+    client_secret: settings.clientSecret !== undefined ? secretCipher.encryptSecret(settings.clientSecret) : undefined
+  };
+  const changedOauthSettings = Object.keys(oauthSettings).filter(key => oauthSettings[key] !== undefined);
+
+  if (changedOauthSettings.length > 0) {
+    // Settings that are not sent keep their stored value, so the secret does not have to be resent
+    attributes.oauth_config = { ...(tenant ? tenant.oauth_config : {}) };
+    changedOauthSettings.forEach(key => {
+      attributes.oauth_config[key] = oauthSettings[key];
+    });
+  }
+
+  return attributes;
+};
+
+/**
+ * Drop the cached token and circuit breaker state of a tenant after its settings changed
+ * @param {Object} tenant - Tenant record
+ */
+const resetTenantAuthentication = (tenant) => {
+  const connection = getTenantConnection(tenant);
+  authService.clearTokenCache(connection);
+  authService.resetCircuitBreaker(connection);
+};
+
+/**
+ * Register a new tenant
+ * @param {Object} settings - Tenant settings (name, url, tokenUrl, clientId, clientSecret, syncSchedule)
+ * @returns {Promise<Object>} Created tenant record
+ */
+const createTenant = async (settings) => {
+  try {
+    const tenant = await models.Tenant.create(getTenantAttributes(settings));
+    logger.info(`Registered tenant: ${tenant.tenant_name}`);
+    return tenant;
+  } catch (error) {
+    logger.error('Error registering tenant', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Update the settings of a tenant
+ * @param {Object} tenant - Tenant record
+ * @param {Object} settings - Changed tenant settings
+ * @returns {Promise<Object>} Updated tenant record
+ */
+const updateTenant = async (tenant, settings) => {
+  try {
+    await tenant.update(getTenantAttributes(settings, tenant));
+    resetTenantAuthentication(tenant);
+    logger.info(`Updated tenant: ${tenant.tenant_name}`);
+    return tenant;
+  } catch (error) {
+    logger.error(`Error updating tenant ${tenant.tenant_id}`, { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Retire a tenant
+ * Its synced data and sync history are kept, but it is no longer synced
+ * @param {Object} tenant - Tenant record
+ * @returns {Promise<Object>} Retired tenant record
+ */
+const retireTenant = async (tenant) => {
+  try {
+    await tenant.update({ is_active: false });
+    resetTenantAuthentication(tenant);
+    logger.info(`Retired tenant: ${tenant.tenant_name}`);
+    return tenant;
+  } catch (error) {
+    logger.error(`Error retiring tenant ${tenant.tenant_id}`, { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Describe a failed connection test step
+ * @param {Error} error - Error of the step
+ * @returns {Object} Error message, HTTP status and response body if available
+ */
+const describeConnectionError = (error) => {
+  return {
+    message: error.message,
+    code: error.code || null,
+    status: error.response?.status || null,
+    details: error.response?.data || null
+  };
+};
+
+/**
+ * Test the connection to a tenant by getting an OAuth token and reading one integration package
+ * @param {Object} tenant - Tenant record
+ * @returns {Promise<Object>} Test result with the outcome of each step
+ */
+const testTenantConnection = async (tenant) => {
+  const connection = getTenantConnection(tenant);
+  const result = {
+    success: false,
+    tenantId: tenant.tenant_id,
+    steps: {
+      token: { success: false },
+      api: { success: false }
+    }
+  };
+
+  // Always request a fresh token and ignore earlier failures, so the test reflects the current settings
+  resetTenantAuthentication(tenant);
+
+  let startedAt = Date.now();
+  try {
+    await authService.getOAuthToken(connection);
+    result.steps.token = { success: true, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    result.steps.token = { success: false, durationMs: Date.now() - startedAt, error: describeConnectionError(error) };
+    result.steps.api = { success: false, skipped: true };
+    logger.warn(`Connection test failed for tenant ${tenant.tenant_name} while getting a token`, { error: error.message });
+    return result;
+  }
+
+  startedAt = Date.now();
+  try {
+    const packages = await dataFetchService.fetchIntegrationPackageSample(connection);
+    result.steps.api = { success: true, durationMs: Date.now() - startedAt, packagesFound: packages.length };
+    result.success = true;
+  } catch (error) {
+    result.steps.api = { success: false, durationMs: Date.now() - startedAt, error: describeConnectionError(error) };
+    logger.warn(`Connection test failed for tenant ${tenant.tenant_name} while calling the API`, { error: error.message });
+  }
+
+  return result;
+};
+
+/**
+ * Build the API representation of a tenant without its client secret
+ * @param {Object} tenant - Tenant record
+ * @returns {Object} Tenant data safe to return to clients
+ */
+const toTenantResponse = (tenant) => {
+  const data = tenant.toJSON();
+  const { client_secret: clientSecret, ...oauthConfig } = data.oauth_config || {};
+
+  return {
+    ...data,
+    oauth_config: {
+      ...oauthConfig,
+      has_client_secret: !!clientSecret
+    }
+  };
+};
+
+/**
+ * Build the connection settings used to call the API of a tenant
+ * The default tenant falls back to environment variables for missing settings
+ * @param {Object} tenant - Tenant record
+ * @returns {Object} Connection settings (key, name, baseUrl, tokenUrl, clientId, clientSecret)
+ */
+const getTenantConnection = (tenant) => {
+  const oauthConfig = tenant.oauth_config || {};
+  const fallback = tenant.is_default ? authService.getDefaultConnection() : {};
+
+  return {
+    key: tenant.tenant_id,
+    name: tenant.tenant_name,
+    baseUrl: tenant.tenant_url || fallback.baseUrl,
+    tokenUrl: oauthConfig.token_url || fallback.tokenUrl,
+    clientId: oauthConfig.client_id || fallback.clientId,
+    clientSecret: oauthConfig.client_secret ? secretCipher.decryptSecret(oauthConfig.client_secret) : fallback.clientSecret
+  };
+};
+
+/**
+ * Re-encrypt the client secrets of all tenants with the current master key
+ * Secrets stored in plain text or with a previous key are rewritten; run after changing SECRET_ENCRYPTION_KEY
+ * while the old key is still listed in SECRET_ENCRYPTION_PREVIOUS_KEYS
+ * @returns {Promise<Object>} Number of tenants checked, re-encrypted and failed
+ */
+const rotateTenantSecrets = async () => {
+  const result = { checked: 0, rotated: 0, failed: 0 };
+  const tenants = await models.Tenant.findAll();
+
+  for (const tenant of tenants) {
+    const oauthConfig = tenant.oauth_config || {};
+    if (!oauthConfig.client_secret) {
+      continue;
+    }
+
+    result.checked++;
+    if (secretCipher.isEncryptedWithCurrentKey(oauthConfig.client_secret)) {
+      continue;
+    }
+
+    try {
+      const clientSecret = secretCipher.decryptSecret(oauthConfig.client_secret);
+      await tenant.update({
+        oauth_config: { ...oauthConfig, client_secret: secretCipher.encryptSecret(clientSecret) }
+      });
+      result.rotated++;
+    } catch (error) {
+      result.failed++;
+      logger.error(`Error re-encrypting the client secret of tenant ${tenant.tenant_name}`, { error: error.message });
+    }
+  }
+
+  logger.info('Tenant secret rotation completed', result);
+  return result;
+};
+
+module.exports = {
+  DEFAULT_TENANT_NAME,
+  OFFLINE_TENANT_NAME,
+  TenantError,
+  findOrCreateTenant,
+  getDefaultTenant,
+  findTenant,
+  getTenant,
+  resolveTenant,
+  resolveSyncTenant,
+  getOfflineTenant,
+  listTenants,
+  validateTenantSettings,
+  createTenant,
+  updateTenant,
+  retireTenant,
+  testTenantConnection,
+  toTenantResponse,
+  getTenantConnection,
+  rotateTenantSecrets
+};
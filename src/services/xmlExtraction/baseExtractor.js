@@ -2,8 +2,23 @@
 const logger = require('../../utils/logger');
 const xml2js = require('xml2js');
 const AdmZip = require('adm-zip');
+const crypto = require('crypto');
 const fs = require('fs');
 
+// Folder of an iFlow bundle that holds its Groovy and JavaScript resources
+const SCRIPT_FOLDER = 'src/main/resources/script/';
+
+// Files of an iFlow bundle that hold the values and definitions of its externalized parameters
+const PARAMETER_VALUES_FILE = 'src/main/resources/parameters.prop';
+const PARAMETER_DEFINITIONS_FILE = 'src/main/resources/parameters.propdef';
+
+// Script languages by file extension
+const SCRIPT_LANGUAGES = {
+  '.groovy': 'groovy',
+  '.gsh': 'groovy',
+  '.js': 'javascript'
+};
+
 /**
  * Base XML extractor with common functionality
  */
@@ -37,18 +52,36 @@ class BaseXmlExtractor {
   }
 
   /**
-   * Extract and parse XML from a ZIP file containing an iFlow
+   * Extract and parse XML from a ZIP file containing an iFlow,
+   * keeping the ZIP and its .iflw in the housekeeping directory for debugging
    * @param {Buffer} zipBuffer - ZIP file buffer
    * @param {string} flowId - Flow ID for logging and debugging
    * @returns {Promise<Object|null>} Parsed XML object or null on failure
    */
   async extractXmlFromZip(zipBuffer, flowId) {
     try {
-      logger.debug('Starting ZIP processing', { flowId, bufferSize: zipBuffer.length });
-
       const zipPath = `${this.housekeepingDir}/${flowId}.zip`;
       fs.writeFileSync(zipPath, zipBuffer);
       logger.debug('Saved ZIP file', { flowId, path: zipPath });
+    } catch (error) {
+      logger.error('Error saving ZIP file', { flowId, error: error.message });
+      return null;
+    }
+
+    return this.readXmlFromZip(zipBuffer, flowId, { saveXml: true });
+  }
+
+  /**
+   * Parse the XML of a ZIP file containing an iFlow without touching the housekeeping directory
+   * @param {Buffer} zipBuffer - ZIP file buffer
+   * @param {string} flowId - Flow ID for logging and debugging
+   * @param {Object} options - Read options
+   * @param {boolean} options.saveXml - Keep the .iflw in the housekeeping directory (default false)
+   * @returns {Promise<Object|null>} Parsed XML object or null on failure
+   */
+  async readXmlFromZip(zipBuffer, flowId, { saveXml = false } = {}) {
+    try {
+      logger.debug('Starting ZIP processing', { flowId, bufferSize: zipBuffer.length });
 
       // Extract ZIP contents
       let zip;
@@ -83,9 +116,11 @@ class BaseXmlExtractor {
       }
       
       // Save XML for debugging
-      const xmlPath = `${this.housekeepingDir}/${flowId}.iflw`;
-      fs.writeFileSync(xmlPath, xmlContent);
-      logger.debug('Saved iFlow XML', { flowId, path: xmlPath, xmlSize: xmlContent.length });
+      if (saveXml) {
+        const xmlPath = `${this.housekeepingDir}/${flowId}.iflw`;
+        fs.writeFileSync(xmlPath, xmlContent);
+        logger.debug('Saved iFlow XML', { flowId, path: xmlPath, xmlSize: xmlContent.length });
+      }
       
       // Parse XML
       let parsedXml;
@@ -116,6 +151,166 @@ class BaseXmlExtractor {
     }
   }
 
+  /**
+   * Read the Groovy and JavaScript files of an iFlow ZIP
+   * @param {Buffer} zipBuffer - ZIP file buffer
+   * @param {string} flowId - Flow ID for logging
+   * @returns {Array} Scripts (name, path below the script folder, language, content)
+   */
+  extractScriptsFromZip(zipBuffer, flowId) {
+    try {
+      const zip = new AdmZip(zipBuffer);
+      const scripts = zip.getEntries()
+        .filter(entry => !entry.isDirectory && entry.entryName.includes(SCRIPT_FOLDER))
+        .map(entry => {
+          const scriptPath = entry.entryName.slice(entry.entryName.indexOf(SCRIPT_FOLDER) + SCRIPT_FOLDER.length);
+          const extension = scriptPath.slice(scriptPath.lastIndexOf('.')).toLowerCase();
+          return {
+            name: scriptPath.split('/').pop(),
+            path: scriptPath,
+            language: SCRIPT_LANGUAGES[extension],
+            content: zip.readAsText(entry)
+          };
+        })
+        .filter(script => script.language);
+
+      logger.debug('Extracted scripts from ZIP', { flowId, scripts: scripts.map(script => script.path) });
+      return scripts;
+    } catch (error) {
+      logger.error('Error extracting scripts from ZIP', { flowId, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Hash the files of an iFlow ZIP; unlike a hash of the ZIP itself, this ignores
+   * file timestamps and compression, which differ on every download of the same content
+   * @param {Buffer} zipBuffer - ZIP file buffer
+   * @param {string} flowId - Flow ID for logging
+   * @returns {string} SHA-256 hash of the file names and contents
+   */
+  getZipContentHash(zipBuffer, flowId) {
+    const hash = crypto.createHash('sha256');
+
+    try {
+      new AdmZip(zipBuffer).getEntries()
+        .filter(entry => !entry.isDirectory)
+        .sort((first, second) => first.entryName.localeCompare(second.entryName))
+        .forEach(entry => {
+          hash.update(entry.entryName).update('\0').update(entry.getData()).update('\0');
+        });
+    } catch (error) {
+      logger.warn('Failed to read ZIP entries, hashing the whole ZIP', { flowId, error: error.message });
+      return crypto.createHash('sha256').update(zipBuffer).digest('hex');
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Read the externalized parameter files of an iFlow ZIP
+   * @param {Buffer} zipBuffer - ZIP file buffer
+   * @param {string} flowId - Flow ID for logging
+   * @returns {Promise<Object>} Parameter values by name and the parsed parameter definitions (null if missing)
+   */
+  async extractParameterFilesFromZip(zipBuffer, flowId) {
+    const parameterFiles = { values: {}, definitions: null };
+
+    try {
+      const zip = new AdmZip(zipBuffer);
+      const findEntry = (fileName) => zip.getEntries().find(entry => entry.entryName.endsWith(fileName));
+
+      const valuesEntry = findEntry(PARAMETER_VALUES_FILE);
+      if (valuesEntry) {
+        parameterFiles.values = this.parseProperties(zip.readAsText(valuesEntry));
+      }
+
+      const definitionsEntry = findEntry(PARAMETER_DEFINITIONS_FILE);
+      if (definitionsEntry) {
+        parameterFiles.definitions = await this.parseXml(zip.readAsText(definitionsEntry));
+      }
+
+      logger.debug('Extracted parameter files from ZIP', {
+        flowId,
+        valueCount: Object.keys(parameterFiles.values).length,
+        hasDefinitions: !!parameterFiles.definitions
+      });
+    } catch (error) {
+      logger.error('Error extracting parameter files from ZIP', { flowId, error: error.message });
+    }
+
+    return parameterFiles;
+  }
+
+  /**
+   * Parse a Java properties file
+   * @param {string} content - Properties file content
+   * @returns {Object} Values by key
+   */
+  parseProperties(content) {
+    const properties = {};
+    const unescape = (value) => value.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, escaped) => {
+      if (escaped.length === 5) {
+        return String.fromCharCode(parseInt(escaped.slice(1), 16));
+      }
+      return { t: '\t', n: '\n', r: '\r', f: '\f' }[escaped] || escaped;
+    });
+
+    // Lines ending in an odd number of backslashes continue on the next line
+    const lines = [];
+    content.split(/\r?\n/).forEach(line => {
+      const previous = lines.length > 0 ? lines[lines.length - 1] : null;
+      if (previous !== null && /(^|[^\\])(\\\\)*\\$/.test(previous)) {
+        lines[lines.length - 1] = previous.slice(0, -1) + line.trimStart();
+      } else {
+        lines.push(line);
+      }
+    });
+
+    lines.forEach(rawLine => {
+      const line = rawLine.trimStart();
+      if (!line || line.startsWith('#') || line.startsWith('!')) {
+        return;
+      }
+
+      // The key ends at the first unescaped '=', ':' or whitespace
+      const separator = /^((?:\\.|[^\\=:\s])*)\s*[=:\s]\s*/.exec(line);
+      if (!separator) {
+        properties[unescape(line)] = '';
+        return;
+      }
+      properties[unescape(separator[1])] = unescape(line.slice(separator[0].length));
+    });
+
+    return properties;
+  }
+
+  /**
+   * Get the value of an XML attribute (parsed with namespaces, attributes are objects)
+   * @param {Object|string} attribute - Parsed attribute
+   * @returns {string} Attribute value or empty string
+   */
+  getAttributeValue(attribute) {
+    if (attribute && typeof attribute === 'object') {
+      return attribute.value || '';
+    }
+    return attribute || '';
+  }
+
+  /**
+   * Get the integration and local processes from parsed XML
+   * @param {Object} parsedXml - Parsed XML object
+   * @returns {Array} Array of processes
+   */
+  getProcesses(parsedXml) {
+    if (!parsedXml || !parsedXml['bpmn2:definitions']) {
+      return [];
+    }
+
+    const processes = parsedXml['bpmn2:definitions']['bpmn2:process'] || [];
+    return Array.isArray(processes) ? processes : [processes];
+  }
+
   /**
    * Get property value by key from properties array
    * @param {Array} propertyArray - Array of properties
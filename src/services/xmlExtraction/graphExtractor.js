@@ -0,0 +1,181 @@
+// services/xmlExtraction/graphExtractor.js
+const BaseXmlExtractor = require('./baseExtractor');
+const logger = require('../../utils/logger');
+
+// Child elements of a process that are no steps of the graph
+const NON_NODE_ELEMENTS = [
+  'bpmn2:extensionElements',
+  'bpmn2:sequenceFlow',
+  'bpmn2:incoming',
+  'bpmn2:outgoing',
+  'bpmn2:documentation',
+  'bpmn2:laneSet',
+  'bpmn2:textAnnotation',
+  'bpmn2:association'
+];
+
+/**
+ * Step graph extraction from iFlow XML: participants, processes and steps as nodes,
+ * sequence flows, message flows and process calls as edges
+ */
+class GraphExtractor extends BaseXmlExtractor {
+  /**
+   * Extract the step graph of an iFlow
+   * @param {Object} parsedXml - Parsed XML object
+   * @param {string} flowId - Flow ID for logging
+   * @returns {Object} Graph nodes and edges
+   */
+  extractGraph(parsedXml, flowId) {
+    const graph = { nodes: [], edges: [] };
+
+    try {
+      if (!parsedXml || !parsedXml['bpmn2:definitions']) {
+        logger.warn('Invalid or missing parsed XML', { flowId });
+        return graph;
+      }
+
+      // Pools of integration processes stand for their process
+      const processByParticipant = new Map();
+      const collaboration = parsedXml['bpmn2:definitions']['bpmn2:collaboration'] || {};
+      this.toArray(collaboration['bpmn2:participant']).forEach(participant => {
+        const participantId = this.getAttributeValue(participant.id);
+        const processRef = this.getAttributeValue(participant.processRef);
+        if (processRef) {
+          processByParticipant.set(participantId, processRef);
+          return;
+        }
+        graph.nodes.push({
+          element_id: participantId,
+          element_type: 'participant',
+          name: this.getAttributeValue(participant.name) || null,
+          activity_type: this.getAttributeValue(participant['ifl:type']) || null,
+          parent_id: null,
+          properties: this.getPropertyMap(participant)
+        });
+      });
+
+      const integrationProcesses = new Set(processByParticipant.values());
+      this.getProcesses(parsedXml).forEach(process => {
+        const processId = this.getAttributeValue(process.id);
+        graph.nodes.push({
+          element_id: processId,
+          element_type: 'process',
+          name: this.getAttributeValue(process.name) || null,
+          activity_type: integrationProcesses.has(processId) ? 'Integration Process' : 'Local Integration Process',
+          parent_id: null,
+          properties: this.getPropertyMap(process)
+        });
+        this.collectProcessElements(process, processId, graph);
+      });
+
+      this.getMessageFlows(parsedXml).forEach(messageFlow => {
+        const properties = this.getPropertyMap(messageFlow);
+        const sourceId = this.getAttributeValue(messageFlow.sourceRef);
+        const targetId = this.getAttributeValue(messageFlow.targetRef);
+        graph.edges.push({
+          element_id: this.getAttributeValue(messageFlow.id),
+          edge_type: 'message',
+          source_id: processByParticipant.get(sourceId) || sourceId,
+          target_id: processByParticipant.get(targetId) || targetId,
+          name: properties.Name || this.getAttributeValue(messageFlow.name) || null,
+          condition: null
+        });
+      });
+
+      logger.debug('Extracted step graph', {
+        flowId,
+        nodeCount: graph.nodes.length,
+        edgeCount: graph.edges.length
+      });
+    } catch (error) {
+      logger.error('Error extracting step graph from XML', {
+        flowId,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+
+    return graph;
+  }
+
+  /**
+   * Collect the steps and sequence flows of a process or sub-process
+   * @param {Object} container - Process or sub-process object
+   * @param {string} parentId - ID of the process or sub-process
+   * @param {Object} graph - Graph the nodes and edges are added to
+   */
+  collectProcessElements(container, parentId, graph) {
+    Object.keys(container)
+      .filter(key => key.startsWith('bpmn2:') && !NON_NODE_ELEMENTS.includes(key))
+      .forEach(key => {
+        this.toArray(container[key])
+          .filter(element => element && typeof element === 'object')
+          .forEach(element => {
+            const elementId = this.getAttributeValue(element.id);
+            const properties = this.getPropertyMap(element);
+            graph.nodes.push({
+              element_id: elementId,
+              element_type: key.replace('bpmn2:', ''),
+              name: this.getAttributeValue(element.name) || null,
+              activity_type: properties.activityType || null,
+              parent_id: parentId,
+              properties
+            });
+
+            // Process calls link a step to the local integration process it runs
+            if (properties.processId) {
+              graph.edges.push({
+                element_id: `${elementId}_call`,
+                edge_type: 'process-call',
+                source_id: elementId,
+                target_id: properties.processId,
+                name: null,
+                condition: null
+              });
+            }
+
+            if (key === 'bpmn2:subProcess') {
+              this.collectProcessElements(element, elementId, graph);
+            }
+          });
+      });
+
+    this.toArray(container['bpmn2:sequenceFlow']).forEach(sequenceFlow => {
+      const condition = sequenceFlow['bpmn2:conditionExpression'];
+      graph.edges.push({
+        element_id: this.getAttributeValue(sequenceFlow.id),
+        edge_type: 'sequence',
+        source_id: this.getAttributeValue(sequenceFlow.sourceRef),
+        target_id: this.getAttributeValue(sequenceFlow.targetRef),
+        name: this.getAttributeValue(sequenceFlow.name) || null,
+        condition: (condition && typeof condition === 'object' ? condition._ : condition) || null
+      });
+    });
+  }
+
+  /**
+   * Get the ifl:property entries of a BPMN element as an object
+   * @param {Object} element - BPMN element
+   * @returns {Object} Property values by key
+   */
+  getPropertyMap(element) {
+    const properties = {};
+    this.toArray(element['bpmn2:extensionElements']?.['ifl:property']).forEach(property => {
+      if (property.key && property.key._) {
+        properties[property.key._] = property.value?._ || '';
+      }
+    });
+    return properties;
+  }
+
+  /**
+   * Wrap a single parsed element in an array
+   * @param {*} value - Parsed element, array of elements or nothing
+   * @returns {Array} Elements
+   */
+  toArray(value) {
+    return Array.isArray(value) ? value : [value].filter(Boolean);
+  }
+}
+
+module.exports = GraphExtractor;
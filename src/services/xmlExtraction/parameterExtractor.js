@@ -0,0 +1,151 @@
+// services/xmlExtraction/parameterExtractor.js
+const BaseXmlExtractor = require('./baseExtractor');
+const logger = require('../../utils/logger');
+
+// Externalized parameter reference in a property value ({{Name}})
+const PARAMETER_REFERENCE = /\{\{([^{}]+?)\}\}/g;
+
+// Child elements of a process that are no steps
+const NON_STEP_ELEMENTS = ['bpmn2:extensionElements', 'bpmn2:sequenceFlow', 'bpmn2:incoming', 'bpmn2:outgoing'];
+
+/**
+ * Externalized parameter extraction from iFlow XML and the parameter files of its ZIP
+ */
+class ParameterExtractor extends BaseXmlExtractor {
+  /**
+   * Extract the externalized parameters of an iFlow with the adapters and steps that use them
+   * @param {Object} parsedXml - Parsed XML object
+   * @param {Object} parameterFiles - Parameter values and definitions from extractParameterFilesFromZip
+   * @param {string} flowId - Flow ID for logging
+   * @returns {Array} Parameters (name, type, default value, required flag, description, usages)
+   */
+  extractParameters(parsedXml, parameterFiles, flowId) {
+    try {
+      const parameters = new Map();
+      const getParameter = (name) => {
+        if (!parameters.has(name)) {
+          parameters.set(name, { name, type: null, default_value: null, required: null, description: null, usages: [] });
+        }
+        return parameters.get(name);
+      };
+
+      this.getParameterDefinitions(parameterFiles.definitions).forEach(definition => {
+        Object.assign(getParameter(definition.name), {
+          type: definition.type,
+          required: definition.required,
+          description: definition.description
+        });
+      });
+
+      Object.entries(parameterFiles.values || {}).forEach(([name, value]) => {
+        getParameter(name).default_value = value;
+      });
+
+      this.findParameterUsages(parsedXml).forEach(({ parameterName, ...usage }) => {
+        getParameter(parameterName).usages.push(usage);
+      });
+
+      logger.debug('Extracted externalized parameters', {
+        flowId,
+        parameterCount: parameters.size,
+        parameterNames: [...parameters.keys()]
+      });
+
+      return [...parameters.values()];
+    } catch (error) {
+      logger.error('Error extracting externalized parameters', {
+        flowId,
+        error: error.message,
+        stack: error.stack
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Read the parameter definitions of a parsed parameters.propdef file
+   * @param {Object|null} definitions - Parsed parameters.propdef
+   * @returns {Array} Definitions (name, type, required flag, description)
+   */
+  getParameterDefinitions(definitions) {
+    const toArray = (value) => (Array.isArray(value) ? value : [value].filter(Boolean));
+    const getText = (element) => (element && typeof element === 'object' ? element._ : element) || null;
+
+    return toArray(definitions?.parameters?.parameter)
+      .map(parameter => ({
+        name: getText(parameter.key) || getText(parameter.name),
+        type: getText(parameter.type),
+        required: getText(parameter.isRequired) === null ? null : getText(parameter.isRequired) === 'true',
+        description: getText(parameter.description)
+      }))
+      .filter(definition => definition.name);
+  }
+
+  /**
+   * Find the parameter references in the properties of the integration flow, its adapters and its steps
+   * @param {Object} parsedXml - Parsed XML object
+   * @returns {Array} Usages (parameter name, kind, element ID and name, property key)
+   */
+  findParameterUsages(parsedXml) {
+    const usages = [];
+
+    const collectReferences = (properties, kind, element) => {
+      properties.forEach(property => {
+        const value = property.value?._ || '';
+        for (const match of value.matchAll(PARAMETER_REFERENCE)) {
+          usages.push({
+            parameterName: match[1].trim(),
+            kind,
+            id: this.getAttributeValue(element?.id) || null,
+            name: element ? this.getAttributeValue(element.name) || null : null,
+            property: property.key?._ || null
+          });
+        }
+      });
+    };
+
+    collectReferences(this.getCollaborationProperties(parsedXml), 'integration flow', null);
+
+    this.getMessageFlows(parsedXml).forEach(messageFlow => {
+      collectReferences(this.getElementProperties(messageFlow), 'adapter', messageFlow);
+    });
+
+    this.getProcesses(parsedXml).forEach(process => {
+      collectReferences(this.getElementProperties(process), 'process', process);
+      this.collectStepReferences(process, collectReferences);
+    });
+
+    return usages;
+  }
+
+  /**
+   * Collect the parameter references of the steps of a process or sub-process
+   * @param {Object} container - Process or sub-process object
+   * @param {Function} collectReferences - Collector called with the properties, kind and element
+   */
+  collectStepReferences(container, collectReferences) {
+    Object.keys(container)
+      .filter(key => key.startsWith('bpmn2:') && !NON_STEP_ELEMENTS.includes(key))
+      .forEach(key => {
+        const elements = Array.isArray(container[key]) ? container[key] : [container[key]];
+        elements.filter(element => element && typeof element === 'object').forEach(element => {
+          collectReferences(this.getElementProperties(element), 'step', element);
+          if (key === 'bpmn2:subProcess') {
+            this.collectStepReferences(element, collectReferences);
+          }
+        });
+      });
+  }
+
+  /**
+   * Get the ifl:property entries of a BPMN element
+   * @param {Object} element - BPMN element
+   * @returns {Array} Properties
+   */
+  getElementProperties(element) {
+    const properties = element['bpmn2:extensionElements']?.['ifl:property'] || [];
+    return Array.isArray(properties) ? properties : [properties].filter(Boolean);
+  }
+}
+
+module.exports = ParameterExtractor;
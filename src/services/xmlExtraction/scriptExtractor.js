@@ -0,0 +1,104 @@
+// services/xmlExtraction/scriptExtractor.js
+const BaseXmlExtractor = require('./baseExtractor');
+const logger = require('../../utils/logger');
+
+/**
+ * Script extraction from iFlow XML and the script files of its ZIP
+ */
+class ScriptExtractor extends BaseXmlExtractor {
+  /**
+   * Link the script files of an iFlow to the steps that call them
+   * @param {Object} parsedXml - Parsed XML object
+   * @param {Array} scripts - Script files from extractScriptsFromZip
+   * @param {string} flowId - Flow ID for logging
+   * @returns {Object} Scripts with their calling steps, and steps whose script is not in the ZIP
+   */
+  extractScripts(parsedXml, scripts, flowId) {
+    const result = {
+      scripts: scripts.map(script => ({ ...script, steps: [] })),
+      unresolvedSteps: []
+    };
+
+    try {
+      const steps = [];
+      this.getProcesses(parsedXml).forEach(process => {
+        steps.push(...this.findScriptSteps(process));
+      });
+
+      steps.forEach(step => {
+        const script = this.findScript(result.scripts, step.script);
+        if (script && !step.script_collection) {
+          script.steps.push({ step_id: step.step_id, step_name: step.step_name, function: step.function });
+        } else {
+          result.unresolvedSteps.push(step);
+        }
+      });
+
+      logger.debug('Extracted scripts', {
+        flowId,
+        scriptCount: result.scripts.length,
+        scriptStepCount: steps.length,
+        unresolvedStepCount: result.unresolvedSteps.length
+      });
+    } catch (error) {
+      logger.error('Error extracting scripts from XML', {
+        flowId,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Find the script steps of a process, including those in its sub-processes
+   * Script steps are script tasks, or call activities of activity type Script
+   * @param {Object} container - Process or sub-process object
+   * @returns {Array} Script steps (step ID and name, script file, function, script collection)
+   */
+  findScriptSteps(container) {
+    const toArray = (value) => (Array.isArray(value) ? value : [value].filter(Boolean));
+    const steps = [];
+
+    [...toArray(container['bpmn2:scriptTask']), ...toArray(container['bpmn2:callActivity'])].forEach(task => {
+      const properties = toArray(task['bpmn2:extensionElements']?.['ifl:property']);
+      const activityType = this.getPropertyValue(properties, 'activityType');
+      const scriptFile = this.getPropertyValue(properties, 'script');
+
+      if (task.$ns?.local !== 'scriptTask' && activityType !== 'Script') {
+        return;
+      }
+      if (!scriptFile) {
+        return;
+      }
+
+      steps.push({
+        step_id: this.getAttributeValue(task.id),
+        step_name: this.getAttributeValue(task.name),
+        script: scriptFile.replace(/^\/?script\//, ''),
+        function: this.getPropertyValue(properties, 'scriptFunction') || null,
+        script_collection: this.getPropertyValue(properties, 'scriptBundleId') || null
+      });
+    });
+
+    toArray(container['bpmn2:subProcess']).forEach(subProcess => {
+      steps.push(...this.findScriptSteps(subProcess));
+    });
+
+    return steps;
+  }
+
+  /**
+   * Find the script file a step refers to, by path below the script folder or by file name
+   * @param {Array} scripts - Script files
+   * @param {string} reference - Script reference of the step
+   * @returns {Object|undefined} Script file
+   */
+  findScript(scripts, reference) {
+    return scripts.find(script => script.path === reference) ||
+      scripts.find(script => script.name === reference.split('/').pop());
+  }
+}
+
+module.exports = ScriptExtractor;
@@ -0,0 +1,12 @@
+import com.sap.gateway.ip.core.customdev.util.Message
+
+def Message processData(Message message) {
+    def body = message.getBody(String)
+    def messageLog = messageLogFactory.getMessageLog(message)
+    if (messageLog != null) {
+        messageLog.setStringProperty('OrderId', message.getHeaders().get('OrderId') ?: '')
+        messageLog.addAttachmentAsString('Order payload', body, 'application/json')
+    }
+    message.setHeader('ErpStatusUrl', 'https://erp.example.com/sap/opu/status')
+    return message
+}
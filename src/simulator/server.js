@@ -0,0 +1,452 @@
+// simulator/server.js - Local stand-in for the SAP Integration Suite APIs, served from fixture files
+// Usage: npm run simulator, then point SAP_API_BASE_URL at http://localhost:4000 and
+// SAP_TOKEN_URL at http://localhost:4000/oauth/token (client ID and secret: simulator / simulator)
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const logger = require('../utils/logger');
+
+require('dotenv').config();
+
+const PORT = parseInt(process.env.SIMULATOR_PORT, 10) || 4000;
+const FIXTURES_DIR = process.env.SIMULATOR_FIXTURES_DIR || path.join(__dirname, 'fixtures');
+const CLIENT_ID = process.env.SIMULATOR_CLIENT_ID || 'simulator';
+const CLIENT_SECRET = process.env.SIMULATOR_CLIENT_SECRET || 'simulator';
+
+// Largest page returned per request; larger results are paged with __next links like the real API
+const MAX_PAGE_SIZE = parseInt(process.env.SIMULATOR_MAX_PAGE_SIZE, 10) || 1000;
+const TOKEN_LIFETIME_SECONDS = 3600;
+
+/**
+ * Read a JSON fixture file
+ * @param {string} fixturesDir - Fixture directory
+ * @param {string} name - File name without extension
+ * @returns {Array} Fixture entries (empty if the file does not exist)
+ */
+const readFixture = (fixturesDir, name) => {
+  const filePath = path.join(fixturesDir, `${name}.json`);
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+};
+
+/**
+ * Format a timestamp as an OData v2 date
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string} OData date ("/Date(1700000000000)/")
+ */
+const toODataDate = (time) => `/Date(${time})/`;
+
+/**
+ * Turn an OData v2 date, datetime literal value or number into milliseconds
+ * @param {*} value - Value to convert
+ * @returns {number} Milliseconds since the epoch, or NaN
+ */
+const toTime = (value) => {
+  const match = /\/Date\((-?\d+)/.exec(value);
+  if (match) {
+    return parseInt(match[1], 10);
+  }
+  // datetime literals carry no time zone and are UTC
+  return Date.parse(/[zZ]|[+-]\d{2}:\d{2}$/.test(value) ? value : `${value}Z`);
+};
+
+/**
+ * Build message processing logs from the fixture, relative to the current time
+ * Fixture entries give `endedMinutesAgo` and `durationMs` instead of absolute dates, so the logs always
+ * fall into the ingestion window of a fresh database
+ * @param {Array} entries - Message log fixture entries
+ * @param {number} startedAt - Time the simulator started
+ * @returns {Array} Message processing logs
+ */
+const buildMessageLogs = (entries, startedAt) => {
+  return entries.map((entry, index) => {
+    const { endedMinutesAgo = 0, durationMs = 0, ...log } = entry;
+    const logEnd = startedAt - endedMinutesAgo * 60 * 1000;
+    return {
+      MessageGuid: log.MessageGuid || crypto.createHash('md5').update(`${index}`).digest('hex'),
+      CorrelationId: log.CorrelationId || `simulator-${index}`,
+      IntegrationArtifact: { Id: log.IntegrationFlowName, Name: log.IntegrationFlowName, Type: 'INTEGRATION_FLOW' },
+      LogLevel: 'INFO',
+      ...log,
+      LogStart: toODataDate(logEnd - durationMs),
+      LogEnd: toODataDate(logEnd)
+    };
+  });
+};
+
+/**
+ * Parse an OData $filter made of comparisons joined by "and"
+ * Supports eq, ne, gt, ge, lt and le against string, datetime, number and boolean literals
+ * @param {string} filter - $filter value
+ * @returns {Array<Object>} Comparisons (field, operator, value, isDate)
+ */
+const parseFilter = (filter) => {
+  if (!filter) {
+    return [];
+  }
+
+  return filter.split(/\s+and\s+/i).map(clause => {
+    const match = /^\s*(\w+)\s+(eq|ne|gt|ge|lt|le)\s+(datetime'[^']*'|'[^']*'|-?\d+(?:\.\d+)?|true|false)\s*$/i.exec(clause);
+    if (!match) {
+      throw new Error(`Unsupported $filter clause: ${clause}`);
+    }
+
+    const [, field, operator, literal] = match;
+    const isDate = /^datetime'/i.test(literal);
+    let value;
+    if (isDate) {
+      value = toTime(literal.slice(9, -1));
+    } else if (literal.startsWith("'")) {
+      value = literal.slice(1, -1);
+    } else if (literal === 'true' || literal === 'false') {
+      value = literal === 'true';
+    } else {
+      value = Number(literal);
+    }
+
+    return { field, operator: operator.toLowerCase(), value, isDate };
+  });
+};
+
+/**
+ * Check whether an entry matches all comparisons of a filter
+ * @param {Object} entry - Collection entry
+ * @param {Array<Object>} comparisons - Parsed filter
+ * @returns {boolean} True if the entry matches
+ */
+const matchesFilter = (entry, comparisons) => {
+  return comparisons.every(({ field, operator, value, isDate }) => {
+    const actual = isDate ? toTime(entry[field]) : entry[field];
+    switch (operator) {
+      case 'eq': return actual === value;
+      case 'ne': return actual !== value;
+      case 'gt': return actual > value;
+      case 'ge': return actual >= value;
+      case 'lt': return actual < value;
+      case 'le': return actual <= value;
+      default: return false;
+    }
+  });
+};
+
+/**
+ * Sort entries by an OData $orderby expression ("Field" or "Field desc")
+ * @param {Array} entries - Collection entries
+ * @param {string} orderBy - $orderby value
+ * @returns {Array} Sorted copy of the entries
+ */
+const sortEntries = (entries, orderBy) => {
+  if (!orderBy) {
+    return entries;
+  }
+
+  const [field, direction = 'asc'] = orderBy.trim().split(/\s+/);
+  const factor = direction.toLowerCase() === 'desc' ? -1 : 1;
+  const sortValue = value => (typeof value === 'string' && value.startsWith('/Date(') ? toTime(value) : value);
+
+  return [...entries].sort((a, b) => {
+    const first = sortValue(a[field]);
+    const second = sortValue(b[field]);
+    if (first === second) {
+      return 0;
+    }
+    return first > second ? factor : -factor;
+  });
+};
+
+/**
+ * Apply $filter, $orderby, $skip and $top to a collection and build the OData response
+ * A __next link is added when the server page size cuts the requested page short
+ * @param {Object} req - Express request object
+ * @param {Array} entries - Collection entries
+ * @returns {Object} OData collection response
+ */
+const buildCollectionResponse = (req, entries) => {
+  const query = req.query;
+  const skip = parseInt(query.$skip, 10) || 0;
+  const top = query.$top !== undefined ? parseInt(query.$top, 10) : Infinity;
+
+  const matching = sortEntries(entries.filter(entry => matchesFilter(entry, parseFilter(query.$filter))), query.$orderby);
+  const requested = matching.slice(skip, skip + top);
+  const results = requested.slice(0, MAX_PAGE_SIZE);
+
+  const response = { d: { results } };
+
+  if (requested.length > results.length) {
+    const nextQuery = new URLSearchParams({ ...query, $skip: String(skip + results.length) });
+    if (top !== Infinity) {
+      nextQuery.set('$top', String(top - results.length));
+    }
+    response.d.__next = `${req.baseUrl}${req.path}?${nextQuery.toString()}`;
+  }
+
+  return response;
+};
+
+/**
+ * Send an OData error response
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ */
+const sendODataError = (res, status, message) => {
+  res.status(status).json({
+    error: {
+      code: String(status),
+      message: { lang: 'en', value: message }
+    }
+  });
+};
+
+/**
+ * Build the ZIP of an integration flow from its fixture directory
+ * @param {string} fixturesDir - Fixture directory
+ * @param {string} flowId - Flow ID
+ * @returns {Buffer|null} ZIP content, or null if the flow has no fixture directory
+ */
+const buildIflowZip = (fixturesDir, flowId) => {
+  const flowDir = path.join(fixturesDir, 'iflows', flowId);
+  if (path.dirname(flowDir) !== path.join(fixturesDir, 'iflows') || !fs.existsSync(flowDir)) {
+    return null;
+  }
+
+  const zip = new AdmZip();
+  zip.addLocalFolder(flowDir);
+  return zip.toBuffer();
+};
+
+/**
+ * Create the simulator app
+ * @param {Object} options - Simulator options
+ * @param {string} options.fixturesDir - Fixture directory (defaults to SIMULATOR_FIXTURES_DIR or ./fixtures)
+ * @returns {Object} Express app
+ */
+const createSimulatorApp = ({ fixturesDir = FIXTURES_DIR } = {}) => {
+  const app = express();
+  const startedAt = Date.now();
+  const tokens = new Map();
+
+  const packages = readFixture(fixturesDir, 'packages');
+  const designtimeArtifacts = readFixture(fixturesDir, 'designtimeArtifacts');
+  const runtimeArtifacts = readFixture(fixturesDir, 'runtimeArtifacts');
+  const serviceEndpoints = readFixture(fixturesDir, 'serviceEndpoints');
+  const messageLogs = buildMessageLogs(readFixture(fixturesDir, 'messageLogs'), startedAt);
+  const packageArtifacts = {
+    ValueMapping: readFixture(fixturesDir, 'valueMappings'),
+    MessageMapping: readFixture(fixturesDir, 'messageMappings'),
+    ScriptCollection: readFixture(fixturesDir, 'scriptCollections')
+  };
+
+  logger.info('SAP API simulator fixtures loaded', {
+    fixturesDir,
+    packages: packages.length,
+    iflows: designtimeArtifacts.length,
+    runtimeArtifacts: runtimeArtifacts.length,
+    valueMappings: packageArtifacts.ValueMapping.length,
+    messageMappings: packageArtifacts.MessageMapping.length,
+    scriptCollections: packageArtifacts.ScriptCollection.length,
+    messageLogs: messageLogs.length
+  });
+
+  /**
+   * Find the design-time artifact of a flow in the requested version ('active' is the fixture version)
+   * @param {string} flowId - Flow ID
+   * @param {string} version - Requested version
+   * @returns {Object|undefined} Design-time artifact
+   */
+  const findDesigntimeArtifact = (flowId, version) => {
+    return designtimeArtifacts.find(artifact =>
+      artifact.Id === flowId && (version === 'active' || artifact.Version === version)
+    );
+  };
+
+  /**
+   * Build the service endpoints with their entry points expanded
+   * @param {Object} req - Express request object
+   * @returns {Array} Service endpoints
+   */
+  const getServiceEndpoints = (req) => {
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    return serviceEndpoints.map(endpoint => ({
+      ...endpoint,
+      EntryPoints: {
+        results: (endpoint.EntryPoints || []).map(entryPoint => ({
+          ...entryPoint,
+          Url: (entryPoint.Url || '').replace('{baseUrl}', baseUrl)
+        }))
+      }
+    }));
+  };
+
+  // Routes of the OData API, matched against the decoded request path
+  const routes = [
+    {
+      pattern: /^\/IntegrationPackages$/,
+      handle: (req, res) => res.json(buildCollectionResponse(req, packages))
+    },
+    {
+      pattern: /^\/IntegrationPackages\('([^']+)'\)$/,
+      handle: (req, res, [packageId]) => {
+        const packageData = packages.find(entry => entry.Id === packageId);
+        return packageData ? res.json({ d: packageData }) : sendODataError(res, 404, `Integration package ${packageId} not found`);
+      }
+    },
+    {
+      pattern: /^\/IntegrationPackages\('([^']+)'\)\/IntegrationDesigntimeArtifacts$/,
+      handle: (req, res, [packageId]) => {
+        if (!packages.some(entry => entry.Id === packageId)) {
+          return sendODataError(res, 404, `Integration package ${packageId} not found`);
+        }
+        return res.json(buildCollectionResponse(req, designtimeArtifacts.filter(artifact => artifact.PackageId === packageId)));
+      }
+    },
+    {
+      pattern: /^\/IntegrationPackages\('([^']+)'\)\/(ValueMapping|MessageMapping|ScriptCollection)DesigntimeArtifacts$/,
+      handle: (req, res, [packageId, artifactType]) => {
+        if (!packages.some(entry => entry.Id === packageId)) {
+          return sendODataError(res, 404, `Integration package ${packageId} not found`);
+        }
+        return res.json(buildCollectionResponse(req, packageArtifacts[artifactType].filter(artifact => artifact.PackageId === packageId)));
+      }
+    },
+    {
+      pattern: /^\/IntegrationDesigntimeArtifacts$/,
+      handle: (req, res) => res.json(buildCollectionResponse(req, designtimeArtifacts))
+    },
+    {
+      pattern: /^\/IntegrationDesigntimeArtifacts\(Id='([^']+)',Version='([^']+)'\)$/,
+      handle: (req, res, [flowId, version]) => {
+        const artifact = findDesigntimeArtifact(flowId, version);
+        return artifact ? res.json({ d: artifact }) : sendODataError(res, 404, `Integration flow ${flowId} (version ${version}) not found`);
+      }
+    },
+    {
+      pattern: /^\/IntegrationDesigntimeArtifacts\(Id='([^']+)',Version='([^']+)'\)\/\$value$/,
+      handle: (req, res, [flowId, version]) => {
+        const zipBuffer = findDesigntimeArtifact(flowId, version) ? buildIflowZip(fixturesDir, flowId) : null;
+        if (!zipBuffer) {
+          return sendODataError(res, 404, `Integration flow ${flowId} (version ${version}) not found`);
+        }
+        res.type('application/zip').send(zipBuffer);
+      }
+    },
+    {
+      pattern: /^\/IntegrationRuntimeArtifacts$/,
+      handle: (req, res) => res.json(buildCollectionResponse(req, runtimeArtifacts.map(({ ErrorInformation, ...artifact }) => artifact)))
+    },
+    {
+      pattern: /^\/IntegrationRuntimeArtifacts\('([^']+)'\)$/,
+      handle: (req, res, [flowId]) => {
+        const artifact = runtimeArtifacts.find(entry => entry.Id === flowId);
+        if (!artifact) {
+          return sendODataError(res, 404, `Runtime artifact ${flowId} not found`);
+        }
+        const { ErrorInformation, ...data } = artifact;
+        res.json({ d: data });
+      }
+    },
+    {
+      pattern: /^\/IntegrationRuntimeArtifacts\('([^']+)'\)\/ErrorInformation\/\$value$/,
+      handle: (req, res, [flowId]) => {
+        const artifact = runtimeArtifacts.find(entry => entry.Id === flowId);
+        if (!artifact || !artifact.ErrorInformation) {
+          return sendODataError(res, 404, `No error information for runtime artifact ${flowId}`);
+        }
+        res.type('text/plain').send(artifact.ErrorInformation);
+      }
+    },
+    {
+      pattern: /^\/MessageProcessingLogs$/,
+      handle: (req, res) => res.json(buildCollectionResponse(req, messageLogs))
+    },
+    {
+      pattern: /^\/ServiceEndpoints$/,
+      handle: (req, res) => res.json(buildCollectionResponse(req, getServiceEndpoints(req)))
+    }
+  ];
+
+  app.use(express.urlencoded({ extended: false }));
+
+  /**
+   * POST /oauth/token
+   * Issue a token for the client credentials grant (Basic authentication or form parameters)
+   */
+  app.post('/oauth/token', (req, res) => {
+    let clientId = req.body && req.body.client_id;
+    let clientSecret = req.body && req.body.client_secret;
+
+    const authorization = req.get('Authorization') || '';
+    if (authorization.startsWith('Basic ')) {
+      const credentials = Buffer.from(authorization.slice(6), 'base64').toString('utf8');
+      const separatorIndex = credentials.indexOf(':');
+      clientId = credentials.slice(0, separatorIndex);
+      clientSecret = credentials.slice(separatorIndex + 1);
+    }
+
+    if (!req.body || req.body.grant_type !== 'client_credentials') {
+      return res.status(400).json({ error: 'unsupported_grant_type', error_description: 'Only client_credentials is supported' });
+    }
+
+    if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+      return res.status(401).json({ error: 'unauthorized', error_description: 'Bad credentials' });
+    }
+
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    tokens.set(accessToken, Date.now() + TOKEN_LIFETIME_SECONDS * 1000);
+
+    res.json({
+      access_token: accessToken,
+      token_type: 'bearer',
+      expires_in: TOKEN_LIFETIME_SECONDS,
+      scope: 'it!b1.ESBMessaging.send'
+    });
+  });
+
+  /**
+   * /api/v1/*
+   * OData API; every request needs a token issued by /oauth/token
+   */
+  app.use('/api/v1', (req, res) => {
+    const authorization = req.get('Authorization') || '';
+    const expiresAt = tokens.get(authorization.replace(/^Bearer /, ''));
+    if (!authorization.startsWith('Bearer ') || !expiresAt || Date.now() > expiresAt) {
+      return sendODataError(res, 401, 'Invalid or expired token');
+    }
+
+    if (req.method !== 'GET') {
+      return sendODataError(res, 405, `${req.method} is not supported by the simulator`);
+    }
+
+    const requestPath = decodeURIComponent(req.path);
+    for (const route of routes) {
+      const match = route.pattern.exec(requestPath);
+      if (match) {
+        try {
+          return route.handle(req, res, match.slice(1));
+        } catch (error) {
+          return sendODataError(res, 400, error.message);
+        }
+      }
+    }
+
+    sendODataError(res, 404, `Resource not found for segment ${requestPath}`);
+  });
+
+  return app;
+};
+
+// Start the simulator when run directly
+if (require.main === module) {
+  createSimulatorApp().listen(PORT, () => {
+    logger.info(`SAP API simulator running on http://localhost:${PORT}`);
+    logger.info(`Set SAP_API_BASE_URL=http://localhost:${PORT} and SAP_TOKEN_URL=http://localhost:${PORT}/oauth/token`);
+  });
+}
+
+module.exports = {
+  createSimulatorApp
+};
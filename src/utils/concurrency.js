@@ -0,0 +1,109 @@
+// utils/concurrency.js - Helpers for bounded parallel work
+require('dotenv').config();
+
+/**
+ * Read a positive integer concurrency setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value used when the variable is missing or invalid
+ * @returns {number} Concurrency setting (at least 1)
+ */
+const getConcurrencySetting = (name, defaultValue) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : defaultValue;
+};
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at the same time
+ * @param {number} concurrency - Maximum number of tasks running at once
+ * @returns {Function} limit(task) - Runs the async task when a slot is free
+ */
+const createLimiter = (concurrency) => {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return;
+    }
+
+    active++;
+    const { task, resolve, reject } = queue.shift();
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  const limit = (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+
+  limit.getStatus = () => ({ active, queued: queue.length, concurrency });
+
+  return limit;
+};
+
+/**
+ * Map items through an async function with bounded concurrency
+ * Results are returned in the same order as the input items
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of items processed at once
+ * @param {Function} iteratee - Async function (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+const mapWithConcurrency = async (items, concurrency, iteratee) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await iteratee(items[index], index);
+    }
+  };
+
+  const workerCount = Math.min(Math.max(concurrency, 1), items.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+};
+
+/**
+ * Create a lock that serializes tasks sharing the same key
+ * Tasks with different keys run independently
+ * @returns {Function} withLock(key, task) - Runs the async task once the key is free
+ */
+const createKeyedLock = () => {
+  const tails = new Map();
+
+  return async (key, task) => {
+    const previous = tails.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    tails.set(key, tail);
+
+    await previous;
+    try {
+      return await task();
+    } finally {
+      release();
+      // Drop the entry once nobody is waiting behind this task
+      if (tails.get(key) === tail) {
+        tails.delete(key);
+      }
+    }
+  };
+};
+
+module.exports = {
+  getConcurrencySetting,
+  createLimiter,
+  mapWithConcurrency,
+  createKeyedLock
+};
@@ -0,0 +1,32 @@
+// utils/redact.js - Masking of secrets before data is logged or returned
+const REDACTED = '[REDACTED]';
+
+// Keys whose values are never logged or returned (token_url and similar settings are kept)
+const SECRET_KEY_PATTERN = /secret|passw(or)?d|authorization|api[_-]?key|token$/i;
+
+/**
+ * Return a copy of a value with the values of secret-looking keys masked
+ * @param {*} value - Value to redact (objects and arrays are copied recursively)
+ * @returns {*} Redacted copy
+ */
+const redactSecrets = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(redactSecrets);
+  }
+
+  if (!value || typeof value !== 'object' || Buffer.isBuffer(value) || value instanceof Date) {
+    return value;
+  }
+
+  return Object.keys(value).reduce((redacted, key) => {
+    redacted[key] = SECRET_KEY_PATTERN.test(key) && value[key] !== null && value[key] !== undefined
+      ? REDACTED
+      : redactSecrets(value[key]);
+    return redacted;
+  }, {});
+};
+
+module.exports = {
+  REDACTED,
+  redactSecrets
+};
@@ -0,0 +1,256 @@
+// utils/resilientHttp.js - Retry policy and per-host circuit breaker for calls to SAP APIs
+const logger = require('./logger');
+require('dotenv').config();
+
+// HTTP statuses that indicate a temporary problem on the SAP side or in between
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+
+// Statuses that may tell us how long to wait through a Retry-After header
+const RETRY_AFTER_STATUSES = [429, 503];
+
+// Network errors worth retrying (connection resets, timeouts, DNS hiccups)
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'ECONNREFUSED'];
+
+/**
+ * Read the retry policy from the environment
+ * @returns {Object} Retry policy (maxRetries, baseDelay, maxDelay, timeout, downloadTimeout)
+ */
+const getRetryPolicy = () => {
+  return {
+    maxRetries: parseInt(process.env.SAP_HTTP_MAX_RETRIES, 10) >= 0 ? parseInt(process.env.SAP_HTTP_MAX_RETRIES, 10) : 3,
+    baseDelay: parseInt(process.env.SAP_HTTP_RETRY_BASE_DELAY_MS, 10) || 1000,
+    maxDelay: parseInt(process.env.SAP_HTTP_RETRY_MAX_DELAY_MS, 10) || 30000,
+    timeout: parseInt(process.env.SAP_HTTP_TIMEOUT_MS, 10) || 30000,
+    downloadTimeout: parseInt(process.env.SAP_HTTP_DOWNLOAD_TIMEOUT_MS, 10) || 120000
+  };
+};
+
+const CIRCUIT_BREAKER_THRESHOLD = parseInt(process.env.SAP_HTTP_BREAKER_THRESHOLD, 10) || 5;
+const CIRCUIT_BREAKER_TIMEOUT = parseInt(process.env.SAP_HTTP_BREAKER_RESET_MS, 10) || 60 * 1000;
+
+// Circuit breaker per SAP host, opened after consecutive requests failed with transient errors
+const circuitBreakers = new Map();
+
+/**
+ * Create a closed circuit breaker
+ * @returns {Object} Circuit breaker state
+ */
+const createCircuitBreaker = () => {
+  return {
+    failureCount: 0,
+    lastFailureTime: null,
+    isOpen: false,
+    openUntil: null
+  };
+};
+
+/**
+ * Get the circuit breaker of a host
+ * @param {string} host - Host name
+ * @returns {Object} Circuit breaker state
+ */
+const getCircuitBreaker = (host) => {
+  if (!circuitBreakers.has(host)) {
+    circuitBreakers.set(host, createCircuitBreaker());
+  }
+  return circuitBreakers.get(host);
+};
+
+/**
+ * Check if the circuit breaker of a host is open, closing it once its timeout has passed
+ * @param {string} host - Host name
+ * @returns {boolean} True if requests to the host should fail fast
+ */
+const isCircuitBreakerOpen = (host) => {
+  const circuitBreaker = getCircuitBreaker(host);
+  
+  if (circuitBreaker.isOpen && Date.now() < circuitBreaker.openUntil) {
+    return true;
+  }
+  
+  if (circuitBreaker.isOpen) {
+    logger.info('HTTP circuit breaker timeout expired, resetting', { host });
+    circuitBreakers.set(host, createCircuitBreaker());
+  }
+  
+  return false;
+};
+
+/**
+ * Record a request that failed with a transient error after all retries
+ * @param {string} host - Host name
+ */
+const recordFailure = (host) => {
+  const circuitBreaker = getCircuitBreaker(host);
+  circuitBreaker.failureCount++;
+  circuitBreaker.lastFailureTime = Date.now();
+  
+  if (circuitBreaker.failureCount >= CIRCUIT_BREAKER_THRESHOLD && !circuitBreaker.isOpen) {
+    circuitBreaker.isOpen = true;
+    circuitBreaker.openUntil = Date.now() + CIRCUIT_BREAKER_TIMEOUT;
+    logger.error(`HTTP circuit breaker opened for ${host} after ${circuitBreaker.failureCount} consecutive failed requests. Will retry after ${CIRCUIT_BREAKER_TIMEOUT / 1000} seconds`);
+  }
+};
+
+/**
+ * Record a request that reached the host
+ * @param {string} host - Host name
+ */
+const recordSuccess = (host) => {
+  if (getCircuitBreaker(host).failureCount > 0) {
+    logger.info('HTTP requests recovered, resetting circuit breaker', { host });
+    circuitBreakers.set(host, createCircuitBreaker());
+  }
+};
+
+/**
+ * Check whether a failed request may succeed when repeated
+ * @param {Error} error - Request error
+ * @returns {boolean} True for retryable statuses and network errors
+ */
+const isRetryableError = (error) => {
+  if (error.response) {
+    return RETRYABLE_STATUSES.includes(error.response.status);
+  }
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+};
+
+/**
+ * Read the delay requested by a Retry-After header (seconds or HTTP date)
+ * @param {Error} error - Request error
+ * @returns {number|null} Delay in milliseconds, or null if none was requested
+ */
+const getRetryAfterDelay = (error) => {
+  if (!error.response || !RETRY_AFTER_STATUSES.includes(error.response.status)) {
+    return null;
+  }
+  
+  const headers = error.response.headers || {};
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Compute an exponential backoff delay with full jitter
+ * @param {number} attempt - Number of the retry (0 for the first retry)
+ * @param {Object} policy - Retry policy
+ * @returns {number} Delay in milliseconds
+ */
+const getBackoffDelay = (attempt, policy) => {
+  const ceiling = Math.min(policy.maxDelay, policy.baseDelay * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+};
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Send a request, retrying transient failures according to the retry policy
+ * @param {Function} sendRequest - Async function (attempt) => response performing one attempt
+ * @param {Object} options - Request options
+ * @param {string} options.host - Host the request goes to (circuit breaker key)
+ * @param {string} options.description - Request description used in log messages
+ * @param {Object} options.policy - Retry policy (defaults to the environment policy)
+ * @returns {Promise<Object>} Response of the first successful attempt
+ */
+const requestWithRetry = async (sendRequest, { host, description, policy = getRetryPolicy() }) => {
+  if (isCircuitBreakerOpen(host)) {
+    const secondsUntilReset = Math.ceil((getCircuitBreaker(host).openUntil - Date.now()) / 1000);
+    const error = new Error(`HTTP circuit breaker is open for ${host}. Retry in ${secondsUntilReset} seconds`);
+    error.code = 'ECIRCUITOPEN';
+    throw error;
+  }
+  
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await sendRequest(attempt);
+      recordSuccess(host);
+      return response;
+    } catch (error) {
+      const status = error.response?.status || null;
+      
+      if (!isRetryableError(error)) {
+        // The host answered; the request itself is the problem
+        if (error.response) {
+          recordSuccess(host);
+        }
+        logger.debug(`Not retrying ${description}: error is not transient`, { status, code: error.code, error: error.message });
+        throw error;
+      }
+      
+      if (attempt >= policy.maxRetries) {
+        recordFailure(host);
+        logger.error(`Giving up on ${description} after ${attempt + 1} attempt(s)`, { status, code: error.code, error: error.message });
+        throw error;
+      }
+      
+      const retryAfterDelay = getRetryAfterDelay(error);
+      const delay = retryAfterDelay !== null
+        ? Math.min(retryAfterDelay, policy.maxDelay)
+        : getBackoffDelay(attempt, policy);
+      
+      logger.warn(`Retrying ${description} in ${delay} ms (retry ${attempt + 1} of ${policy.maxRetries})`, {
+        status,
+        code: error.code,
+        error: error.message,
+        retryAfter: retryAfterDelay !== null ? retryAfterDelay : undefined
+      });
+      
+      await sleep(delay);
+      
+      // Another request may have opened the breaker while this one was waiting
+      if (isCircuitBreakerOpen(host)) {
+        logger.warn(`Not retrying ${description}: circuit breaker opened for ${host}`);
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Get the circuit breaker status of a host
+ * @param {string} host - Host name
+ * @returns {Object} Circuit breaker status
+ */
+const getCircuitBreakerStatus = (host) => {
+  const circuitBreaker = getCircuitBreaker(host);
+  return {
+    isOpen: circuitBreaker.isOpen,
+    failureCount: circuitBreaker.failureCount,
+    lastFailureTime: circuitBreaker.lastFailureTime,
+    openUntil: circuitBreaker.openUntil,
+    nextRetryIn: circuitBreaker.openUntil ? Math.max(0, circuitBreaker.openUntil - Date.now()) : 0
+  };
+};
+
+/**
+ * Reset the circuit breaker of a host (for manual recovery)
+ * @param {string} host - Host name
+ */
+const resetCircuitBreaker = (host) => {
+  logger.info('Manually resetting HTTP circuit breaker', { host });
+  circuitBreakers.set(host, createCircuitBreaker());
+};
+
+module.exports = {
+  getRetryPolicy,
+  isRetryableError,
+  getRetryAfterDelay,
+  requestWithRetry,
+  getCircuitBreakerStatus,
+  resetCircuitBreaker
+};
@@ -0,0 +1,145 @@
+// utils/secretCipher.js - Encryption of secrets stored in the database
+const crypto = require('crypto');
+require('dotenv').config();
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const KEY_LENGTH = 32;
+
+// Encrypted values look like enc:v1:<key id>:<iv>:<auth tag>:<ciphertext>, all parts base64
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+/**
+ * Decode a master key given as 64 hex characters or base64
+ * @param {string} value - Encoded key
+ * @returns {Buffer} 32-byte key
+ */
+const decodeKey = (value) => {
+  const trimmed = value.trim();
+  const key = /^[0-9a-fA-F]{64}$/.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(`Secret encryption keys must be ${KEY_LENGTH} bytes (64 hex characters or base64)`);
+  }
+
+  return key;
+};
+
+/**
+ * Derive the ID stored with encrypted values, used to pick the key on decryption
+ * @param {Buffer} key - Master key
+ * @returns {string} Key ID
+ */
+const getKeyId = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+};
+
+/**
+ * Read the master keys from the environment
+ * SECRET_ENCRYPTION_KEY encrypts new values; SECRET_ENCRYPTION_PREVIOUS_KEYS (comma-separated)
+ * can still decrypt values written before a key rotation
+ * @returns {Object} Current key and all keys by key ID
+ */
+const getKeys = () => {
+  const keys = new Map();
+  let currentKey = null;
+
+  if (process.env.SECRET_ENCRYPTION_KEY) {
+    currentKey = decodeKey(process.env.SECRET_ENCRYPTION_KEY);
+    keys.set(getKeyId(currentKey), currentKey);
+  }
+
+  (process.env.SECRET_ENCRYPTION_PREVIOUS_KEYS || '')
+    .split(',')
+    .filter(value => value.trim())
+    .forEach(value => {
+      const key = decodeKey(value);
+      keys.set(getKeyId(key), key);
+    });
+
+  return { currentKey, keys };
+};
+
+/**
+ * Check whether a master key is configured for encrypting secrets
+ * @returns {boolean} True if SECRET_ENCRYPTION_KEY is set
+ */
+const isEncryptionConfigured = () => {
+  return !!process.env.SECRET_ENCRYPTION_KEY;
+};
+
+/**
+ * Check whether a stored value is encrypted
+ * @param {*} value - Stored value
+ * @returns {boolean} True if the value was produced by encryptSecret
+ */
+const isEncrypted = (value) => {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+};
+
+/**
+ * Check whether a stored value is encrypted with the current master key
+ * @param {*} value - Stored value
+ * @returns {boolean} True if no re-encryption is needed
+ */
+const isEncryptedWithCurrentKey = (value) => {
+  const { currentKey } = getKeys();
+  return isEncrypted(value) && !!currentKey && value.split(':')[2] === getKeyId(currentKey);
+};
+
+/**
+ * Encrypt a secret with the current master key
+ * @param {string} plaintext - Secret to encrypt
+ * @returns {string} Encrypted value
+ */
+const encryptSecret = (plaintext) => {
+  const { currentKey } = getKeys();
+  if (!currentKey) {
+    throw new Error('SECRET_ENCRYPTION_KEY is not configured, secrets cannot be stored');
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, currentKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [
+    ENCRYPTED_PREFIX + getKeyId(currentKey),
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+};
+
+/**
+ * Decrypt a stored secret
+ * Values that are not encrypted (stored before encryption was introduced) are returned as they are
+ * @param {string} value - Stored value
+ * @returns {string} Plaintext secret
+ */
+const decryptSecret = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [, , keyId, iv, authTag, ciphertext] = value.split(':');
+  const key = getKeys().keys.get(keyId);
+  if (!key) {
+    throw new Error(`No secret encryption key configured for key ID ${keyId}`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+module.exports = {
+  isEncryptionConfigured,
+  isEncrypted,
+  isEncryptedWithCurrentKey,
+  encryptSecret,
+  decryptSecret
+};
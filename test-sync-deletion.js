@@ -0,0 +1,133 @@
+// Test script for the removal of packages, iFlows and package artifacts during a sync
+// Runs without a database or SAP tenant: model and fetch functions are replaced with stubs
+
+const assert = require('assert');
+const models = require('./src/models');
+const dataFetchService = require('./src/services/dataFetchService');
+const syncRunService = require('./src/services/syncRunService');
+const dataSyncService = require('./src/services/dataSyncService');
+
+// Stored rows and what the sync did to them
+let destroyed = [];
+let recordedErrors = [];
+
+const storedRecord = (fields) => ({
+  ...fields,
+  toJSON: () => fields,
+  isSoftDeleted: () => false,
+  restore: async () => {},
+  update: async () => {},
+  destroy: async () => {
+    destroyed.push(fields.artifact_id);
+  }
+});
+
+const storedPackages = [
+  storedRecord({ package_id: 'p-1', artifact_id: 'Orders', tenant_id: 't-1' }),
+  storedRecord({ package_id: 'p-2', artifact_id: 'Invoices', tenant_id: 't-1' })
+];
+const storedFlows = [
+  storedRecord({ iflow_id: 'f-1', artifact_id: 'Order_Replication', package_id: 'p-1' }),
+  storedRecord({ iflow_id: 'f-2', artifact_id: 'Order_Cancel', package_id: 'p-1' })
+];
+const storedValueMappings = [
+  storedRecord({ value_mapping_id: 'v-1', artifact_id: 'Country_Codes', package_id: 'p-1' })
+];
+
+models.Package.findAll = async () => storedPackages;
+models.Package.findOrCreate = async ({ where }) => [storedPackages.find(record => record.artifact_id === where.artifact_id), false];
+models.Iflow.findAll = async ({ where }) => (where.package_id ? storedFlows.filter(flow => flow.package_id === where.package_id) : []);
+models.IflowHistory.create = async () => {};
+models.ValueMapping.findAll = async () => storedValueMappings;
+models.ValueMapping.destroy = async () => 0;
+models.MessageMapping.findAll = async () => [];
+models.MessageMapping.destroy = async () => 0;
+models.ScriptCollection.findAll = async () => [];
+models.ScriptCollection.destroy = async () => 0;
+
+syncRunService.recordError = async (runContext, error) => {
+  recordedErrors.push(error);
+};
+
+const packageRecord = storedPackages[0];
+const listing = (...ids) => async () => ids.map(id => ({ Id: id, Name: id, Version: '1.0.0' }));
+const truncatedListing = async () => {
+  throw new dataFetchService.ODataTruncatedError('/api/v1/Listing', 'page 2 repeats the previous page');
+};
+
+const tests = {
+  'a package missing from a complete listing is deleted': async () => {
+    dataFetchService.fetchIntegrationPackages = listing('Orders');
+    await dataSyncService.syncIntegrationPackages('t-1');
+    assert.deepStrictEqual(destroyed, ['Invoices']);
+    assert.strictEqual(recordedErrors.length, 0);
+  },
+
+  'an empty package listing deletes nothing and records an error': async () => {
+    dataFetchService.fetchIntegrationPackages = listing();
+    await dataSyncService.syncIntegrationPackages('t-1');
+    assert.deepStrictEqual(destroyed, []);
+    assert.strictEqual(recordedErrors.length, 1);
+    assert.strictEqual(recordedErrors[0].phase, 'packages');
+  },
+
+  'a truncated package listing fails the sync and deletes nothing': async () => {
+    dataFetchService.fetchIntegrationPackages = truncatedListing;
+    await assert.rejects(dataSyncService.syncIntegrationPackages('t-1'), { name: 'ODataTruncatedError' });
+    assert.deepStrictEqual(destroyed, []);
+  },
+
+  'an empty iFlow listing deletes nothing and records an error': async () => {
+    dataFetchService.fetchPackageIntegrationFlows = listing();
+    await dataSyncService.syncPackageIntegrationFlows(packageRecord);
+    assert.deepStrictEqual(destroyed, []);
+    assert.strictEqual(recordedErrors.length, 1);
+    assert.strictEqual(recordedErrors[0].phase, 'iflows');
+  },
+
+  'a truncated iFlow listing fails the package and deletes nothing': async () => {
+    dataFetchService.fetchPackageIntegrationFlows = truncatedListing;
+    await assert.rejects(dataSyncService.syncPackageIntegrationFlows(packageRecord), { name: 'ODataTruncatedError' });
+    assert.deepStrictEqual(destroyed, []);
+  },
+
+  'an empty or truncated artifact listing deletes nothing and records an error': async () => {
+    dataFetchService.fetchPackageValueMappings = listing();
+    dataFetchService.fetchPackageMessageMappings = truncatedListing;
+    dataFetchService.fetchPackageScriptCollections = listing();
+    await dataSyncService.syncPackageArtifacts(packageRecord);
+    assert.deepStrictEqual(destroyed, []);
+    assert.deepStrictEqual(recordedErrors.map(error => error.phase), ['artifacts', 'artifacts']);
+  },
+
+  'an artifact missing from a complete listing is deleted': async () => {
+    dataFetchService.fetchPackageValueMappings = listing('Currency_Codes');
+    dataFetchService.fetchPackageMessageMappings = listing();
+    models.ValueMapping.findOrCreate = async () => [storedRecord({ artifact_id: 'Currency_Codes' }), false];
+    await dataSyncService.syncPackageArtifacts(packageRecord);
+    assert.deepStrictEqual(destroyed, ['Country_Codes']);
+    assert.strictEqual(recordedErrors.length, 0);
+  }
+};
+
+async function testSyncDeletion() {
+  console.log('Testing removal of artifacts during a sync...');
+  let failures = 0;
+
+  for (const [name, test] of Object.entries(tests)) {
+    destroyed = [];
+    recordedErrors = [];
+    try {
+      await test();
+      console.log(`  ok - ${name}`);
+    } catch (error) {
+      failures++;
+      console.error(`  FAILED - ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(failures === 0 ? '\nAll tests passed' : `\n${failures} test(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testSyncDeletion();